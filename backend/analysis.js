@@ -0,0 +1,82 @@
+// ============================================================================
+// POSITION ANALYSIS: Value of Every Empty Cell
+// ============================================================================
+// For the side to move, every empty cell gets two opinions side by side:
+//   - its game-theoretic value from the negamax search (win/draw/loss and
+//     how many plies away), exact on 3×3 and depth-limited on bigger boards
+//   - the heuristic engine's score and strategy, from the same scoring loop
+//     simulateQuantumMove uses
+// The frontend turns this into the hint button and the evaluation overlay.
+// ============================================================================
+
+const { CLASSIC, RuleError } = require("./gameRules");
+const { scoreMove } = require("./quantumEngine");
+const { evaluateMove, checkDepth, classifyValue, describeValue } = require("./searchEngine");
+const { getEncoder, defaultEncoderFor } = require("./encoders");
+
+// Best outcome first when ranking cells
+const OUTCOME_RANK = { win: 0, draw: 1, unknown: 1, loss: 2 };
+
+/**
+ * Analyze every empty cell for `side`.
+ *
+ * @param {Array} boardState - Board with `side` to move
+ * @param {string} side - Player to move
+ * @param {Object} options - { encoder, geometry, weights, depth }
+ * @returns {Object} { side, exact, depth, bestCell, cells } where cells are
+ *                   sorted best first, each { cellIndex, value, outcome,
+ *                   plies, label, heuristicScore, strategy, entropy, purity }
+ */
+function analyzePosition(boardState, side, options = {}) {
+    const geometry = options.geometry || CLASSIC;
+    const encoderName = getEncoder(options.encoder || defaultEncoderFor(geometry), geometry).name;
+    const depth = checkDepth(options.depth, geometry);
+
+    const exact = depth >= boardState.filter(cell => cell === null).length;
+    const cells = [];
+
+    for (let cellIndex = 0; cellIndex < geometry.cells; cellIndex++) {
+        if (boardState[cellIndex] !== null) continue;
+
+        const value = evaluateMove(boardState, cellIndex, side, geometry, depth);
+        const { outcome, plies } = classifyValue(value, exact);
+        const { score, features, strategy } = scoreMove(boardState, cellIndex, side, {
+            encoder: encoderName,
+            geometry,
+            weights: options.weights
+        });
+
+        cells.push({
+            cellIndex,
+            value,
+            outcome,
+            plies,
+            label: describeValue(value, exact),
+            heuristicScore: score,
+            strategy,
+            entropy: features.entropy,
+            purity: features.purity
+        });
+    }
+
+    if (cells.length === 0) {
+        throw new RuleError("GAME_OVER", "No empty cells left to play");
+    }
+
+    // Game value decides; the heuristic breaks ties between equal values
+    cells.sort((a, b) =>
+        OUTCOME_RANK[a.outcome] - OUTCOME_RANK[b.outcome] ||
+        b.value - a.value ||
+        b.heuristicScore - a.heuristicScore);
+
+    return {
+        side,
+        exact,
+        depth: Number.isFinite(depth) ? depth : null,
+        encoder: encoderName,
+        bestCell: cells[0].cellIndex,
+        cells
+    };
+}
+
+module.exports = { analyzePosition };
@@ -0,0 +1,31 @@
+// ============================================================================
+// ANALYSIS TESTS: Search Depths /api/analyze Takes and Refuses
+// ============================================================================
+
+const test = require("node:test");
+const assert = require("assert");
+const { withServer } = require("./testServer");
+
+test("/api/analyze refuses depths that aren't whole or are too deep for the board", async () => {
+    await withServer(async (baseUrl) => {
+        const analyze = async body => {
+            const response = await fetch(`${baseUrl}/api/analyze`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        };
+
+        const allowed = await analyze({ size: 5, winLength: 4, depth: 2 });
+        assert.strictEqual(allowed.status, 200);
+        assert.strictEqual(allowed.body.depth, 2);
+
+        // 30 plies on 5×5 would hold the server for hours
+        for (const depth of [30, 2.5, "3", 0]) {
+            const refused = await analyze({ size: 5, winLength: 4, depth });
+            assert.strictEqual(refused.status, 400, `depth ${JSON.stringify(depth)}`);
+            assert.strictEqual(refused.body.error.code, "INVALID_OPTION");
+        }
+    });
+});
@@ -0,0 +1,196 @@
+// ============================================================================
+// ENGINE AUDIT: Every Blunder in the 3×3 Game Tree
+// ============================================================================
+// 3×3 tic-tac-toe is solved: negamax (searchEngine.js) knows whether every
+// move wins, draws or loses. The audit visits every position that can come
+// up with the engine to move (O by default, after X opened), asks the engine
+// for its move, and lists each position where that move is worse than the
+// best one: a win thrown away for a draw or a loss, or a draw thrown away
+// for a loss. Taking a slower win is not counted.
+//
+// Positions that are rotations or mirror images of each other are the same
+// position to every engine, so each is audited once.
+//
+// As a command (exits with 1 if anything is found):
+//   node audit.js                       # the heuristic engine as O
+//   node audit.js --engine measured --seed 3 --side X --json
+// ============================================================================
+
+const { chooseMove, DIFFICULTIES } = require("./difficulty");
+const { CLASSIC, findWinner, RuleError } = require("./gameRules");
+const { evaluateMove, classifyValue } = require("./searchEngine");
+const { canonicalize } = require("./transpositions");
+const { cellName } = require("./gameRecord");
+const { parseArgs } = require("./tournament");
+
+// Higher is better for the player to move
+const OUTCOME_RANK = { loss: 0, draw: 1, win: 2 };
+
+/**
+ * Board as rows of X, O and ".", e.g. "X../.O./..X".
+ */
+function boardText(board, size) {
+    const rows = [];
+    for (let row = 0; row < size; row++) {
+        rows.push(board.slice(row * size, row * size + size).map(cell => cell || ".").join(""));
+    }
+    return rows.join("/");
+}
+
+/**
+ * Audit an engine against the solved game.
+ *
+ * @param {Object} options
+ * @param {string} options.engine - Difficulty level to audit (default heuristic)
+ * @param {Function} options.chooseMove - Or an engine of your own:
+ *                                        (board, side) -> { chosenCell, moveAnalysis }
+ * @param {string} options.side - Side the engine plays (default 'O')
+ * @param {string} options.firstPlayer - Who opens the game (default 'X')
+ * @param {Object} options.engineOptions - Passed to chooseMove ({ encoder, weights, seed, ... })
+ * @returns {Object} { engine, side, firstPlayer, positions, blunders, byKind,
+ *                   byStrategy } where blunders[i] = { board, cells, side,
+ *                   chosenCell, chosen, strategy, outcome, best, bestCells, kind }
+ * @throws {RuleError} INVALID_DIFFICULTY, INVALID_SIDE
+ */
+function auditEngine(options = {}) {
+    const engine = options.engine || "heuristic";
+    const side = options.side || 'O';
+    const firstPlayer = options.firstPlayer || 'X';
+    const geometry = CLASSIC;
+
+    if (!options.chooseMove && !DIFFICULTIES.includes(engine)) {
+        throw new RuleError("INVALID_DIFFICULTY", `Unknown engine: ${engine} (expected ${DIFFICULTIES.join(", ")})`);
+    }
+    if (![side, firstPlayer].every(s => s === 'X' || s === 'O')) {
+        throw new RuleError("INVALID_SIDE", "side and firstPlayer must be 'X' or 'O'");
+    }
+
+    const pick = options.chooseMove ||
+        ((board, toMove) => chooseMove(board, toMove, engine, { ...options.engineOptions, geometry }));
+
+    const seen = new Set();
+    const blunders = [];
+    let positions = 0;
+
+    const visit = (board, toMove) => {
+        const { key } = canonicalize(board, geometry);
+        if (seen.has(toMove + key)) return;
+        seen.add(toMove + key);
+        if (findWinner(board, geometry) || !board.includes(null)) return;
+
+        if (toMove === side) {
+            positions++;
+            const blunder = auditPosition(board, toMove, pick(board, toMove));
+            if (blunder) blunders.push(blunder);
+        }
+
+        const next = toMove === 'X' ? 'O' : 'X';
+        board.forEach((cell, i) => {
+            if (cell !== null) return;
+            const child = [...board];
+            child[i] = toMove;
+            visit(child, next);
+        });
+    };
+
+    visit(Array(geometry.cells).fill(null), firstPlayer);
+
+    const count = field => blunders.reduce((counts, b) => {
+        counts[b[field]] = (counts[b[field]] || 0) + 1;
+        return counts;
+    }, {});
+
+    return {
+        engine: options.chooseMove ? "custom" : engine,
+        side,
+        firstPlayer,
+        positions,
+        blunders,
+        byKind: count("kind"),
+        byStrategy: count("strategy")
+    };
+}
+
+/**
+ * Compare the engine's move in one position with the solution.
+ *
+ * @returns {Object|null} The blunder, or null if the move keeps the best outcome
+ */
+function auditPosition(board, side, result) {
+    const geometry = CLASSIC;
+    const outcomes = {};
+    board.forEach((cell, i) => {
+        if (cell === null) outcomes[i] = classifyValue(evaluateMove(board, i, side, geometry, Infinity)).outcome;
+    });
+
+    const best = Object.values(outcomes).reduce((a, b) => (OUTCOME_RANK[b] > OUTCOME_RANK[a] ? b : a));
+    const outcome = outcomes[result.chosenCell];
+    if (OUTCOME_RANK[outcome] >= OUTCOME_RANK[best]) return null;
+
+    const chosen = (result.moveAnalysis || []).find(m => m.cellIndex === result.chosenCell);
+    return {
+        board: boardText(board, geometry.size),
+        cells: [...board],
+        side,
+        chosenCell: result.chosenCell,
+        chosen: cellName(result.chosenCell, geometry.size),
+        strategy: chosen ? chosen.strategy : null,
+        outcome,
+        best,
+        bestCells: Object.keys(outcomes)
+            .filter(cell => outcomes[cell] === best)
+            .map(cell => cellName(Number(cell), geometry.size)),
+        kind: `${best} -> ${outcome}`
+    };
+}
+
+/**
+ * Plain-text report: totals, then one line per blunder.
+ */
+function formatAudit(report) {
+    const lines = [
+        `${report.engine} engine as ${report.side} (${report.firstPlayer} opens): ` +
+        `${report.positions} positions, ${report.blunders.length} blunders`
+    ];
+
+    if (report.blunders.length > 0) {
+        lines.push("");
+        Object.entries(report.byKind).forEach(([kind, n]) => lines.push(`  ${kind}: ${n}`));
+        Object.entries(report.byStrategy).forEach(([strategy, n]) => lines.push(`  strategy ${strategy}: ${n}`));
+        lines.push("");
+        report.blunders.forEach(b => {
+            lines.push(`${b.board}  plays ${b.chosen} (${b.strategy || "-"}): ${b.kind}, ` +
+                `should play ${b.bestCells.join(" or ")}`);
+        });
+    }
+
+    return lines.join("\n");
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    const report = auditEngine({
+        engine: args.engine,
+        side: args.side,
+        firstPlayer: args.first,
+        engineOptions: {
+            encoder: args.encoder,
+            seed: args.seed === undefined ? undefined : Number(args.seed)
+        }
+    });
+
+    console.log(args.json ? JSON.stringify(report, null, 2) : formatAudit(report));
+    if (report.blunders.length > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        if (!(error instanceof RuleError)) throw error;
+        console.error(`${error.code}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { auditEngine, formatAudit };
@@ -0,0 +1,180 @@
+// ============================================================================
+// LATENCY BENCHMARK: Engines With and Without the Transposition Tables
+// ============================================================================
+// Times chooseMove on a set of random positions (from the seed) for each
+// level, four ways:
+//   uncached    - caching off: every circuit simulated, every search run
+//   cold        - caching on with empty tables (symmetric candidates and
+//                 repeated boards already hit)
+//   warm        - the same positions again
+//   precomputed - after precomputeTables (3×3 only)
+// and reports the mean, median and 95th percentile per move.
+//
+// As a command:
+//   node benchmark.js --levels heuristic,unbeatable --positions 50
+//   node benchmark.js --size 4 --encoder legacy-4q --seed 7 --json
+// ============================================================================
+
+const { chooseMove, precomputeTables } = require("./difficulty");
+const { createGeometry, findWinner, RuleError } = require("./gameRules");
+const { createRng } = require("./rng");
+const { setCaching, clearTables, tableStats } = require("./transpositions");
+const { parseArgs } = require("./tournament");
+
+/**
+ * Random unfinished positions with X moving first.
+ *
+ * @returns {Array} [{ board, side }]
+ */
+function randomPositions(geometry, count, seed) {
+    const rng = createRng(seed);
+    const positions = [];
+
+    while (positions.length < count) {
+        const board = Array(geometry.cells).fill(null);
+        const plies = Math.floor(rng() * (geometry.cells - 1));
+        let side = 'X';
+
+        for (let ply = 0; ply < plies && !findWinner(board, geometry); ply++) {
+            const empty = board.map((c, i) => (c === null ? i : -1)).filter(i => i >= 0);
+            board[empty[Math.floor(rng() * empty.length)]] = side;
+            side = side === 'X' ? 'O' : 'X';
+        }
+        if (!findWinner(board, geometry)) positions.push({ board, side });
+    }
+
+    return positions;
+}
+
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Time one pass of `level` over every position.
+ */
+function timePass(positions, level, options) {
+    const times = positions.map(({ board, side }) => {
+        const start = process.hrtime.bigint();
+        chooseMove(board, side, level, options);
+        return Number(process.hrtime.bigint() - start) / 1e6;
+    }).sort((a, b) => a - b);
+
+    return {
+        meanMs: times.reduce((sum, t) => sum + t, 0) / times.length,
+        p50Ms: percentile(times, 0.5),
+        p95Ms: percentile(times, 0.95)
+    };
+}
+
+/**
+ * Run the benchmark.
+ *
+ * @param {Object} options
+ * @param {Array} options.levels - Difficulty levels (default heuristic, unbeatable)
+ * @param {number} options.positions - Positions per pass (default 50)
+ * @param {number} options.size - Board size (default 3)
+ * @param {number} options.winLength - Marks in a row to win
+ * @param {string} options.encoder - Encoder for the quantum features
+ * @param {number} options.seed - Picks the positions (default 1)
+ * @returns {Object} { size, winLength, encoder, positions, seed, results }
+ *                   where results[i] = { level, mode, meanMs, p50Ms, p95Ms }
+ */
+function runBenchmark(options = {}) {
+    const levels = options.levels || ["heuristic", "unbeatable"];
+    const count = options.positions === undefined ? 50 : options.positions;
+    const seed = options.seed === undefined ? 1 : options.seed;
+    const geometry = createGeometry(options.size, options.winLength);
+    const engineOptions = { encoder: options.encoder, geometry, seed };
+
+    if (!Number.isInteger(count) || count < 1) {
+        throw new RuleError("INVALID_OPTION", "positions must be a positive integer");
+    }
+
+    const positions = randomPositions(geometry, count, seed);
+    const results = [];
+
+    try {
+        for (const level of levels) {
+            setCaching(false);
+            results.push({ level, mode: "uncached", ...timePass(positions, level, engineOptions) });
+
+            setCaching(true);
+            results.push({ level, mode: "cold", ...timePass(positions, level, engineOptions) });
+            results.push({ level, mode: "warm", ...timePass(positions, level, engineOptions) });
+
+            if (geometry.cells <= 9 && (level === "heuristic" || level === "unbeatable")) {
+                clearTables();
+                precomputeTables({ geometry, encoder: options.encoder, difficulties: [level] });
+                results.push({ level, mode: "precomputed", ...timePass(positions, level, engineOptions) });
+            }
+            clearTables();
+        }
+    } finally {
+        setCaching(true);
+    }
+
+    return {
+        size: geometry.size,
+        winLength: geometry.winLength,
+        encoder: options.encoder || null,
+        positions: count,
+        seed,
+        results
+    };
+}
+
+/**
+ * Plain-text report with the speedup of each mode over "uncached".
+ */
+function formatBenchmark(report) {
+    const pad = (text, w) => String(text).padEnd(w);
+    const ms = t => t.toFixed(2);
+
+    const lines = [
+        `${report.positions} positions on ${report.size}×${report.size} (${report.winLength} in a row), ` +
+        `encoder ${report.encoder || "default"}, seed ${report.seed}`,
+        "",
+        pad("Level", 12) + pad("Mode", 13) + pad("Mean ms", 10) + pad("p50 ms", 10) + pad("p95 ms", 10) + "Speedup"
+    ];
+
+    report.results.forEach(r => {
+        const baseline = report.results.find(b => b.level === r.level && b.mode === "uncached");
+        lines.push(pad(r.level, 12) + pad(r.mode, 13) + pad(ms(r.meanMs), 10) + pad(ms(r.p50Ms), 10) +
+            pad(ms(r.p95Ms), 10) + `${(baseline.meanMs / r.meanMs).toFixed(1)}×`);
+    });
+
+    return lines.join("\n");
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    const number = value => (value === undefined ? undefined : Number(value));
+
+    const report = runBenchmark({
+        levels: args.levels ? String(args.levels).split(",") : undefined,
+        positions: number(args.positions),
+        size: number(args.size),
+        winLength: number(args.win),
+        encoder: args.encoder,
+        seed: number(args.seed)
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify({ ...report, tables: tableStats() }, null, 2));
+    } else {
+        console.log(formatBenchmark(report));
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        if (!(error instanceof RuleError)) throw error;
+        console.error(`${error.code}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { runBenchmark, formatBenchmark };
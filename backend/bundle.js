@@ -0,0 +1,120 @@
+// ============================================================================
+// BROWSER BUNDLE: The Engine Without the Server
+// ============================================================================
+// quantumEngine.js and everything it requires are plain CommonJS with no
+// Node-only APIs (no fs, path or process), so the same files run in a
+// browser. This packs them into one script for the frontend's Web Worker
+// (frontend/engineWorker.js):
+//   - each backend module is wrapped in a function(module, exports, require)
+//     and run once, on first require, like Node does
+//   - require("quantum-circuit") gets the library's browser build, which is
+//     put in front of the modules and defines self.QuantumCircuit
+//   - the entry modules end up as globals: QuantumEngine, GameRules, Noise
+//
+// The server builds the bundle once and serves it as /engine.bundle.js. To
+// host the frontend without the server, write it next to index.html:
+//   node bundle.js                          # frontend/engine.bundle.js
+//   node bundle.js --out /tmp/engine.js
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("./tournament");
+
+const DEFAULT_OUT = path.join(__dirname, "..", "frontend", "engine.bundle.js");
+
+// Global name -> backend module
+const ENTRIES = {
+    QuantumEngine: "./quantumEngine",
+    GameRules: "./gameRules",
+    Noise: "./noise"
+};
+
+// Packages the bundle takes from a browser build instead of node_modules
+const BROWSER_BUILDS = {
+    "quantum-circuit": { file: require.resolve("quantum-circuit/dist/quantum-circuit.min.js"), global: "QuantumCircuit" }
+};
+
+/**
+ * Every backend module reachable from `entries`, with its source.
+ *
+ * @returns {Map} "./name" -> source, dependencies before the modules that
+ *                require them
+ * @throws {Error} For a package that has no browser build
+ */
+function collectModules(entries) {
+    const modules = new Map();
+
+    const visit = (id) => {
+        if (modules.has(id)) return;
+        const source = fs.readFileSync(path.join(__dirname, `${id}.js`), "utf8");
+        modules.set(id, null);  // Cycles stop here
+
+        for (const [, dependency] of source.matchAll(/require\("([^"]+)"\)/g)) {
+            if (dependency.startsWith("./")) visit(dependency);
+            else if (!BROWSER_BUILDS[dependency]) {
+                throw new Error(`${id}.js requires ${dependency}, which has no browser build`);
+            }
+        }
+        modules.delete(id);
+        modules.set(id, source);
+    };
+
+    entries.forEach(visit);
+    return modules;
+}
+
+/**
+ * The bundle's source.
+ *
+ * @returns {string} Browser builds, then the wrapped modules, then the
+ *                   globals of ENTRIES
+ */
+function buildBundle() {
+    const modules = collectModules(Object.values(ENTRIES));
+    const usedBuilds = Object.entries(BROWSER_BUILDS).filter(([name]) =>
+        [...modules.values()].some(source => source.includes(`require("${name}")`)));
+
+    const builds = usedBuilds.map(([name, { file }]) =>
+        `// ${name} (browser build)\n${fs.readFileSync(file, "utf8")}`);
+    const wrapped = [...modules.entries()].map(([id, source]) =>
+        `${JSON.stringify(id)}: function (module, exports, require) {\n${source}\n}`);
+    const globals = Object.fromEntries(usedBuilds.map(([name, build]) => [name, build.global]));
+
+    return `${builds.join("\n")}
+// Backend modules (built by backend/bundle.js)
+(function (scope) {
+    var sources = {
+${wrapped.join(",\n")}
+    };
+    var globals = ${JSON.stringify(globals)};
+    var cache = {};
+
+    function require(id) {
+        if (globals[id]) return scope[globals[id]];
+        if (!cache[id]) {
+            if (!sources[id]) throw new Error("Module " + id + " is not in the bundle");
+            var module = cache[id] = { exports: {} };
+            sources[id](module, module.exports, require);
+        }
+        return cache[id].exports;
+    }
+
+${Object.entries(ENTRIES).map(([name, id]) => `    scope.${name} = require(${JSON.stringify(id)});`).join("\n")}
+})(typeof self !== "undefined" ? self : this);
+`;
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    const out = args.out || DEFAULT_OUT;
+    const bundle = buildBundle();
+    fs.writeFileSync(out, bundle);
+    console.log(`Wrote ${out} (${(bundle.length / 1024).toFixed(0)} KB)`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { ENTRIES, buildBundle };
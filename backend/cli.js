@@ -0,0 +1,267 @@
+// ============================================================================
+// TERMINAL CLIENT: Play and Analyze Without a Browser
+// ============================================================================
+// The classic game in a shell, straight on top of the engines (no server):
+//
+//   node cli.js play [--side X|O] [--engine heuristic] [--seed 7]
+//       Interactive ASCII board. Type a cell ("b2") to move, "hint" for the
+//       engine's view of your options, "quit" to stop. The engine's
+//       moveAnalysis table is printed after each of its moves.
+//
+//   node cli.js analyze <board> [--side X|O] [--engine unbeatable]
+//       Print the moveAnalysis table for a position. The board is one
+//       character per cell, row by row: X, O and "." (or "-") for empty,
+//       optionally with "/" between rows, e.g. "X.O/.X./..." or "X.O.X....".
+//
+//   node cli.js selfplay [--x heuristic] [--o unbeatable] [--seed 7]
+//       Engine against engine, printing every move.
+//
+// Every command also takes --size, --win and --encoder. --engine is a
+// difficulty level (random, measured, heuristic, unbeatable).
+// ============================================================================
+
+const readline = require("readline");
+const { chooseMove, DIFFICULTIES, DEFAULT_DIFFICULTY } = require("./difficulty");
+const { createGeometry, applyMove, validateBoard, RuleError } = require("./gameRules");
+const { cellName, parseCellName } = require("./gameRecord");
+const { deriveSeed } = require("./rng");
+const { parseArgs } = require("./tournament");
+
+const USAGE = `Usage:
+  node cli.js play [--side X|O] [--engine LEVEL] [--seed N]
+  node cli.js analyze BOARD [--side X|O] [--engine LEVEL]
+  node cli.js selfplay [--x LEVEL] [--o LEVEL] [--seed N]
+Options for every command: --size N --win K --encoder NAME
+Levels: ${DIFFICULTIES.join(", ")}`;
+
+function other(side) {
+    return side === 'X' ? 'O' : 'X';
+}
+
+function checkLevel(level) {
+    if (!DIFFICULTIES.includes(level)) {
+        throw new RuleError("INVALID_DIFFICULTY", `Unknown engine: ${level} (expected ${DIFFICULTIES.join(", ")})`);
+    }
+    return level;
+}
+
+function checkSide(side) {
+    if (side !== 'X' && side !== 'O') {
+        throw new RuleError("INVALID_SIDE", `Side must be X or O, got ${side}`);
+    }
+    return side;
+}
+
+/**
+ * The board with column letters and row numbers, as in game records.
+ */
+function formatBoard(board, geometry) {
+    const n = geometry.size;
+    const columns = [...Array(n).keys()].map(c => String.fromCharCode(97 + c));
+    const lines = [`     ${columns.join("   ")}`];
+
+    for (let row = 0; row < n; row++) {
+        const cells = board.slice(row * n, row * n + n).map(cell => cell || ".");
+        lines.push(`${String(row + 1).padStart(3)}  ${cells.join(" | ")}`);
+        if (row < n - 1) lines.push(`    ${Array(n).fill("---").join("+")}`);
+    }
+
+    return lines.join("\n");
+}
+
+/**
+ * The engine's moveAnalysis as a table, chosen move marked.
+ */
+function formatAnalysis(result, geometry) {
+    const hasShots = result.moveAnalysis.some(m => m.shots !== undefined);
+    const pad = (text, w) => String(text).padEnd(w);
+
+    const lines = [
+        `${result.difficulty} engine for ${result.symbol}, encoder ${result.encoder}: plays ${cellName(result.chosenCell, geometry.size)}`,
+        pad("Cell", 7) + pad("Strategy", 18) + pad("Score", 12) + pad("Entropy", 9) + pad("Purity", 8) +
+            (hasShots ? "Shots" : "")
+    ];
+
+    result.moveAnalysis.forEach(m => {
+        const mark = m.cellIndex === result.chosenCell ? " ✓" : "";
+        lines.push(
+            pad(cellName(m.cellIndex, geometry.size) + mark, 7) +
+            pad(m.strategy || "-", 18) +
+            pad(Number.isFinite(m.score) ? Math.round(m.score) : m.score, 12) +
+            pad(m.entropy.toFixed(3), 9) +
+            pad(m.purity.toFixed(3), 8) +
+            (hasShots ? m.shots : ""));
+    });
+
+    return lines.join("\n");
+}
+
+function formatResult(result) {
+    return result.winner === "draw" ? "Draw." : `${result.winner} wins.`;
+}
+
+/**
+ * Read a board like "X.O/.X./..." (see header).
+ *
+ * @throws {RuleError} INVALID_BOARD
+ */
+function parseBoard(text) {
+    const chars = String(text).replace(/[\s/|,]/g, "").toUpperCase().split("");
+    const size = Math.round(Math.sqrt(chars.length));
+    if (size * size !== chars.length) {
+        throw new RuleError("INVALID_BOARD", `A board needs a square number of cells, got ${chars.length}`);
+    }
+
+    return chars.map(c => {
+        if (c === 'X' || c === 'O') return c;
+        if (c === '.' || c === '-' || c === '_') return null;
+        throw new RuleError("INVALID_BOARD", `Unknown cell "${c}" (use X, O or .)`);
+    });
+}
+
+/**
+ * Geometry from --size/--win, or from the board itself when one is given.
+ */
+function geometryFrom(args, board) {
+    const number = value => (value === undefined ? undefined : Number(value));
+    const size = board ? Math.round(Math.sqrt(board.length)) : number(args.size);
+    return createGeometry(size, number(args.win));
+}
+
+function analyze(args, boardText) {
+    if (boardText === undefined) {
+        throw new RuleError("INVALID_BOARD", "analyze needs a board, e.g. node cli.js analyze X.O/.X./...");
+    }
+    const board = parseBoard(boardText);
+    const geometry = geometryFrom(args, board);
+
+    // Equal counts: whoever --side says opened; otherwise the counts decide
+    const x = board.filter(c => c === 'X').length;
+    const o = board.filter(c => c === 'O').length;
+    const firstPlayer = x === o ? checkSide(args.side || 'X') : x > o ? 'X' : 'O';
+    const side = validateBoard(board, firstPlayer, geometry);
+    if (args.side && args.side !== side) {
+        throw new RuleError("NOT_YOUR_TURN", `It is ${side}'s turn on that board`);
+    }
+
+    const level = checkLevel(args.engine || DEFAULT_DIFFICULTY);
+    const result = chooseMove(board, side, level, {
+        encoder: args.encoder,
+        geometry,
+        seed: args.seed === undefined ? undefined : Number(args.seed)
+    });
+
+    console.log(formatBoard(board, geometry));
+    console.log("");
+    console.log(formatAnalysis(result, geometry));
+}
+
+function selfplay(args) {
+    const geometry = geometryFrom(args);
+    const engines = {
+        X: checkLevel(args.x || args.engine || DEFAULT_DIFFICULTY),
+        O: checkLevel(args.o || args.engine || DEFAULT_DIFFICULTY)
+    };
+    const seed = args.seed === undefined ? undefined : Number(args.seed);
+
+    let state = { board: Array(geometry.cells).fill(null), turn: 'X', result: null };
+    let ply = 0;
+
+    console.log(`X: ${engines.X}, O: ${engines.O}`);
+    while (!state.result) {
+        const side = state.turn;
+        const result = chooseMove(state.board, side, engines[side], {
+            encoder: args.encoder,
+            geometry,
+            seed: seed === undefined ? undefined : deriveSeed(seed, ply)
+        });
+        state = applyMove(state, result.chosenCell, side, geometry);
+        ply++;
+
+        const best = result.moveAnalysis.find(m => m.cellIndex === result.chosenCell);
+        console.log(`\n${ply}. ${side} ${cellName(result.chosenCell, geometry.size)} (${best ? best.strategy : "-"})`);
+        console.log(formatBoard(state.board, geometry));
+    }
+
+    console.log(`\n${formatResult(state.result)}`);
+}
+
+async function play(args) {
+    const geometry = geometryFrom(args);
+    const human = checkSide(args.side || 'X');
+    const ai = other(human);
+    const level = checkLevel(args.engine || DEFAULT_DIFFICULTY);
+    const seed = args.seed === undefined ? undefined : Number(args.seed);
+    const options = ply => ({ encoder: args.encoder, geometry, seed: seed === undefined ? undefined : deriveSeed(seed, ply) });
+
+    // X always opens, as in the web game's default
+    let state = { board: Array(geometry.cells).fill(null), turn: 'X', result: null };
+    let ply = 0;
+
+    // Lines are read from an iterator so piped input isn't lost between prompts
+    const rl = readline.createInterface({ input: process.stdin });
+    const lines = rl[Symbol.asyncIterator]();
+    console.log(`You are ${human} against the ${level} engine. Moves like "b2"; "hint" or "quit".`);
+
+    try {
+        while (!state.result) {
+            if (state.turn === ai) {
+                const result = chooseMove(state.board, ai, level, options(ply));
+                state = applyMove(state, result.chosenCell, ai, geometry);
+                ply++;
+                console.log("");
+                console.log(formatAnalysis(result, geometry));
+                continue;
+            }
+
+            console.log(`\n${formatBoard(state.board, geometry)}\n`);
+            process.stdout.write(`${human} to move> `);
+            const line = await lines.next();
+            if (line.done) return;  // End of input
+            const input = line.value.trim().toLowerCase();
+
+            if (input === "quit" || input === "q") return;
+            if (input === "hint") {
+                console.log(formatAnalysis(chooseMove(state.board, human, "unbeatable", options(ply)), geometry));
+                continue;
+            }
+
+            try {
+                state = applyMove(state, parseCellName(input, geometry.size), human, geometry);
+                ply++;
+            } catch (error) {
+                if (!(error instanceof RuleError)) throw error;
+                console.log(error.message);
+            }
+        }
+
+        console.log(`\n${formatBoard(state.board, geometry)}\n\n${formatResult(state.result)}`);
+    } finally {
+        rl.close();
+    }
+}
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const args = parseArgs(rest);
+    const positional = rest.find((arg, i) => !arg.startsWith("--") && (i === 0 || !rest[i - 1].startsWith("--")));
+
+    if (command === "play") await play(args);
+    else if (command === "analyze") analyze(args, positional);
+    else if (command === "selfplay") selfplay(args);
+    else console.log(USAGE);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        if (!(error instanceof RuleError)) {
+            console.error(error);
+            process.exitCode = 1;
+            return;
+        }
+        console.error(`${error.code}: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { formatBoard, formatAnalysis, parseBoard };
@@ -0,0 +1,115 @@
+// ============================================================================
+// DIFFICULTY LEVELS
+// ============================================================================
+// One entry point for the classic AI, from weakest to strongest:
+//   random     - any empty cell
+//   measured   - heuristic scores sampled through a circuit (measurement.js)
+//   heuristic  - the quantum-assisted strategy in quantumEngine.js
+//   unbeatable - negamax search in searchEngine.js (full on 3×3, depth-limited
+//                on bigger boards)
+// Each level is a preset of an engine from the registry (engines.js).
+// ============================================================================
+
+const { RuleError, CLASSIC, findWinner } = require("./gameRules");
+const { isValidSeed } = require("./rng");
+const { runEngine, selectOptions } = require("./engines");
+const { canonicalize } = require("./transpositions");
+
+// Level -> engine that plays it
+const DIFFICULTY_ENGINES = {
+    random: "random",
+    measured: "measured-quantum",
+    heuristic: "heuristic-quantum",
+    unbeatable: "negamax"
+};
+
+const DIFFICULTIES = Object.keys(DIFFICULTY_ENGINES);
+const DEFAULT_DIFFICULTY = "heuristic";
+
+/**
+ * Choose the AI's move at the requested difficulty.
+ *
+ * @param {Array} boardState - Current board state
+ * @param {string} side - Symbol the engine plays
+ * @param {string} difficulty - One of DIFFICULTIES
+ * @param {Object} options - { encoder, geometry, noise } for every level,
+ *                           { weights } for heuristic and measured, plus
+ *                           { seed } for random, { shots, temperature, seed }
+ *                           for measured and { depth } for unbeatable
+ * @returns {Object} simulateQuantumMove-shaped result plus `difficulty`
+ *                   and `engine`
+ * @throws {RuleError} INVALID_DIFFICULTY for unknown levels,
+ *                     INVALID_ENCODER for unknown encoders,
+ *                     INVALID_OPTION for bad options
+ */
+function chooseMove(boardState, side = 'O', difficulty = DEFAULT_DIFFICULTY, options = {}) {
+    if (!isValidSeed(options.seed)) {
+        throw new RuleError("INVALID_OPTION", "seed must be an integer");
+    }
+    const engine = DIFFICULTY_ENGINES[difficulty];
+    if (!engine) {
+        throw new RuleError("INVALID_DIFFICULTY",
+            `Unknown difficulty: ${difficulty} (expected ${DIFFICULTIES.join(", ")})`);
+    }
+
+    // Every level is handed the same options; each engine takes its own
+    const { encoder, geometry = CLASSIC, noise } = options;
+    const result = runEngine(engine, boardState, side, { encoder, geometry, noise, options: selectOptions(engine, options) });
+    return { ...result, difficulty };
+}
+
+/**
+ * Fill the transposition tables (see transpositions.js) for every position
+ * that can come up on a 3×3 board, with either player moving first, so no
+ * game needs a circuit simulation or a search afterwards. Symmetric
+ * positions are only visited once.
+ *
+ * @param {Object} options
+ * @param {Object} options.geometry - Board shape (9 cells at most)
+ * @param {string} options.encoder - Encoder to fill the tables for
+ * @param {Array} options.difficulties - Deterministic levels to run
+ *                                       (default heuristic and unbeatable)
+ * @returns {Object} { positions, ms }
+ * @throws {RuleError} INVALID_SIZE, INVALID_DIFFICULTY, INVALID_ENCODER
+ */
+function precomputeTables(options = {}) {
+    const geometry = options.geometry || CLASSIC;
+    const difficulties = options.difficulties || ["heuristic", "unbeatable"];
+    if (geometry.cells > 9) {
+        throw new RuleError("INVALID_SIZE", "Tables can only be precomputed for 3×3 boards");
+    }
+    difficulties.forEach(level => {
+        if (level !== "heuristic" && level !== "unbeatable") {
+            throw new RuleError("INVALID_DIFFICULTY", `Only heuristic and unbeatable can be precomputed, not ${level}`);
+        }
+    });
+    const engineOptions = { encoder: options.encoder, geometry };
+
+    const start = Date.now();
+    const seen = new Set();
+
+    const visit = (board, side) => {
+        const key = `${side}${canonicalize(board, geometry).key}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        if (findWinner(board, geometry) || !board.includes(null)) return;
+
+        difficulties.forEach(level => chooseMove(board, side, level, engineOptions));
+
+        const next = side === 'X' ? 'O' : 'X';
+        board.forEach((cell, i) => {
+            if (cell !== null) return;
+            const child = [...board];
+            child[i] = side;
+            visit(child, next);
+        });
+    };
+
+    const empty = Array(geometry.cells).fill(null);
+    visit(empty, 'X');
+    visit(empty, 'O');
+
+    return { positions: seen.size, ms: Date.now() - start };
+}
+
+module.exports = { DIFFICULTIES, DIFFICULTY_ENGINES, DEFAULT_DIFFICULTY, chooseMove, precomputeTables };
@@ -0,0 +1,257 @@
+// ============================================================================
+// BOARD ENCODERS: Pluggable Board -> Circuit Mappings
+// ============================================================================
+// An encoder turns a board into a QuantumCircuit. Every encoder has:
+//   name        - id used in requests ({ encoder: "cell" })
+//   description - one line for the UI
+//   features    - what entropy, purity and the cell signal mean for it
+//   qubitsFor(cells)                                       -> circuit width
+//   encode(board, geometry)                                -> QuantumCircuit
+//   cellSignal(features, board, cellIndex, side, geometry) -> number in [0, 1]
+//
+// cellSignal is the encoder's own opinion of a candidate move, read from the
+// features of the board AFTER the move. scoreMove scales it into a small bonus.
+//
+// An encoder that treats every cell alike also has
+//   qubitMap(symmetry) -> where each qubit goes when the board is rotated or
+//                         mirrored by `symmetry` (see gameRules.createGeometry)
+// so features can be cached once for all 8 symmetric boards. Without it,
+// features are cached per exact board.
+//
+// Circuits are simulated as full state vectors, so an encoder is only offered
+// for boards where it needs at most MAX_QUBITS qubits.
+// ============================================================================
+
+const QuantumCircuit = require("quantum-circuit");
+const { CLASSIC, RuleError } = require("./gameRules");
+
+const MAX_QUBITS = 18;
+
+/**
+ * Open win lines through `cell` for `player`: lines with no opponent mark.
+ */
+function linePotential(board, cell, player, geometry) {
+    return geometry.lines.filter(line =>
+        line.includes(cell) && line.every(i => board[i] === null || board[i] === player)
+    ).length;
+}
+
+function linesThrough(cell, geometry) {
+    return geometry.lines.filter(line => line.includes(cell)).length;
+}
+
+function openCells(board) {
+    return board.map((cell, i) => (cell === null ? i : -1)).filter(i => i >= 0);
+}
+
+/**
+ * Average P(|1>) of the given qubits. Used by the cell signals.
+ */
+function meanProbability(features, qubits) {
+    if (qubits.length === 0) return 0;
+    return qubits.reduce((sum, q) => sum + features.probabilities[q], 0) / qubits.length;
+}
+
+// ============================================================================
+// LEGACY: 4 qubits, cells folded with i % 4
+// ============================================================================
+// The original encoding. Cells 0, 4 and 8 all rotate qubit 0 (and so on), so
+// different boards can land on the same state. Kept so old games and numbers
+// can be compared, and because it is the only encoder small enough for 5×5
+// and up; don't rely on its features.
+const legacy4q = {
+    name: "legacy-4q",
+    description: "Original 4-qubit encoding (lossy: cell i shares qubit i % 4)",
+    features: {
+        entropy: "Shannon entropy (bits) of the 16 basis states. Aliased: several boards give the same value.",
+        purity: "Sum of squared basis-state probabilities. Aliased like entropy.",
+        cellSignal: "1 if the candidate's qubit (cell % 4) is |1> in one of the 3 most likely basis states, else 0."
+    },
+
+    qubitsFor() {
+        return 4;
+    },
+
+    encode(board) {
+        const circuit = new QuantumCircuit(4);
+        const cellValue = i => (board[i] === 'X' ? 1 : board[i] === 'O' ? -1 : 0);
+
+        // First encoding layer - RY rotations
+        for (let i = 0; i < board.length; i++) {
+            circuit.addGate("ry", -1, i % 4, { params: { theta: (cellValue(i) + 1) * Math.PI } });
+        }
+
+        // Entanglement layer
+        circuit.addGate("cx", -1, [0, 1]);
+        circuit.addGate("cx", -1, [1, 2]);
+        circuit.addGate("cx", -1, [2, 3]);
+
+        // Second encoding layer - RX rotations
+        for (let i = 0; i < board.length; i++) {
+            circuit.addGate("rx", -1, i % 4, { params: { theta: (cellValue(i) + 1) * Math.PI / 2 } });
+        }
+
+        return circuit;
+    },
+
+    cellSignal(features, board, cellIndex) {
+        const qubit = cellIndex % 4;
+        return features.dominantStates.some(s => (s.state >> qubit) & 1) ? 1 : 0;
+    }
+};
+
+// ============================================================================
+// CELL: one qubit per cell (9 on 3×3, 16 on 4×4)
+// ============================================================================
+// |1> leans X, |0> leans O. Taken cells are basis states (X = |1>, O = |0>).
+// An empty cell is rotated by how many open lines each player has through it,
+// so P(|1>) = X's share of the claims on that cell.
+const cellEncoder = {
+    name: "cell",
+    description: "One qubit per cell; empty cells lean toward whoever has more open lines through them",
+    features: {
+        entropy: "Bits of uncertainty about who ends up owning the open cells. 0 = every open cell is clearly one player's; 1 bit per evenly contested cell.",
+        purity: "Probability that two samples of the board agree. Near 1 = settled position, near 0 = wide open.",
+        cellSignal: "Average share of the remaining open cells claimed by the side that just moved."
+    },
+
+    qubitsFor(cells) {
+        return cells;
+    },
+
+    encode(board, geometry = CLASSIC) {
+        const circuit = new QuantumCircuit(geometry.cells);
+
+        for (let i = 0; i < geometry.cells; i++) {
+            let share;
+            if (board[i] === 'X') share = 1;
+            else if (board[i] === 'O') share = 0;
+            else {
+                const x = linePotential(board, i, 'X', geometry);
+                const o = linePotential(board, i, 'O', geometry);
+                share = x + o === 0 ? 0.5 : x / (x + o);
+            }
+
+            if (share > 0) {
+                circuit.addGate("ry", -1, i, { params: { theta: 2 * Math.asin(Math.sqrt(share)) } });
+            }
+        }
+
+        return circuit;
+    },
+
+    cellSignal(features, board, cellIndex, side) {
+        const xShare = meanProbability(features, openCells(board));
+        return side === 'X' ? xShare : 1 - xShare;
+    },
+
+    qubitMap(symmetry) {
+        return symmetry;
+    }
+};
+
+// ============================================================================
+// CELL-PAIR: two qubits per cell (18 on 3×3)
+// ============================================================================
+// Qubit 2i is "X can still use cell i", qubit 2i+1 is "O can still use cell i".
+// Taken cells are |10> (X) or |01> (O). For an empty cell each qubit is
+// rotated so P(|1>) = open lines for that player / lines through the cell.
+// Unlike "cell", a cell both players have given up on reads as |00>.
+// Slow: 18 qubits is 262,144 amplitudes, about half a second per circuit,
+// and too wide for anything bigger than 3×3.
+const cellPairEncoder = {
+    name: "cell-pair",
+    description: "Two qubits per cell (X claim, O claim); each player's open lines set its qubit",
+    features: {
+        entropy: "Bits of uncertainty over both players' claims. Drops as lines get blocked.",
+        purity: "Probability that two samples of the claims agree. Rises as the position gets decided.",
+        cellSignal: "Mean claim of the side that just moved over the open cells, minus the opponent's, mapped to [0, 1]."
+    },
+
+    qubitsFor(cells) {
+        return 2 * cells;
+    },
+
+    encode(board, geometry = CLASSIC) {
+        const circuit = new QuantumCircuit(2 * geometry.cells);
+
+        for (let i = 0; i < geometry.cells; i++) {
+            const lines = linesThrough(i, geometry);
+            const claims = board[i] === null
+                ? [linePotential(board, i, 'X', geometry) / lines, linePotential(board, i, 'O', geometry) / lines]
+                : [board[i] === 'X' ? 1 : 0, board[i] === 'O' ? 1 : 0];
+
+            claims.forEach((p, k) => {
+                if (p > 0) {
+                    circuit.addGate("ry", -1, 2 * i + k, { params: { theta: 2 * Math.asin(Math.sqrt(p)) } });
+                }
+            });
+        }
+
+        return circuit;
+    },
+
+    cellSignal(features, board, cellIndex, side) {
+        const open = openCells(board);
+        const x = meanProbability(features, open.map(i => 2 * i));
+        const o = meanProbability(features, open.map(i => 2 * i + 1));
+        const mine = side === 'X' ? x - o : o - x;
+        return (mine + 1) / 2;
+    },
+
+    qubitMap(symmetry) {
+        return symmetry.flatMap(cell => [2 * cell, 2 * cell + 1]);
+    }
+};
+
+const ENCODERS = {
+    [legacy4q.name]: legacy4q,
+    [cellEncoder.name]: cellEncoder,
+    [cellPairEncoder.name]: cellPairEncoder
+};
+
+const DEFAULT_ENCODER = cellEncoder.name;
+
+/**
+ * Look up an encoder by name and check it fits the board.
+ *
+ * @param {string} name - Encoder name (defaults to DEFAULT_ENCODER)
+ * @param {Object} geometry - Board shape (default 3×3)
+ * @returns {Object} Encoder
+ * @throws {RuleError} INVALID_ENCODER for unknown names or boards too big
+ *                     for the encoder
+ */
+function getEncoder(name = DEFAULT_ENCODER, geometry = CLASSIC) {
+    const encoder = ENCODERS[name];
+    if (!encoder) {
+        throw new RuleError("INVALID_ENCODER",
+            `Unknown encoder: ${name} (expected ${Object.keys(ENCODERS).join(", ")})`);
+    }
+
+    const qubits = encoder.qubitsFor(geometry.cells);
+    if (qubits > MAX_QUBITS) {
+        throw new RuleError("INVALID_ENCODER",
+            `Encoder ${name} needs ${qubits} qubits on a ${geometry.size}×${geometry.size} board (max ${MAX_QUBITS})`);
+    }
+    return encoder;
+}
+
+/**
+ * Best default for a board: one qubit per cell where that is quick to
+ * simulate (3×3), the 4-qubit legacy encoding on bigger boards.
+ */
+function defaultEncoderFor(geometry = CLASSIC) {
+    return geometry.cells <= 9 ? DEFAULT_ENCODER : legacy4q.name;
+}
+
+/**
+ * Public description of every encoder on a board, for the API and UI.
+ */
+function listEncoders(geometry = CLASSIC) {
+    return Object.values(ENCODERS).map(({ name, description, features, qubitsFor }) => {
+        const qubits = qubitsFor(geometry.cells);
+        return { name, qubits, available: qubits <= MAX_QUBITS, description, features };
+    });
+}
+
+module.exports = { ENCODERS, DEFAULT_ENCODER, MAX_QUBITS, getEncoder, defaultEncoderFor, listEncoders };
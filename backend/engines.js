@@ -0,0 +1,316 @@
+// ============================================================================
+// ENGINE REGISTRY: Pluggable Move Strategies
+// ============================================================================
+// Every way the classic AI can pick a move is an engine with:
+//   name        - id used in requests ({ engine: "heuristic-quantum" })
+//   description - one line for the UI
+//   options     - what it can be configured with: name -> { type, default,
+//                 min, max, keys, description } where type is "integer",
+//                 "number", "boolean" or "object", and keys are the only
+//                 names an object may have (each a number)
+//   chooseMove(boardState, side, options) -> simulateQuantumMove-shaped result
+//
+// Every engine also gets `encoder`, `geometry` and `noise` (a noise model
+// for its circuits, see noise.js) in its options, already checked, and only
+// the options it declares. New engines (another search, a trained policy) register
+// themselves with registerEngine and show up in GET /api/engines.
+//
+// The difficulty levels (difficulty.js) are named presets of these engines.
+// ============================================================================
+
+const { simulateQuantumMove, boardFeatures, DEFAULT_WEIGHTS } = require("./quantumEngine");
+const { searchMove } = require("./searchEngine");
+const { measuredMove, samplingMove, DEFAULT_SHOTS, MAX_SHOTS, DEFAULT_TEMPERATURE } = require("./measurement");
+const { variationalMove } = require("./variationalPolicy");
+const { mctsMove, DEFAULT_ITERATIONS, DEFAULT_PRIOR_PLIES, DEFAULT_PRIOR_TEMPERATURE } = require("./mctsEngine");
+const { RuleError, CLASSIC } = require("./gameRules");
+const { createRng } = require("./rng");
+const { DEFAULT_ENCODER, getEncoder, defaultEncoderFor } = require("./encoders");
+const { checkNoise } = require("./noise");
+
+// The most search a request may ask of mcts. A search holds the server's
+// only thread, so every other player waits for it; bigger budgets are for
+// calling mctsMove directly (tournament.js entrants, scripts).
+const MCTS_MAX_ITERATIONS = 5000;
+const MCTS_MAX_TIME_MS = 500;
+
+// Option type -> how errors describe it
+const OPTION_TYPES = { integer: "an integer", number: "a number", boolean: "true or false", object: "an object" };
+
+// name -> engine, in registration order
+const ENGINES = {};
+
+/**
+ * Pick any empty cell. Still reports quantum features so the analysis
+ * panel looks the same for every engine.
+ */
+function randomMove(boardState, side, rng = Math.random, encoderName = DEFAULT_ENCODER, geometry = CLASSIC, noise = null) {
+    const empty = [];
+    for (let i = 0; i < boardState.length; i++) {
+        if (boardState[i] === null) empty.push(i);
+    }
+    if (empty.length === 0) {
+        throw new RuleError("GAME_OVER", "No empty cells left to play");
+    }
+
+    const chosenCell = empty[Math.floor(rng() * empty.length)];
+    const finalBoard = [...boardState];
+    finalBoard[chosenCell] = side;
+    const features = boardFeatures(finalBoard, encoderName, geometry, noise);
+
+    return {
+        chosenCell,
+        moveAnalysis: [{
+            cellIndex: chosenCell,
+            score: 0,
+            entropy: features.entropy,
+            purity: features.purity,
+            strategy: 'random'
+        }],
+        symbol: side,
+        encoder: encoderName,
+        rawQuantumResult: {
+            measured: "Random move",
+            classicalRegister: chosenCell,
+            probabilities: features.probabilities.slice(0, 16),
+            entropy: features.entropy.toFixed(3),
+            purity: features.purity.toFixed(3),
+            quantumState: `Strategy: RANDOM | Cell ${chosenCell}`
+        }
+    };
+}
+
+/**
+ * Add an engine to the registry (see header for its fields).
+ *
+ * @throws {Error} If the engine is malformed or its name is taken
+ */
+function registerEngine(engine) {
+    const { name, description, options = {}, chooseMove } = engine;
+    if (typeof name !== "string" || name === "" || typeof chooseMove !== "function") {
+        throw new Error("An engine needs a name and a chooseMove function");
+    }
+    if (ENGINES[name]) {
+        throw new Error(`Engine ${name} is already registered`);
+    }
+    Object.entries(options).forEach(([option, spec]) => {
+        if (!OPTION_TYPES[spec.type]) {
+            throw new Error(`Engine ${name}: option ${option} has unknown type ${spec.type}`);
+        }
+    });
+
+    ENGINES[name] = { name, description: description || "", options, chooseMove };
+    return ENGINES[name];
+}
+
+/**
+ * Look up an engine by name.
+ *
+ * @throws {RuleError} INVALID_ENGINE for unknown names
+ */
+function getEngine(name) {
+    const engine = ENGINES[name];
+    if (!engine) {
+        throw new RuleError("INVALID_ENGINE",
+            `Unknown engine: ${name} (expected ${Object.keys(ENGINES).join(", ")})`);
+    }
+    return engine;
+}
+
+/**
+ * Public description of every engine, for the API and UI.
+ */
+function listEngines() {
+    return Object.values(ENGINES).map(({ name, description, options }) => ({ name, description, options }));
+}
+
+/**
+ * Check `options` against what the engine declares. Unset values (undefined
+ * or null) are left out so the engine's own defaults apply.
+ *
+ * @returns {Object} The set options
+ * @throws {RuleError} INVALID_OPTION for undeclared options or bad values
+ */
+function checkOptions(engine, options = {}) {
+    if (typeof options !== "object" || options === null || Array.isArray(options)) {
+        throw new RuleError("INVALID_OPTION", "options must be an object");
+    }
+
+    const checked = {};
+    Object.entries(options).forEach(([option, value]) => {
+        const spec = engine.options[option];
+        if (!spec) {
+            const known = Object.keys(engine.options);
+            throw new RuleError("INVALID_OPTION",
+                `Engine ${engine.name} has no option ${option}` +
+                (known.length > 0 ? ` (options: ${known.join(", ")})` : ""));
+        }
+        if (value === undefined || value === null) return;
+
+        const valid = spec.type === "object" ? typeof value === "object" && !Array.isArray(value)
+            : spec.type === "boolean" ? typeof value === "boolean"
+            : typeof value === "number" && Number.isFinite(value) &&
+              (spec.type !== "integer" || Number.isSafeInteger(value)) &&
+              (spec.min === undefined || value >= spec.min) &&
+              (spec.max === undefined || value <= spec.max);
+        if (!valid) {
+            const range = spec.min !== undefined && spec.max !== undefined ? `from ${spec.min} to ${spec.max}`
+                : spec.min !== undefined ? `of at least ${spec.min}`
+                : spec.max !== undefined ? `of at most ${spec.max}`
+                : "";
+            throw new RuleError("INVALID_OPTION",
+                `${option} must be ${OPTION_TYPES[spec.type]}${range ? ` ${range}` : ""}`);
+        }
+        if (spec.keys) checkKeys(option, spec.keys, value);
+        checked[option] = value;
+    });
+    return checked;
+}
+
+/**
+ * Check an object option against the names it may have; every value must
+ * be a finite number.
+ *
+ * @throws {RuleError} INVALID_OPTION
+ */
+function checkKeys(option, keys, value) {
+    Object.entries(value).forEach(([key, entry]) => {
+        if (!keys.includes(key)) {
+            throw new RuleError("INVALID_OPTION", `${option} has no ${key} (expected ${keys.join(", ")})`);
+        }
+        if (typeof entry !== "number" || !Number.isFinite(entry)) {
+            throw new RuleError("INVALID_OPTION", `${option}.${key} must be a finite number`);
+        }
+    });
+}
+
+/**
+ * The subset of `options` an engine declares, for callers that keep one
+ * set of options for every engine (difficulty levels, game sessions).
+ */
+function selectOptions(name, options = {}) {
+    const engine = getEngine(name);
+    return Object.fromEntries(Object.entries(options).filter(([option]) => engine.options[option]));
+}
+
+/**
+ * Let an engine choose a move.
+ *
+ * @param {string} name - Registered engine name
+ * @param {Array} boardState - Current board state
+ * @param {string} side - Symbol the engine plays
+ * @param {Object} settings
+ * @param {string} settings.encoder - Board encoder (default for the board)
+ * @param {Object} settings.geometry - Board shape (default 3×3)
+ * @param {Object} settings.noise - Noise model for the circuits (see noise.js)
+ * @param {Object} settings.options - The engine's own options (see listEngines)
+ * @returns {Object} The engine's result plus `engine`, and with a noise
+ *                   model `noise: { depolarizing, amplitudeDamping, readout,
+ *                   tvd, fidelity }` comparing the board it leaves as read
+ *                   through the noise with the ideal reading
+ * @throws {RuleError} INVALID_ENGINE, INVALID_ENCODER, INVALID_OPTION
+ */
+function runEngine(name, boardState, side = 'O', { encoder, geometry = CLASSIC, noise, options } = {}) {
+    const engine = getEngine(name);
+    const encoderName = getEncoder(encoder || defaultEncoderFor(geometry), geometry).name;
+    const model = checkNoise(noise);
+
+    const result = engine.chooseMove(boardState, side, {
+        ...checkOptions(engine, options),
+        encoder: encoderName,
+        geometry,
+        noise: model
+    });
+    if (!model) return { ...result, engine: name };
+
+    const finalBoard = [...boardState];
+    finalBoard[result.chosenCell] = side;
+    const distance = boardFeatures(finalBoard, encoderName, geometry, model).noise;
+    return { ...result, engine: name, noise: { ...model, ...distance } };
+}
+
+// ============================================================================
+// BUILT-IN ENGINES
+// ============================================================================
+
+const seedOption = { type: "integer", description: "Makes the engine's random choices reproducible" };
+const weightsOption = { type: "object", keys: Object.keys(DEFAULT_WEIGHTS), description: "Overrides for the heuristic's scoring weights (see DEFAULT_WEIGHTS)" };
+const shotsOption = { type: "integer", default: DEFAULT_SHOTS, min: 1, max: MAX_SHOTS, description: "Measurements of the selection circuit" };
+
+registerEngine({
+    name: "random",
+    description: "Any empty cell",
+    options: { seed: seedOption },
+    chooseMove: (boardState, side, options) =>
+        randomMove(boardState, side, createRng(options.seed), options.encoder, options.geometry, options.noise)
+});
+
+registerEngine({
+    name: "pure-quantum-sampling",
+    description: "Measures a circuit weighted only by the encoder's reading of each move",
+    options: { shots: shotsOption, seed: seedOption },
+    chooseMove: samplingMove
+});
+
+registerEngine({
+    name: "measured-quantum",
+    description: "Heuristic scores turned into a circuit and measured; the most frequent move is played",
+    options: {
+        shots: shotsOption,
+        temperature: { type: "number", default: DEFAULT_TEMPERATURE, description: "Softmax temperature; higher plays more randomly" },
+        seed: seedOption,
+        weights: weightsOption
+    },
+    chooseMove: measuredMove
+});
+
+registerEngine({
+    name: "heuristic-quantum",
+    description: "Win, block, fork and position rules plus the quantum features of each move",
+    options: { weights: weightsOption },
+    chooseMove: simulateQuantumMove
+});
+
+registerEngine({
+    name: "mcts",
+    description: "Monte Carlo tree search (UCT) within an iteration or time budget",
+    options: {
+        iterations: { type: "integer", default: DEFAULT_ITERATIONS, min: 1, max: MCTS_MAX_ITERATIONS, description: "Playouts to run (as many as fit in timeMs when only timeMs is set)" },
+        timeMs: { type: "number", default: MCTS_MAX_TIME_MS, min: 1, max: MCTS_MAX_TIME_MS, description: "Stop searching after this many milliseconds, even if iterations are left" },
+        exploration: { type: "number", default: Math.SQRT2, min: 0, description: "UCT exploration constant" },
+        prior: { type: "boolean", default: false, description: "Sample the first playout moves from each move's quantum score instead of at random" },
+        priorPlies: { type: "integer", default: DEFAULT_PRIOR_PLIES, min: 0, description: "Playout moves the prior picks" },
+        temperature: { type: "number", default: DEFAULT_PRIOR_TEMPERATURE, description: "Softmax temperature of the prior" },
+        seed: seedOption,
+        weights: weightsOption
+    },
+    // The time limit always applies, so a prior (slow) or a big board can't
+    // run past it; without timeMs the default number of iterations is run
+    chooseMove: (boardState, side, options) => mctsMove(boardState, side, {
+        iterations: options.timeMs === undefined ? DEFAULT_ITERATIONS : undefined,
+        timeMs: MCTS_MAX_TIME_MS,
+        ...options
+    })
+});
+
+registerEngine({
+    name: "variational",
+    description: "A circuit trained on solved positions (trainVariational.js) plays its most likely move; 3×3 only",
+    chooseMove: variationalMove
+});
+
+registerEngine({
+    name: "negamax",
+    description: "Game-tree search: perfect on 3×3, depth-limited on bigger boards",
+    options: { depth: { type: "integer", min: 1, description: "Search depth in plies (default: full on 3×3; at most 2 past the default on bigger boards)" } },
+    chooseMove: searchMove
+});
+
+module.exports = {
+    registerEngine,
+    getEngine,
+    listEngines,
+    checkOptions,
+    selectOptions,
+    runEngine
+};
@@ -0,0 +1,279 @@
+// ============================================================================
+// GAME RECORDS: Text Notation for Finished (or Unfinished) Games
+// ============================================================================
+// A record is a block of [Tag "value"] pairs followed by one line per ply:
+//
+//   [Variant "classic"]
+//   [Size "3"]
+//   [WinLength "3"]
+//   [FirstPlayer "X"]
+//   [Difficulty "heuristic"]
+//   [Encoder "cell"]
+//   [Result "O"]
+//
+//   1. X b2
+//   2. O a1 {"chosenCell":0,"moveAnalysis":[...],...}
+//
+// Cells are named like a spreadsheet: column letter, then row number, with
+// a1 in the top-left corner (cell 0) and rows counted downwards. Quantum
+// moves are a spooky mark "a1-b2", a lone last-cell mark "c3", or a collapse
+// "@b2". Anything after the move on the same line is the engine's analysis
+// of that ply as one line of JSON. Blank lines and lines starting with ";"
+// are ignored.
+//
+// Gate moves are the gate and its cells, control first: "X(a1)", "H(b2)",
+// "CNOT(a1,b2)". A gate game also has [Shots] and [Seed] tags for its final
+// measurement.
+//
+// Importing a record replays it through the normal rules, so a hand-edited
+// record can't describe an impossible game.
+// ============================================================================
+
+const gameRules = require("./gameRules");
+const quantumRules = require("./quantumRules");
+const gateRules = require("./gateRules");
+
+const { RuleError } = gameRules;
+
+// Tags written first, in this order; any others follow alphabetically
+const TAG_ORDER = [
+    "Event", "Date", "Variant", "Size", "WinLength", "FirstPlayer", "X", "O",
+    "Difficulty", "Engine", "Encoder", "Seed", "Shots", "Temperature", "Result"
+];
+
+/**
+ * Name of a cell, e.g. 4 -> "b2" on 3×3.
+ */
+function cellName(index, size = 3) {
+    return `${String.fromCharCode(97 + (index % size))}${Math.floor(index / size) + 1}`;
+}
+
+/**
+ * Index of a named cell, e.g. "b2" -> 4 on 3×3.
+ *
+ * @throws {RuleError} INVALID_RECORD if the name isn't a cell on this board
+ */
+function parseCellName(name, size = 3) {
+    const match = /^([a-z])(\d+)$/.exec(name);
+    const col = match ? match[1].charCodeAt(0) - 97 : -1;
+    const row = match ? Number(match[2]) - 1 : -1;
+    if (col < 0 || col >= size || row < 0 || row >= size) {
+        throw new RuleError("INVALID_RECORD", `${name} is not a cell on a ${size}×${size} board`);
+    }
+    return row * size + col;
+}
+
+/**
+ * Notation of one move ({ cell } or { action }), e.g. "b2", "a1-b2", "H(b2)".
+ */
+function formatMove(move, size = 3) {
+    if (move.action && move.action.type === "gate") {
+        return `${move.action.gate}(${move.action.cells.map(cell => cellName(cell, size)).join(",")})`;
+    }
+    if (move.action) {
+        if (move.action.type === "collapse") return `@${cellName(move.action.cell, size)}`;
+        return move.action.cells.map(cell => cellName(cell, size)).join("-");
+    }
+    return cellName(move.cell, size);
+}
+
+function parseMove(text, variant, size) {
+    if (variant === "gates") {
+        const gate = /^([A-Z]+)\(([a-z0-9,]+)\)$/.exec(text);
+        if (!gate) throw new RuleError("INVALID_RECORD", `${text} is not a gate move like H(b2)`);
+        return { action: { type: "gate", gate: gate[1], cells: gate[2].split(",").map(name => parseCellName(name, size)) } };
+    }
+    if (variant !== "quantum") {
+        return { cell: parseCellName(text, size) };
+    }
+    if (text.startsWith("@")) {
+        return { action: { type: "collapse", cell: parseCellName(text.slice(1), size) } };
+    }
+    return { action: { type: "mark", cells: text.split("-").map(name => parseCellName(name, size)) } };
+}
+
+function resultTag(result) {
+    if (!result) return "*";
+    return result.winner;
+}
+
+/**
+ * Write a game as notation.
+ *
+ * @param {Object} record
+ * @param {Object} record.tags - Tag name -> value (undefined/null are skipped)
+ * @param {Array} record.moves - [{ player, cell } or { player, action },
+ *                               each with an optional `analysis`]
+ * @param {Object} record.result - Final result, or null if unfinished
+ * @returns {string} Notation text
+ */
+function formatRecord({ tags, moves, result = null }) {
+    const allTags = { ...tags, Result: resultTag(result) };
+    const names = [
+        ...TAG_ORDER.filter(name => name in allTags),
+        ...Object.keys(allTags).filter(name => !TAG_ORDER.includes(name)).sort()
+    ];
+    const size = Number(allTags.Size) || 3;
+
+    const lines = names
+        .filter(name => allTags[name] !== undefined && allTags[name] !== null)
+        .map(name => `[${name} "${String(allTags[name]).replace(/["\\]/g, "\\$&")}"]`);
+
+    lines.push("");
+    moves.forEach((move, i) => {
+        const analysis = move.analysis ? ` ${JSON.stringify(move.analysis)}` : "";
+        lines.push(`${i + 1}. ${move.player} ${formatMove(move, size)}${analysis}`);
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Read notation back into { tags, moves }. Only the syntax is checked here;
+ * replayRecord checks the moves are legal.
+ *
+ * @param {string} text - Notation text
+ * @returns {Object} { tags, moves }
+ * @throws {RuleError} INVALID_RECORD
+ */
+function parseRecord(text) {
+    if (typeof text !== "string" || text.trim() === "") {
+        throw new RuleError("INVALID_RECORD", "The record is empty");
+    }
+
+    const tags = {};
+    const plies = [];
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (line === "" || line.startsWith(";")) return;
+
+        const tag = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+        if (tag) {
+            tags[tag[1]] = tag[2].replace(/\\(.)/g, "$1");
+            return;
+        }
+
+        const ply = /^(\d+)\.\s+([XO])\s+(\S+)(?:\s+(\{.*\}))?$/.exec(line);
+        if (!ply) {
+            throw new RuleError("INVALID_RECORD", `Line ${i + 1}: can't read "${line.slice(0, 40)}"`);
+        }
+        if (Number(ply[1]) !== plies.length + 1) {
+            throw new RuleError("INVALID_RECORD", `Line ${i + 1}: expected ply ${plies.length + 1}, got ${ply[1]}`);
+        }
+
+        let analysis = null;
+        if (ply[4]) {
+            try {
+                analysis = JSON.parse(ply[4]);
+            } catch (error) {
+                throw new RuleError("INVALID_RECORD", `Line ${i + 1}: the analysis isn't valid JSON`);
+            }
+        }
+        plies.push({ player: ply[2], text: ply[3], analysis });
+    });
+
+    const variant = tags.Variant || "classic";
+    const size = Number(tags.Size || 3);
+    const moves = plies.map(({ player, text: move, analysis }, i) => {
+        try {
+            return { player, ...parseMove(move, variant, size), analysis };
+        } catch (error) {
+            throw new RuleError(error.code, `Ply ${i + 1}: ${error.message}`);
+        }
+    });
+
+    return { tags, moves };
+}
+
+/**
+ * Play a parsed record through the rules.
+ *
+ * @param {Object} record - { tags, moves } from parseRecord
+ * @returns {Object} { variant, size, winLength, firstPlayer, initial, plies,
+ *                   result } where plies[i] = { ply, player, move, notation,
+ *                   analysis, state } and state is the position after it
+ * @throws {RuleError} INVALID_RECORD for anything illegal or inconsistent
+ */
+function replayRecord({ tags, moves }) {
+    const variant = tags.Variant || "classic";
+    const firstPlayer = tags.FirstPlayer || 'X';
+    if (!["classic", "quantum", "gates"].includes(variant)) {
+        throw new RuleError("INVALID_RECORD", `Unknown variant: ${variant}`);
+    }
+    if (firstPlayer !== 'X' && firstPlayer !== 'O') {
+        throw new RuleError("INVALID_RECORD", `FirstPlayer must be X or O, got ${firstPlayer}`);
+    }
+
+    let geometry;
+    try {
+        geometry = gameRules.createGeometry(Number(tags.Size || 3), tags.WinLength ? Number(tags.WinLength) : undefined);
+    } catch (error) {
+        throw new RuleError("INVALID_RECORD", error.message);
+    }
+    if (variant !== "classic" && geometry !== gameRules.CLASSIC) {
+        throw new RuleError("INVALID_RECORD", `The ${variant} variant is only played on 3×3 with 3 in a row`);
+    }
+
+    let initial;
+    try {
+        initial = variant === "quantum" ? quantumRules.createQuantumGame(firstPlayer)
+            : variant === "gates" ? gateRules.createGateGame(firstPlayer, {
+                shots: tags.Shots === undefined ? undefined : Number(tags.Shots),
+                seed: tags.Seed === undefined ? undefined : Number(tags.Seed)
+            })
+            : { board: Array(geometry.cells).fill(null), turn: firstPlayer, result: null };
+    } catch (error) {
+        if (!(error instanceof RuleError)) throw error;
+        throw new RuleError("INVALID_RECORD", error.message);
+    }
+
+    let state = initial;
+    const plies = moves.map((move, i) => {
+        try {
+            if (variant !== "classic") {
+                const toMove = state.pendingCollapse ? state.pendingCollapse.chooser : state.turn;
+                if (state.result) {
+                    throw new RuleError("GAME_OVER", "The game is already over");
+                }
+                if (move.player !== toMove) {
+                    throw new RuleError("NOT_YOUR_TURN", `It is ${toMove}'s turn`);
+                }
+                state = (variant === "gates" ? gateRules : quantumRules).applyAction(state, move.action);
+            } else {
+                state = gameRules.applyMove(state, move.cell, move.player, geometry);
+            }
+        } catch (error) {
+            if (!(error instanceof RuleError)) throw error;
+            throw new RuleError("INVALID_RECORD", `Ply ${i + 1}: ${error.message}`);
+        }
+
+        return {
+            ply: i + 1,
+            player: move.player,
+            move: move.action ? { action: move.action } : { cell: move.cell },
+            notation: formatMove(move, geometry.size),
+            analysis: move.analysis || null,
+            state
+        };
+    });
+
+    const result = state.result || null;
+    if (tags.Result && tags.Result !== resultTag(result)) {
+        throw new RuleError("INVALID_RECORD",
+            `Result tag says ${tags.Result} but the moves give ${resultTag(result)}`);
+    }
+
+    return {
+        variant,
+        size: geometry.size,
+        winLength: geometry.winLength,
+        firstPlayer,
+        tags,
+        initial,
+        plies,
+        result
+    };
+}
+
+module.exports = { cellName, parseCellName, formatMove, formatRecord, parseRecord, replayRecord };
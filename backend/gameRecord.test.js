@@ -0,0 +1,81 @@
+// ============================================================================
+// GAME RECORD TESTS: Notation Round Trips and Importing Records
+// ============================================================================
+
+const test = require("node:test");
+const assert = require("assert");
+const { formatRecord, parseRecord, replayRecord } = require("./gameRecord");
+const { createGame, playMove, getGame, getRecord } = require("./gameSessions");
+const { withServer } = require("./testServer");
+
+/**
+ * Play a game against the AI, the human always taking the first empty cell.
+ */
+function playOut(options) {
+    let { game } = createGame(options);
+    while (!game.result) {
+        const cell = game.state.board.findIndex(mark => mark === null);
+        game = playMove(game.id, { cell }).game;
+    }
+    return game;
+}
+
+test("a record replays to the game it was written from", () => {
+    const game = playOut({ variant: "classic", humanSide: 'X' });
+    const record = getRecord(game.id);
+    const replayed = replayRecord(parseRecord(record));
+
+    assert.deepStrictEqual(replayed.result, game.result);
+    assert.strictEqual(replayed.plies.length, game.history.length);
+    assert.deepStrictEqual(replayed.plies.at(-1).state.board, game.state.board);
+});
+
+test("formatting a parsed record gives the same moves back", () => {
+    const written = formatRecord({
+        tags: { Variant: "quantum", Size: 3, WinLength: 3, FirstPlayer: 'X' },
+        moves: [
+            { player: 'X', action: { type: "mark", cells: [0, 4] } },
+            { player: 'O', action: { type: "mark", cells: [4, 8] } },
+            { player: 'X', action: { type: "mark", cells: [0, 8] } },
+            { player: 'X', action: { type: "collapse", cell: 0 } }
+        ],
+        result: null
+    });
+    const parsed = parseRecord(written);
+
+    assert.strictEqual(parsed.moves.length, 4);
+    assert.strictEqual(replayRecord(parsed).plies.length, 4);
+    assert.strictEqual(formatRecord({ tags: parsed.tags, moves: parsed.moves, result: null }), written);
+});
+
+test("an illegal move in a record is refused", () => {
+    const header = "[Variant \"classic\"]\n[Size \"3\"]\n\n1. X b2\n";
+    // A taken cell, then a player moving twice: both read fine, neither replays
+    ["2. O b2\n", "2. X a1\n"].forEach(ply => {
+        const parsed = parseRecord(header + ply);
+        assert.strictEqual(parsed.moves.length, 2);
+        assert.throws(() => replayRecord(parsed), { code: "INVALID_RECORD", message: /^Ply 2: / });
+    });
+});
+
+test("a record of a big board imports over HTTP", async () => {
+    const game = playOut({ variant: "classic", size: 7, winLength: 5, humanSide: 'X' });
+    assert.strictEqual(getGame(game.id).result, game.result);
+
+    await withServer(async (baseUrl) => {
+        const record = await (await fetch(`${baseUrl}/api/games/${game.id}/record`)).text();
+        // Bigger than a JSON body may be
+        assert.ok(record.length > 100 * 1024, `record is only ${record.length} bytes`);
+
+        const response = await fetch(`${baseUrl}/api/records/replay`, {
+            method: "POST",
+            headers: { "Content-Type": "text/plain" },
+            body: record
+        });
+        assert.strictEqual(response.status, 200);
+        const replayed = await response.json();
+        assert.strictEqual(replayed.size, 7);
+        assert.strictEqual(replayed.plies.length, game.history.length);
+        assert.deepStrictEqual(replayed.result, game.result);
+    });
+});
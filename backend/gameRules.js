@@ -0,0 +1,255 @@
+// ============================================================================
+// TIC-TAC-TOE RULES (any N×N board, K in a row)
+// ============================================================================
+// The single source of truth for board validation, turn order and win/draw
+// detection. The server uses these to own the game; the frontend only
+// displays what comes back.
+//
+// A board is a flat array of N*N cells, row by row. Everything that depends
+// on its shape (win lines, center, corners) lives in a "geometry" object from
+// createGeometry(n, k). CLASSIC is the 3×3, three-in-a-row default, and every
+// function falls back to it.
+// ============================================================================
+
+const MIN_SIZE = 3;
+const MAX_SIZE = 7;
+
+/**
+ * Generate every run of k cells in a row, column or diagonal of an n×n board.
+ *
+ * @param {number} n - Board width and height
+ * @param {number} k - Cells in a row needed to win
+ * @returns {Array} Lines as arrays of cell indices
+ */
+function generateWinLines(n, k) {
+    const lines = [];
+    const directions = [
+        [0, 1],   // Rows
+        [1, 0],   // Columns
+        [1, 1],   // Diagonals
+        [1, -1]   // Anti-diagonals
+    ];
+
+    for (const [dr, dc] of directions) {
+        for (let row = 0; row < n; row++) {
+            for (let col = 0; col < n; col++) {
+                const endRow = row + dr * (k - 1);
+                const endCol = col + dc * (k - 1);
+                if (endRow < 0 || endRow >= n || endCol < 0 || endCol >= n) continue;
+
+                const line = [];
+                for (let step = 0; step < k; step++) {
+                    line.push((row + dr * step) * n + (col + dc * step));
+                }
+                lines.push(line);
+            }
+        }
+    }
+
+    return lines;
+}
+
+// "n,k" -> geometry, so every board shape is built once
+const geometries = new Map();
+
+/**
+ * Describe an n×n board where k in a row wins.
+ *
+ * @param {number} n - Board size (3 to 7)
+ * @param {number} k - Win length (3 to n). Defaults to min(n, 4), which gives
+ *                     the 3×3/3, 4×4/4 and 5×5/4 variants.
+ * @returns {Object} { size, winLength, cells, lines, centers, corners,
+ *                     oppositeCorners, edges, moveOrder, symmetries }
+ * @throws {RuleError} INVALID_SIZE
+ */
+function createGeometry(n = 3, k = Math.min(n, 4)) {
+    if (!Number.isInteger(n) || n < MIN_SIZE || n > MAX_SIZE) {
+        throw new RuleError("INVALID_SIZE", `Board size must be an integer from ${MIN_SIZE} to ${MAX_SIZE}`);
+    }
+    if (!Number.isInteger(k) || k < 3 || k > n) {
+        throw new RuleError("INVALID_SIZE", `Win length must be an integer from 3 to ${n}`);
+    }
+
+    const key = `${n},${k}`;
+    if (geometries.has(key)) return geometries.get(key);
+
+    const cells = n * n;
+    const lines = generateWinLines(n, k);
+    const last = n - 1;
+
+    // One center cell on odd boards, the middle 2×2 on even ones
+    const middle = n % 2 === 1 ? [last / 2] : [n / 2 - 1, n / 2];
+    const centers = [];
+    for (const r of middle) {
+        for (const c of middle) centers.push(r * n + c);
+    }
+
+    const corners = [0, last, last * n, cells - 1];
+    const edges = [];
+    for (let i = 0; i < cells; i++) {
+        const row = Math.floor(i / n);
+        const col = i % n;
+        const onBorder = row === 0 || row === last || col === 0 || col === last;
+        if (onBorder && !corners.includes(i)) edges.push(i);
+    }
+
+    // Cells on more lines first (center, then corners on 3×3): used for search
+    const linesThrough = Array(cells).fill(0);
+    lines.forEach(line => line.forEach(i => linesThrough[i]++));
+    const moveOrder = [...Array(cells).keys()].sort((a, b) => linesThrough[b] - linesThrough[a]);
+
+    // The 8 symmetries of the square (identity first), each as the cell
+    // every cell moves to: rotations, then the same after a mirror
+    const symmetries = [];
+    for (let mirror = 0; mirror < 2; mirror++) {
+        for (let turns = 0; turns < 4; turns++) {
+            symmetries.push([...Array(cells).keys()].map(i => {
+                let row = Math.floor(i / n);
+                let col = mirror ? last - (i % n) : i % n;
+                for (let t = 0; t < turns; t++) [row, col] = [col, last - row];
+                return row * n + col;
+            }));
+        }
+    }
+
+    const geometry = {
+        size: n,
+        winLength: k,
+        cells,
+        lines,
+        centers,
+        corners,
+        oppositeCorners: [[0, cells - 1], [last, last * n]],
+        edges,
+        moveOrder,
+        symmetries
+    };
+    geometries.set(key, geometry);
+    return geometry;
+}
+
+/**
+ * Error raised for anything that breaks the rules.
+ * The `code` (e.g. CELL_OCCUPIED, GAME_OVER) is safe to send to the client.
+ */
+class RuleError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "RuleError";
+        this.code = code;
+    }
+}
+
+const CLASSIC = createGeometry(3, 3);
+
+// The spooky-mark variant is 3×3 only and uses these directly
+const SIZE = CLASSIC.cells;
+const WIN_PATTERNS = CLASSIC.lines;
+
+/**
+ * Find the winner of a board.
+ *
+ * @param {Array} board - Cells of 'X', 'O' or null
+ * @param {Object} geometry - Board shape from createGeometry
+ * @returns {Object|null} { winner, line } or null if nobody has k in a row
+ */
+function findWinner(board, geometry = CLASSIC) {
+    for (const line of geometry.lines) {
+        const first = board[line[0]];
+        if (first && line.every(i => board[i] === first)) {
+            return { winner: first, line };
+        }
+    }
+    return null;
+}
+
+/**
+ * Result of a board: a win, a draw (full board) or null.
+ *
+ * @returns {Object|null} { winner: 'X'|'O'|'draw', line }
+ */
+function evaluateBoard(board, geometry = CLASSIC) {
+    const win = findWinner(board, geometry);
+    if (win) return win;
+    if (board.every(cell => cell !== null)) return { winner: "draw", line: null };
+    return null;
+}
+
+/**
+ * Check that a client-supplied board could have come from a real game in
+ * which `firstPlayer` moved first, and that it isn't already finished.
+ *
+ * @param {Array} board - Board to check
+ * @param {string} firstPlayer - Who opened the game
+ * @param {Object} geometry - Board shape from createGeometry
+ * @returns {string} The player to move
+ * @throws {RuleError} INVALID_BOARD or GAME_OVER
+ */
+function validateBoard(board, firstPlayer = 'X', geometry = CLASSIC) {
+    if (!Array.isArray(board) || board.length !== geometry.cells) {
+        throw new RuleError("INVALID_BOARD", `Board must have ${geometry.cells} cells`);
+    }
+    if (!board.every(cell => cell === null || cell === 'X' || cell === 'O')) {
+        throw new RuleError("INVALID_BOARD", "Cells must be 'X', 'O' or null");
+    }
+
+    const second = firstPlayer === 'X' ? 'O' : 'X';
+    const firstCount = board.filter(cell => cell === firstPlayer).length;
+    const secondCount = board.filter(cell => cell === second).length;
+
+    if (firstCount !== secondCount && firstCount !== secondCount + 1) {
+        throw new RuleError("INVALID_BOARD", "Move counts don't match a legal game");
+    }
+    if (evaluateBoard(board, geometry)) {
+        throw new RuleError("GAME_OVER", "The game is already over");
+    }
+
+    return firstCount === secondCount ? firstPlayer : second;
+}
+
+/**
+ * Play `symbol` in `cell`, checking the move is legal.
+ *
+ * @param {Object} state - { board, turn, result }
+ * @param {number} cell - Cell index 0 to N*N-1
+ * @param {string} symbol - Player making the move
+ * @param {Object} geometry - Board shape from createGeometry
+ * @returns {Object} New state with the move applied and result updated
+ * @throws {RuleError} GAME_OVER, NOT_YOUR_TURN, INVALID_CELL or CELL_OCCUPIED
+ */
+function applyMove(state, cell, symbol, geometry = CLASSIC) {
+    if (state.result) {
+        throw new RuleError("GAME_OVER", "The game is already over");
+    }
+    if (symbol !== state.turn) {
+        throw new RuleError("NOT_YOUR_TURN", `It is ${state.turn}'s turn`);
+    }
+    if (!Number.isInteger(cell) || cell < 0 || cell >= geometry.cells) {
+        throw new RuleError("INVALID_CELL", `Cell ${cell} is not on the board`);
+    }
+    if (state.board[cell] !== null) {
+        throw new RuleError("CELL_OCCUPIED", `Cell ${cell} is already taken`);
+    }
+
+    const board = [...state.board];
+    board[cell] = symbol;
+
+    return {
+        board,
+        turn: symbol === 'X' ? 'O' : 'X',
+        result: evaluateBoard(board, geometry)
+    };
+}
+
+module.exports = {
+    SIZE,
+    WIN_PATTERNS,
+    CLASSIC,
+    RuleError,
+    generateWinLines,
+    createGeometry,
+    findWinner,
+    evaluateBoard,
+    validateBoard,
+    applyMove
+};
@@ -0,0 +1,582 @@
+// ============================================================================
+// GAME SESSIONS: Server-Owned Games
+// ============================================================================
+// The server keeps every game in memory and is the only one allowed to change
+// it. Clients send the move they want to make; the server checks turn order
+// and legality, plays the AI's reply and decides wins and draws.
+//
+// A game keeps every position it has reached as a tree. Undo, redo and goto
+// move the current position around that tree; playing a new move from an
+// earlier position starts a branch and the old line stays in the tree.
+//
+// Whenever a game reaches its end it is saved to the game store (see
+// gameStore.js) for the stats and leaderboard. A game nobody has used for
+// SESSION_TTL_MS is dropped from memory.
+// ============================================================================
+
+const crypto = require("crypto");
+const gameRules = require("./gameRules");
+const quantumRules = require("./quantumRules");
+const gateRules = require("./gateRules");
+const { simulateSpookyMove, describeCircuit, describeQuantumCircuit } = require("./quantumEngine");
+const { simulateGateMove } = require("./gateEngine");
+const { DIFFICULTIES, DIFFICULTY_ENGINES, DEFAULT_DIFFICULTY, chooseMove } = require("./difficulty");
+const { getEngine, checkOptions, selectOptions, runEngine } = require("./engines");
+const { timeEngine } = require("./metrics");
+const { checkNoise } = require("./noise");
+const { deriveSeed, isValidSeed } = require("./rng");
+const { getEncoder, defaultEncoderFor } = require("./encoders");
+const { formatRecord } = require("./gameRecord");
+const gameStore = require("./gameStore");
+
+const { RuleError } = gameRules;
+
+const VARIANTS = ["classic", "quantum", "gates"];
+
+// Games untouched for this long are dropped
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+// id -> session
+const sessions = new Map();
+
+/**
+ * Start a new game. If the AI moves first it plays its opening right away.
+ *
+ * @param {Object} options
+ * @param {string} options.variant - 'classic', 'quantum' (spooky marks) or
+ *                                   'gates' (see gateRules.js)
+ * @param {number} options.size - Board width and height (classic only; 3 to 7)
+ * @param {number} options.winLength - Marks in a row needed to win (classic only)
+ * @param {string} options.humanSide - Symbol the human plays ('X' or 'O')
+ * @param {boolean} options.aiFirst - Let the AI make the first move
+ * @param {string} options.difficulty - Classic AI strength (see difficulty.js)
+ * @param {string} options.engine - Or a classic engine from the registry
+ *                                  (see engines.js); overrides difficulty
+ * @param {Object} options.options - The engine's own options
+ * @param {number} options.seed - Makes random and measured AI moves (and the
+ *                                gate variant's final measurement) reproducible
+ * @param {number} options.shots - Shots per measured move; in the gate
+ *                                 variant, readings of the final board (default 1)
+ * @param {number} options.temperature - Softmax temperature for measured moves
+ * @param {string} options.encoder - Board encoder for the quantum features
+ * @param {Object} options.noise - Noise model for the classic AI's circuits
+ *                                 (see noise.js)
+ * @param {boolean} options.circuit - Add the encoding circuit to the AI's
+ *                                    analysis (see describeCircuit)
+ * @returns {Object} { game, analysis } where analysis is the AI's opening
+ *                   (null if the human moves first)
+ */
+function createGame({
+    variant = "classic",
+    size = 3,
+    winLength,
+    humanSide = 'X',
+    aiFirst = false,
+    difficulty = DEFAULT_DIFFICULTY,
+    engine,
+    options,
+    seed,
+    shots,
+    temperature,
+    encoder,
+    noise,
+    circuit = false
+} = {}) {
+    if (!VARIANTS.includes(variant)) {
+        throw new RuleError("INVALID_VARIANT", `Unknown variant: ${variant}`);
+    }
+    if (humanSide !== 'X' && humanSide !== 'O') {
+        throw new RuleError("INVALID_SIDE", `Side must be 'X' or 'O', got ${humanSide}`);
+    }
+    const geometry = gameRules.createGeometry(size, winLength);
+    if (variant !== "classic" && geometry !== gameRules.CLASSIC) {
+        throw new RuleError("INVALID_SIZE", `The ${variant} variant is only played on 3×3 with 3 in a row`);
+    }
+    checkDifficulty(difficulty);
+    if (engine !== undefined) checkEngine(engine, options);
+    if (!isValidSeed(seed)) {
+        throw new RuleError("INVALID_OPTION", "seed must be an integer");
+    }
+    encoder = getEncoder(encoder || defaultEncoderFor(geometry), geometry).name;
+    noise = checkNoise(noise) || undefined;
+
+    const ai = humanSide === 'X' ? 'O' : 'X';
+    const firstPlayer = aiFirst ? ai : humanSide;
+
+    const state = variant === "quantum" ? quantumRules.createQuantumGame(firstPlayer)
+        : variant === "gates" ? gateRules.createGateGame(firstPlayer, { shots, seed })
+        : { board: Array(geometry.cells).fill(null), turn: firstPlayer, result: null };
+
+    const session = {
+        id: crypto.randomUUID(),
+        variant,
+        geometry,
+        human: humanSide,
+        ai,
+        firstPlayer,
+        difficulty,
+        // A registry engine picked by name instead of a difficulty level
+        engine: engine === undefined ? null : { name: engine, options: options || {} },
+        engineOptions: { seed, shots, temperature, encoder, noise },
+        // Node 0 is the start; `next` is the child redo follows
+        nodes: [{ id: 0, parent: null, move: null, state, children: [], next: null }],
+        current: 0,
+        state,
+        history: [],
+        createdAt: new Date().toISOString()
+    };
+
+    const analysis = aiFirst ? playAiTurn(session) : null;
+
+    sessions.set(session.id, session);
+    touch(session);
+    return { game: toPublic(session), analysis: circuit ? withCircuit(session, analysis) : analysis };
+}
+
+function findSession(id) {
+    const session = sessions.get(id);
+    if (!session) {
+        throw new RuleError("GAME_NOT_FOUND", `No game with id ${id}`);
+    }
+    touch(session);
+    return session;
+}
+
+/**
+ * Restart the game's expiry: it's dropped SESSION_TTL_MS after its last use.
+ */
+function touch(session) {
+    clearTimeout(session.expiry);
+    session.expiry = setTimeout(() => sessions.delete(session.id), SESSION_TTL_MS);
+    session.expiry.unref();
+}
+
+/**
+ * Current state of a game.
+ */
+function getGame(id) {
+    return toPublic(findSession(id));
+}
+
+/**
+ * The game as notation (see gameRecord.js), including the AI's analysis of
+ * each of its moves.
+ */
+function getRecord(id) {
+    const session = findSession(id);
+    const { temperature, encoder } = session.engineOptions;
+    // A gate game's measurement settings live in its state (with the seed
+    // picked for it if none was given)
+    const { seed, shots } = session.variant === "gates" ? session.state : session.engineOptions;
+
+    return formatRecord({
+        tags: {
+            Event: "Quantum Tic-Tac-Toe",
+            Date: session.createdAt.slice(0, 10),
+            Variant: session.variant,
+            Size: session.geometry.size,
+            WinLength: session.geometry.winLength,
+            FirstPlayer: session.firstPlayer,
+            [session.human]: "Human",
+            [session.ai]: "AI",
+            Difficulty: session.variant === "classic" && !session.engine ? session.difficulty : undefined,
+            Engine: session.variant === "classic" && session.engine ? session.engine.name : undefined,
+            Encoder: encoder,
+            Seed: seed,
+            Shots: shots,
+            Temperature: temperature
+        },
+        moves: session.history,
+        result: session.state.result
+    });
+}
+
+/**
+ * Play the human's move, then let the AI reply if the game isn't over.
+ *
+ * @param {string} id - Game id
+ * @param {Object} move - Classic: { cell }. Quantum and gates: { action }.
+ *                        Optional `player` is checked against the turn.
+ *                        Optional `difficulty`, or `engine` and `options`,
+ *                        change the AI from now on.
+ *                        Optional `circuit: true` adds the encoding circuit
+ *                        of the board after the AI's reply to the analysis.
+ * @returns {Object} { game, analysis } where analysis is the AI's reasoning
+ *                   (null if the AI didn't move)
+ * @throws {RuleError} GAME_NOT_FOUND, GAME_OVER, NOT_YOUR_TURN, CELL_OCCUPIED, ...
+ */
+function playMove(id, move = {}) {
+    const session = findSession(id);
+    const player = move.player || session.human;
+
+    if (session.state.result) {
+        throw new RuleError("GAME_OVER", "The game is already over");
+    }
+    if (player !== session.human || currentPlayer(session) !== session.human) {
+        throw new RuleError("NOT_YOUR_TURN", `It is ${currentPlayer(session)}'s turn`);
+    }
+
+    if (move.difficulty !== undefined) checkDifficulty(move.difficulty);
+    if (move.engine !== undefined) checkEngine(move.engine, move.options);
+
+    // applyTurn checks the move before changing anything, so a rejected
+    // move leaves the session untouched. If the AI's reply fails, our move
+    // is taken back too, so the game never waits on an AI that can't move.
+    const saved = checkpoint(session);
+    let analysis = null;
+    try {
+        applyTurn(session, player, move);
+        if (move.difficulty !== undefined) {
+            session.difficulty = move.difficulty;
+            session.engine = null;
+        }
+        if (move.engine !== undefined) session.engine = { name: move.engine, options: move.options || {} };
+
+        if (!session.state.result && currentPlayer(session) === session.ai) {
+            analysis = playAiTurn(session);
+        }
+    } catch (error) {
+        restore(session, saved);
+        throw error;
+    }
+
+    saveIfFinished(session);
+    return { game: toPublic(session), analysis: move.circuit ? withCircuit(session, analysis) : analysis };
+}
+
+/**
+ * Take back the human's last move together with the AI's reply.
+ *
+ * @returns {Object} { game, analysis } where analysis is the AI's reasoning
+ *                   for the last AI move still on the board (or null)
+ * @throws {RuleError} GAME_NOT_FOUND, NOTHING_TO_UNDO
+ */
+function undo(id) {
+    const session = findSession(id);
+    const node = undoTarget(session);
+    if (!node) {
+        throw new RuleError("NOTHING_TO_UNDO", "There is no move of yours to take back");
+    }
+
+    moveTo(session, node.id);
+    return { game: toPublic(session), analysis: lastAiAnalysis(session) };
+}
+
+/**
+ * Replay the moves undo took back, up to the human's next turn.
+ *
+ * @throws {RuleError} GAME_NOT_FOUND, NOTHING_TO_REDO
+ */
+function redo(id) {
+    const session = findSession(id);
+    if (session.nodes[session.current].next === null) {
+        throw new RuleError("NOTHING_TO_REDO", "There is no move to replay");
+    }
+
+    followToHumanTurn(session);
+    saveIfFinished(session);
+    return { game: toPublic(session), analysis: lastAiAnalysis(session) };
+}
+
+/**
+ * Jump to any position in the move tree. Landing on a position where the
+ * AI is to move follows its earlier reply (or plays one), so it's always
+ * the human's turn or the game is over afterwards.
+ *
+ * @param {string} id - Game id
+ * @param {number} nodeId - Node from `moveTree.nodes`
+ * @throws {RuleError} GAME_NOT_FOUND, INVALID_NODE
+ */
+function goTo(id, nodeId) {
+    const session = findSession(id);
+    if (!Number.isInteger(nodeId) || !session.nodes[nodeId]) {
+        throw new RuleError("INVALID_NODE", `No position ${nodeId} in this game`);
+    }
+
+    const saved = checkpoint(session);
+    let analysis;
+    try {
+        moveTo(session, nodeId);
+        followToHumanTurn(session);
+
+        analysis = lastAiAnalysis(session);
+        if (!session.state.result && currentPlayer(session) === session.ai) {
+            analysis = playAiTurn(session);
+        }
+    } catch (error) {
+        restore(session, saved);
+        throw error;
+    }
+    saveIfFinished(session);
+    return { game: toPublic(session), analysis };
+}
+
+function playerToMove(session, state) {
+    if (session.variant === "quantum" && state.pendingCollapse) {
+        return state.pendingCollapse.chooser;
+    }
+    return state.turn;
+}
+
+function currentPlayer(session) {
+    return playerToMove(session, session.state);
+}
+
+/**
+ * Make `nodeId` the current position.
+ */
+function moveTo(session, nodeId) {
+    const history = [];
+    for (let node = session.nodes[nodeId]; node.parent !== null; node = session.nodes[node.parent]) {
+        history.unshift(node.move);
+    }
+    session.current = nodeId;
+    session.state = session.nodes[nodeId].state;
+    session.history = history;
+}
+
+/**
+ * Where the game stands, so a turn that fails halfway can be undone with
+ * restore.
+ */
+function checkpoint(session) {
+    return {
+        current: session.current,
+        nodes: session.nodes.length,
+        next: session.nodes.map(node => node.next),
+        difficulty: session.difficulty,
+        engine: session.engine
+    };
+}
+
+/**
+ * Go back to a checkpoint, dropping the positions added since.
+ */
+function restore(session, saved) {
+    session.nodes.length = saved.nodes;
+    session.nodes.forEach((node, i) => {
+        node.next = saved.next[i];
+        node.children = node.children.filter(child => child < saved.nodes);
+    });
+    session.difficulty = saved.difficulty;
+    session.engine = saved.engine;
+    moveTo(session, saved.current);
+}
+
+/**
+ * Follow the redo line until the human is to move or the game is over.
+ */
+function followToHumanTurn(session) {
+    let node = session.nodes[session.current];
+    while (node.next !== null) {
+        node = session.nodes[node.next];
+        if (node.state.result || playerToMove(session, node.state) === session.human) break;
+    }
+    moveTo(session, node.id);
+}
+
+/**
+ * The last position before the current one where the human was about to
+ * start a turn (so not halfway through choosing a collapse), or null.
+ */
+function undoTarget(session) {
+    let node = session.nodes[session.current];
+    while (node.parent !== null) {
+        node = session.nodes[node.parent];
+        if (playerToMove(session, node.state) === session.human && !node.state.pendingCollapse) return node;
+    }
+    return null;
+}
+
+function lastAiAnalysis(session) {
+    const move = [...session.history].reverse().find(m => m.analysis);
+    return move ? move.analysis : null;
+}
+
+/**
+ * Play a move from the current position. A move that was already played
+ * from here follows the existing branch instead of adding a new one.
+ */
+function applyTurn(session, player, move) {
+    const parent = session.nodes[session.current];
+    const played = session.variant === "classic"
+        ? { player, cell: move.cell }
+        : { player, action: move.action };
+    const state = session.variant === "quantum" ? quantumRules.applyAction(parent.state, move.action)
+        : session.variant === "gates" ? gateRules.applyAction(parent.state, move.action)
+        : gameRules.applyMove(parent.state, move.cell, player, session.geometry);
+
+    const key = JSON.stringify(move.action || move.cell);
+    let child = parent.children
+        .map(childId => session.nodes[childId])
+        .find(node => node.move.player === player && JSON.stringify(node.move.action || node.move.cell) === key);
+
+    if (!child) {
+        child = { id: session.nodes.length, parent: parent.id, move: played, state, children: [], next: null };
+        session.nodes.push(child);
+        parent.children.push(child.id);
+    }
+    parent.next = child.id;
+    moveTo(session, child.id);
+}
+
+function playAiTurn(session) {
+    if (session.variant === "quantum") {
+        const analysis = timeEngine("spooky", () =>
+            simulateSpookyMove(session.state, { encoder: session.engineOptions.encoder }));
+        applyTurn(session, session.ai, { action: analysis.action });
+        recordAnalysis(session, analysis);
+
+        // Closing a cycle means the AI also picks the collapse
+        if (session.state.pendingCollapse) {
+            applyTurn(session, session.ai, { action: { type: "collapse", cell: analysis.collapseTo } });
+        }
+        return analysis;
+    }
+
+    if (session.variant === "gates") {
+        const analysis = timeEngine("gates", () => simulateGateMove(session.state));
+        applyTurn(session, session.ai, { action: analysis.action });
+        recordAnalysis(session, analysis);
+        return analysis;
+    }
+
+    // Each AI move gets its own stream derived from the game seed
+    const { seed, ...options } = session.engineOptions;
+    const moveSeed = deriveSeed(seed, session.history.length);
+    const analysis = timeEngine(session.engine ? session.engine.name : DIFFICULTY_ENGINES[session.difficulty], () =>
+        session.engine
+            ? runEngine(session.engine.name, session.state.board, session.ai, {
+                encoder: options.encoder,
+                geometry: session.geometry,
+                noise: options.noise,
+                // The game's shots and seed apply unless the engine's options say otherwise
+                options: {
+                    ...selectOptions(session.engine.name, { shots: options.shots, temperature: options.temperature, seed: moveSeed }),
+                    ...session.engine.options
+                }
+            })
+            : chooseMove(session.state.board, session.ai, session.difficulty, {
+                ...options,
+                geometry: session.geometry,
+                seed: moveSeed
+            }));
+    applyTurn(session, session.ai, { cell: analysis.chosenCell });
+    recordAnalysis(session, analysis);
+    return analysis;
+}
+
+/**
+ * A copy of the AI's analysis with the circuit for the board it left.
+ * The circuit is only for display, so it isn't kept in the game record.
+ */
+function withCircuit(session, analysis) {
+    if (!analysis) return analysis;
+    if (session.variant === "gates") {
+        // The game itself is the circuit
+        return { ...analysis, circuit: describeQuantumCircuit(gateRules.buildCircuit(session.state), "gates") };
+    }
+    const board = session.variant === "quantum"
+        ? quantumRules.toClassicalBoard(session.state)
+        : session.state.board;
+    return { ...analysis, circuit: describeCircuit(board, session.engineOptions.encoder, session.geometry) };
+}
+
+// Kept with the move for game records; toPublic leaves it out
+function recordAnalysis(session, analysis) {
+    const node = session.nodes[session.current];
+    node.move = { ...node.move, analysis };
+    session.history[session.history.length - 1] = node.move;
+}
+
+/**
+ * Store the game if the current position is a finished one. After a
+ * takeback the line finished last replaces the one stored before.
+ */
+function saveIfFinished(session) {
+    const { result } = session.state;
+    if (!result) return;
+
+    const engine = session.variant === "classic" ? engineName(session)
+        : session.variant === "gates" ? "gates"
+        : "spooky";
+    gameStore.saveGame({
+        id: session.id,
+        source: "ai",
+        variant: session.variant,
+        geometry: session.geometry,
+        firstPlayer: session.firstPlayer,
+        players: { [session.human]: "human", [session.ai]: "ai" },
+        engine: { name: engine, ...aiOptions(session) },
+        moves: session.history,
+        result,
+        startedAt: session.createdAt
+    });
+}
+
+function checkDifficulty(difficulty) {
+    if (!DIFFICULTIES.includes(difficulty)) {
+        throw new RuleError("INVALID_DIFFICULTY", `Unknown difficulty: ${difficulty}`);
+    }
+}
+
+function checkEngine(name, options) {
+    checkOptions(getEngine(name), options);
+}
+
+/**
+ * The AI's name for stats and records: the difficulty level, or the
+ * registry engine when one was picked by name.
+ */
+function engineName(session) {
+    return session.engine ? session.engine.name : session.difficulty;
+}
+
+// The game's engine options with a registry engine's own options on top
+function aiOptions(session) {
+    return { ...session.engineOptions, ...(session.engine ? session.engine.options : {}) };
+}
+
+function toPublic(session) {
+    return {
+        id: session.id,
+        variant: session.variant,
+        size: session.geometry.size,
+        winLength: session.geometry.winLength,
+        human: session.human,
+        ai: session.ai,
+        firstPlayer: session.firstPlayer,
+        difficulty: session.difficulty,
+        engine: session.engine ? session.engine.name : DIFFICULTY_ENGINES[session.difficulty],
+        engineOptions: aiOptions(session),
+        turn: currentPlayer(session),
+        state: session.state,
+        history: session.history.map(({ analysis, ...move }) => move),
+        moveTree: publicTree(session),
+        result: session.state.result,
+        createdAt: session.createdAt
+    };
+}
+
+/**
+ * The move tree for the move list: every node with its move (no analysis),
+ * plus where we are and whether undo/redo would do anything.
+ */
+function publicTree(session) {
+    const nodes = session.nodes.map(node => {
+        let ply = 0;
+        for (let n = node; n.parent !== null; n = session.nodes[n.parent]) ply++;
+        const { analysis, ...move } = node.move || {};
+        // A copy, so a game handed out earlier doesn't change with the session
+        return { id: node.id, parent: node.parent, ply, move: node.move ? move : null, children: [...node.children] };
+    });
+
+    return {
+        nodes,
+        current: session.current,
+        canUndo: undoTarget(session) !== null,
+        canRedo: session.nodes[session.current].next !== null
+    };
+}
+
+module.exports = { createGame, getGame, getRecord, playMove, undo, redo, goTo };
@@ -0,0 +1,104 @@
+// ============================================================================
+// GAME SESSION TESTS: Refused Moves, Takebacks and the Move Tree
+// ============================================================================
+
+const test = require("node:test");
+const assert = require("assert");
+const { createGame, getGame, playMove, undo, redo, goTo } = require("./gameSessions");
+
+test("a game with bad settings is refused with the setting's code", () => {
+    const refused = [
+        [{ variant: "chess" }, "INVALID_VARIANT"],
+        [{ humanSide: 'Z' }, "INVALID_SIDE"],
+        [{ size: 9 }, "INVALID_SIZE"],
+        [{ variant: "quantum", size: 4 }, "INVALID_SIZE"],
+        [{ difficulty: "impossible" }, "INVALID_DIFFICULTY"],
+        [{ engine: "deep-blue" }, "INVALID_ENGINE"],
+        [{ engine: "mcts", options: { iterations: 0 } }, "INVALID_OPTION"],
+        [{ seed: 1.5 }, "INVALID_OPTION"]
+    ];
+    refused.forEach(([settings, code]) =>
+        assert.throws(() => createGame(settings), { code }, JSON.stringify(settings)));
+});
+
+test("moves out of turn, on taken cells or in unknown games are refused", () => {
+    const { game } = createGame({ humanSide: 'O', aiFirst: true });
+    const taken = game.state.board.findIndex(mark => mark !== null);
+
+    assert.throws(() => getGame("no-such-game"), { code: "GAME_NOT_FOUND" });
+    assert.throws(() => playMove("no-such-game", { cell: 0 }), { code: "GAME_NOT_FOUND" });
+    assert.throws(() => playMove(game.id, { cell: taken }), { code: "CELL_OCCUPIED" });
+    assert.throws(() => playMove(game.id, { cell: 0, player: 'X' }), { code: "NOT_YOUR_TURN" });
+    assert.throws(() => playMove(game.id, { cell: 0, difficulty: "impossible" }), { code: "INVALID_DIFFICULTY" });
+
+    // None of them changed the game
+    assert.deepStrictEqual(getGame(game.id).state, game.state);
+});
+
+test("a finished game takes no more moves", () => {
+    let { game } = createGame({ difficulty: "unbeatable" });
+    while (!game.result) {
+        game = playMove(game.id, { cell: game.state.board.indexOf(null) }).game;
+    }
+    assert.throws(() => playMove(game.id, { cell: game.state.board.indexOf(null) }), { code: "GAME_OVER" });
+});
+
+test("the human's move is taken back when the AI can't reply", () => {
+    // The variational circuit only plays 3×3
+    const { game } = createGame({ size: 4, engine: "variational" });
+    assert.throws(() => playMove(game.id, { cell: 5 }), { code: "INVALID_SIZE" });
+
+    const after = getGame(game.id);
+    assert.strictEqual(after.turn, 'X');
+    assert.deepStrictEqual(after.state, game.state);
+    assert.deepStrictEqual(after.moveTree, game.moveTree);
+
+    // The game goes on with an engine that can
+    const { game: played } = playMove(game.id, { cell: 5, engine: "heuristic-quantum" });
+    assert.strictEqual(played.state.board.filter(mark => mark !== null).length, 2);
+});
+
+test("undo takes back our move and the reply, and redo plays them again", () => {
+    const { game } = createGame({ difficulty: "unbeatable" });
+    assert.throws(() => undo(game.id), { code: "NOTHING_TO_UNDO" });
+
+    const played = playMove(game.id, { cell: 0 }).game;
+    assert.throws(() => redo(game.id), { code: "NOTHING_TO_REDO" });
+
+    const undone = undo(game.id).game;
+    assert.deepStrictEqual(undone.state, game.state);
+    assert.deepStrictEqual(undone.history, []);
+    assert.strictEqual(undone.moveTree.canRedo, true);
+
+    const redone = redo(game.id).game;
+    assert.deepStrictEqual(redone.state, played.state);
+    assert.deepStrictEqual(redone.history, played.history);
+    assert.strictEqual(redone.moveTree.nodes.length, played.moveTree.nodes.length);
+});
+
+test("a different move after undo starts a branch, and goto returns to the old one", () => {
+    const { game } = createGame({ difficulty: "unbeatable" });
+    const first = playMove(game.id, { cell: 0 }).game;
+    undo(game.id);
+
+    // Playing the same move again follows the branch that's there
+    assert.strictEqual(playMove(game.id, { cell: 0 }).game.moveTree.nodes.length, first.moveTree.nodes.length);
+    undo(game.id);
+
+    const second = playMove(game.id, { cell: 8 }).game;
+    const root = second.moveTree.nodes[0];
+    assert.strictEqual(root.children.length, 2);
+    assert.strictEqual(second.moveTree.nodes.length, first.moveTree.nodes.length + 2);
+
+    // Redo follows the branch played last
+    undo(game.id);
+    assert.deepStrictEqual(redo(game.id).game.state, second.state);
+
+    // The first branch is still there: its human move, then the AI's reply
+    const back = goTo(game.id, root.children[0]).game;
+    assert.deepStrictEqual(back.state, first.state);
+    assert.strictEqual(back.moveTree.current, first.moveTree.current);
+
+    assert.throws(() => goTo(game.id, 99), { code: "INVALID_NODE" });
+    assert.throws(() => goTo(game.id, "0"), { code: "INVALID_NODE" });
+});
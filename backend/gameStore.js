@@ -0,0 +1,238 @@
+// ============================================================================
+// GAME STORE: Finished Games on Disk
+// ============================================================================
+// Every finished game, against the AI or in a room, is kept in one JSON
+// file so results survive a restart. The stats and leaderboard routes are
+// computed from it.
+//
+// The file is backend/data/games.json unless GAME_STORE points elsewhere.
+// It is read once, on first use, and rewritten through a temporary file on
+// every save so a crash can't leave half a file behind. A game is stored
+// under its id: finishing an AI game again after a takeback replaces the
+// earlier result instead of counting twice.
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { RuleError } = require("./gameRules");
+const { formatMove } = require("./gameRecord");
+const { countFinishedGame } = require("./metrics");
+
+const STORE_PATH = process.env.GAME_STORE || path.join(__dirname, "data", "games.json");
+
+// Loaded lazily; id -> stored game, in the order they were first saved
+let games = null;
+
+function load() {
+    if (games) return games;
+
+    games = new Map();
+    if (fs.existsSync(STORE_PATH)) {
+        const stored = JSON.parse(fs.readFileSync(STORE_PATH, "utf8"));
+        stored.forEach(game => games.set(game.id, game));
+    }
+    return games;
+}
+
+function persist() {
+    fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+    const temp = `${STORE_PATH}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify([...games.values()]));
+    fs.renameSync(temp, STORE_PATH);
+}
+
+function sameAction(a, b) {
+    if (!a || !b || a.type !== b.type) return false;
+    if (a.type === "collapse") return a.cell === b.cell;
+    return [...a.cells].sort().join() === [...b.cells].sort().join();
+}
+
+/**
+ * The engine's strategy label for a move, from the analysis saved with it
+ * (null for moves nobody analyzed, like the AI's follow-up collapse).
+ */
+function strategyOf(move) {
+    const candidates = move.analysis && move.analysis.moveAnalysis;
+    if (!candidates) return null;
+
+    const match = move.action
+        ? candidates.find(candidate => sameAction(candidate.action, move.action))
+        : candidates.find(candidate => candidate.cellIndex === move.cell);
+    return match ? match.strategy : null;
+}
+
+/**
+ * Save a finished game, replacing any earlier game with the same id. The
+ * same game saved again with the same moves is left as it was, and not
+ * counted again.
+ *
+ * @param {Object} game
+ * @param {string} game.id - Unique id (session id, or room code and game number)
+ * @param {string} game.source - 'ai' or 'room'
+ * @param {string} game.variant - 'classic', 'quantum' or 'gates'
+ * @param {Object} game.geometry - Board shape from createGeometry
+ * @param {string} game.firstPlayer - 'X' or 'O'
+ * @param {Object} game.players - { X, O }, each 'human' or 'ai'
+ * @param {Object} game.engine - { name, ...options } of the AI, or null
+ * @param {Array} game.moves - History with each AI move's `analysis`
+ * @param {Object} game.result - Final result ({ winner, ... })
+ * @param {string} game.startedAt - ISO date the game started
+ * @returns {Object} The stored game
+ */
+function saveGame({ id, source, variant, geometry, firstPlayer, players, engine, moves, result, startedAt }) {
+    const stored = {
+        id,
+        source,
+        variant,
+        size: geometry.size,
+        winLength: geometry.winLength,
+        firstPlayer,
+        players,
+        engine,
+        moves: moves.map(({ analysis, ...move }) => ({ ...move, strategy: strategyOf({ analysis, ...move }) })),
+        winner: result.winner,
+        result,
+        startedAt,
+        finishedAt: new Date().toISOString()
+    };
+
+    // Stepping back onto the same ending (redo, goto) is not a new game
+    const previous = load().get(id);
+    if (previous && previous.winner === stored.winner &&
+        JSON.stringify(previous.moves) === JSON.stringify(stored.moves)) {
+        return previous;
+    }
+
+    games.set(id, stored);
+    persist();
+    countFinishedGame(stored);
+    return stored;
+}
+
+/**
+ * Games matching a filter from a query string: { variant, size, winLength }.
+ */
+function filterGames(filter = {}) {
+    const size = filter.size === undefined ? undefined : Number(filter.size);
+    const winLength = filter.winLength === undefined ? undefined : Number(filter.winLength);
+    if ([size, winLength].some(n => n !== undefined && !Number.isInteger(n))) {
+        throw new RuleError("INVALID_OPTION", "size and winLength must be integers");
+    }
+
+    return [...load().values()].filter(game =>
+        (filter.variant === undefined || game.variant === filter.variant) &&
+        (size === undefined || game.size === size) &&
+        (winLength === undefined || game.winLength === winLength));
+}
+
+function rate(count, total) {
+    return total === 0 ? 0 : count / total;
+}
+
+function aiSide(game) {
+    return game.players.X === "ai" ? 'X' : 'O';
+}
+
+/**
+ * Win rates per engine (games against a human) and per opening move.
+ *
+ * @param {Object} filter - { variant, size, winLength }, all optional
+ * @returns {Object} { games, aiGames, roomGames, engines, openings } where
+ *                   engines[i] = { engine, games, aiWins, humanWins, draws,
+ *                   aiWinRate, humanWinRate, drawRate } and openings[i] =
+ *                   { variant, size, winLength, opening, cell, games,
+ *                   firstPlayerWins, secondPlayerWins, draws, firstPlayerWinRate }
+ */
+function getStats(filter) {
+    const selected = filterGames(filter);
+    const engines = new Map();
+    const openings = new Map();
+
+    selected.forEach(game => {
+        if (game.source === "ai") {
+            const entry = engines.get(game.engine.name) ||
+                { engine: game.engine.name, games: 0, aiWins: 0, humanWins: 0, draws: 0 };
+            entry.games++;
+            if (game.winner === "draw") entry.draws++;
+            else if (game.winner === aiSide(game)) entry.aiWins++;
+            else entry.humanWins++;
+            engines.set(entry.engine, entry);
+        }
+
+        if (game.moves.length === 0) return;
+        const first = game.moves[0];
+        const opening = formatMove(first, game.size);
+        const key = `${game.variant} ${game.size} ${game.winLength} ${opening}`;
+        const entry = openings.get(key) || {
+            variant: game.variant,
+            size: game.size,
+            winLength: game.winLength,
+            opening,
+            cell: first.action ? null : first.cell,
+            games: 0,
+            firstPlayerWins: 0,
+            secondPlayerWins: 0,
+            draws: 0
+        };
+        entry.games++;
+        if (game.winner === "draw") entry.draws++;
+        else if (game.winner === game.firstPlayer) entry.firstPlayerWins++;
+        else entry.secondPlayerWins++;
+        openings.set(key, entry);
+    });
+
+    return {
+        games: selected.length,
+        aiGames: selected.filter(game => game.source === "ai").length,
+        roomGames: selected.filter(game => game.source === "room").length,
+        engines: [...engines.values()]
+            .map(e => ({
+                ...e,
+                aiWinRate: rate(e.aiWins, e.games),
+                humanWinRate: rate(e.humanWins, e.games),
+                drawRate: rate(e.draws, e.games)
+            }))
+            .sort((a, b) => b.games - a.games),
+        openings: [...openings.values()]
+            .map(o => ({ ...o, firstPlayerWinRate: rate(o.firstPlayerWins, o.games) }))
+            .sort((a, b) => b.games - a.games || a.opening.localeCompare(b.opening))
+    };
+}
+
+/**
+ * Engine configurations ranked by how they score against humans
+ * (a win is 1, a draw 1/2).
+ *
+ * @param {Object} options - { variant, size, winLength, minGames = 1, limit = 20 }
+ * @returns {Array} [{ rank, engine, encoder, games, wins, draws, losses, score }]
+ */
+function getLeaderboard(options = {}) {
+    const minGames = options.minGames === undefined ? 1 : Number(options.minGames);
+    const limit = options.limit === undefined ? 20 : Number(options.limit);
+    if (!Number.isInteger(minGames) || minGames < 1 || !Number.isInteger(limit) || limit < 1) {
+        throw new RuleError("INVALID_OPTION", "minGames and limit must be positive integers");
+    }
+
+    const rows = new Map();
+    filterGames(options)
+        .filter(game => game.source === "ai")
+        .forEach(game => {
+            const key = `${game.engine.name}/${game.engine.encoder}`;
+            const row = rows.get(key) ||
+                { engine: game.engine.name, encoder: game.engine.encoder, games: 0, wins: 0, draws: 0, losses: 0 };
+            row.games++;
+            if (game.winner === "draw") row.draws++;
+            else if (game.winner === aiSide(game)) row.wins++;
+            else row.losses++;
+            rows.set(key, row);
+        });
+
+    return [...rows.values()]
+        .filter(row => row.games >= minGames)
+        .map(row => ({ ...row, score: (row.wins + row.draws / 2) / row.games }))
+        .sort((a, b) => b.score - a.score || b.games - a.games)
+        .slice(0, limit)
+        .map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+module.exports = { saveGame, getStats, getLeaderboard };
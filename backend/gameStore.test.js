@@ -0,0 +1,67 @@
+// ============================================================================
+// GAME STORE TESTS: Stats and Leaderboard Numbers
+// ============================================================================
+// The store is shared with the other test files, so these games are played
+// on a board nothing else uses and only that board is asked about.
+// ============================================================================
+
+const test = require("node:test");
+const assert = require("assert");
+const { createGeometry } = require("./gameRules");
+const { saveGame, getStats, getLeaderboard } = require("./gameStore");
+
+const BOARD = { size: 6, winLength: 4 };
+
+function save(id, { source = "ai", engine = "negamax", opening = 0, winner }) {
+    saveGame({
+        id: `store-test-${id}`,
+        source,
+        variant: "classic",
+        geometry: createGeometry(BOARD.size, BOARD.winLength),
+        firstPlayer: 'X',
+        players: source === "ai" ? { X: "human", O: "ai" } : { X: "human", O: "human" },
+        // The only encoder that fits a 6×6 board, so the one its games use
+        engine: source === "ai" ? { name: engine, encoder: "legacy-4q" } : null,
+        moves: [{ player: 'X', cell: opening }],
+        result: { winner },
+        startedAt: new Date().toISOString()
+    });
+}
+
+save(1, { winner: 'O' });
+save(2, { winner: 'X' });
+save(3, { engine: "random", opening: 7, winner: "draw" });
+save(4, { source: "room", winner: 'X' });
+// Finished again after a takeback: replaces game 2
+save(2, { winner: "draw" });
+
+test("stats count each game once, by engine and by opening", () => {
+    const stats = getStats({ variant: "classic", ...BOARD });
+    assert.strictEqual(stats.games, 4);
+    assert.strictEqual(stats.aiGames, 3);
+    assert.strictEqual(stats.roomGames, 1);
+
+    assert.deepStrictEqual(stats.engines, [
+        { engine: "negamax", games: 2, aiWins: 1, humanWins: 0, draws: 1, aiWinRate: 0.5, humanWinRate: 0, drawRate: 0.5 },
+        { engine: "random", games: 1, aiWins: 0, humanWins: 0, draws: 1, aiWinRate: 0, humanWinRate: 0, drawRate: 1 }
+    ]);
+    assert.deepStrictEqual(stats.openings, [
+        { variant: "classic", ...BOARD, opening: "a1", cell: 0, games: 3, firstPlayerWins: 1, secondPlayerWins: 1, draws: 1, firstPlayerWinRate: 1 / 3 },
+        { variant: "classic", ...BOARD, opening: "b2", cell: 7, games: 1, firstPlayerWins: 0, secondPlayerWins: 0, draws: 1, firstPlayerWinRate: 0 }
+    ]);
+});
+
+test("the leaderboard ranks engines by score against humans", () => {
+    assert.deepStrictEqual(getLeaderboard(BOARD), [
+        { rank: 1, engine: "negamax", encoder: "legacy-4q", games: 2, wins: 1, draws: 1, losses: 0, score: 0.75 },
+        { rank: 2, engine: "random", encoder: "legacy-4q", games: 1, wins: 0, draws: 1, losses: 0, score: 0.5 }
+    ]);
+    assert.deepStrictEqual(getLeaderboard({ ...BOARD, minGames: "2" }).map(row => row.engine), ["negamax"]);
+    assert.deepStrictEqual(getLeaderboard({ ...BOARD, limit: 1 }).map(row => row.rank), [1]);
+});
+
+test("bad filters are refused", () => {
+    assert.throws(() => getStats({ size: "big" }), { code: "INVALID_OPTION" });
+    assert.throws(() => getLeaderboard({ minGames: 0 }), { code: "INVALID_OPTION" });
+    assert.throws(() => getLeaderboard({ limit: 2.5 }), { code: "INVALID_OPTION" });
+});
@@ -0,0 +1,146 @@
+// ============================================================================
+// GATE ENGINE: Move Generator and Evaluator for the Gate Variant
+// ============================================================================
+// Plays the gate variant (gateRules.js) one gate ahead. Every legal gate is
+// added to the game's circuit, the circuit is run, and the position is scored
+// from the mover's point of view:
+//   - if that gate ends the game, by the exact odds of the measurement:
+//     (P(win) - P(loss)) * 100000
+//   - otherwise by its lines, like the spooky-mark evaluation: a line the
+//     opponent has no cell in is worth 10^(expected marks), where a cell
+//     counts as P(its qubit reads |1>), and the opponent's lines count against
+// Entropy and purity of the circuit's reading are reported with each move.
+// ============================================================================
+
+const gateRules = require("./gateRules");
+const { CLASSIC, RuleError } = require("./gameRules");
+const { formatMove } = require("./gameRecord");
+
+/**
+ * Static evaluation of a gate position for `symbol` from its cell
+ * probabilities. Cells claimed by a player block the other's lines even
+ * while their qubit reads |0>, because only the owner can change them.
+ */
+function evaluateGatePosition(owners, probabilities, symbol) {
+    const opponent = gateRules.otherPlayer(symbol);
+    const expected = (line, player) =>
+        line.reduce((sum, cell) => sum + (owners[cell] === player ? probabilities[cell] : 0), 0);
+
+    let score = 0;
+    for (const line of CLASSIC.lines) {
+        if (!line.some(cell => owners[cell] === opponent)) score += Math.pow(10, expected(line, symbol));
+        if (!line.some(cell => owners[cell] === symbol)) score -= Math.pow(10, expected(line, opponent));
+    }
+    return score;
+}
+
+/**
+ * Entropy (bits) and purity of a circuit's reading.
+ */
+function readingFeatures(outcomes) {
+    let entropy = 0;
+    let purity = 0;
+    outcomes.forEach(({ probability }) => {
+        entropy -= probability * Math.log2(probability);
+        purity += probability * probability;
+    });
+    return { entropy, purity };
+}
+
+/**
+ * How the gate is used, for the analysis table.
+ */
+function gateStrategy(state, action) {
+    const target = action.cells[action.cells.length - 1];
+    const claims = state.owners[target] === null;
+    if (action.gate === "CNOT") return claims ? "entangle" : "entangle own";
+    if (action.gate === "H") return claims ? "superpose" : "rotate own";
+    return claims ? "claim" : "flip own";
+}
+
+/**
+ * Score one legal gate for the player to move.
+ *
+ * @returns {Object} { score, strategy, probabilities, odds, features }
+ *                   where odds is set when the gate ends the game
+ */
+function scoreGateAction(state, action) {
+    const symbol = state.turn;
+    const target = action.cells[action.cells.length - 1];
+    const next = {
+        ...state,
+        owners: state.owners.map((owner, cell) => (cell === target ? symbol : owner)),
+        gates: [...state.gates, { move: state.moveNumber, player: symbol, gate: action.gate, cells: action.cells }]
+    };
+    const { probabilities, outcomes } = gateRules.simulate(next);
+    const features = readingFeatures(outcomes);
+
+    if (gateRules.isFinished(next)) {
+        const odds = gateRules.outcomeOdds(next.owners, outcomes);
+        const edge = odds[symbol] - odds[gateRules.otherPlayer(symbol)];
+        return {
+            score: edge * 100000,
+            strategy: edge > 0 ? "WINNING MEASUREMENT!" : "measure",
+            probabilities,
+            odds,
+            features
+        };
+    }
+
+    return {
+        score: evaluateGatePosition(next.owners, probabilities, symbol),
+        strategy: gateStrategy(state, action),
+        probabilities,
+        odds: null,
+        features
+    };
+}
+
+/**
+ * Pick the AI's gate.
+ *
+ * @param {Object} state - Gate game state with the AI to move
+ * @returns {Object} { action, moveAnalysis, symbol, rawQuantumResult } where
+ *                   moveAnalysis[i] = { action, cells, gate, score, odds,
+ *                   entropy, purity, strategy }, best first
+ * @throws {RuleError} GAME_OVER
+ */
+function simulateGateMove(state) {
+    if (state.result) throw new RuleError("GAME_OVER", "The game is already over");
+    const symbol = state.turn;
+
+    const moveAnalysis = gateRules.legalActions(state).map(action => {
+        const { score, strategy, odds, features } = scoreGateAction(state, action);
+        return {
+            action,
+            cells: action.cells,
+            gate: action.gate,
+            score,
+            odds,
+            entropy: features.entropy,
+            purity: features.purity,
+            strategy
+        };
+    });
+
+    // Ties go to the simplest gate: X before H before CNOT, as listed
+    moveAnalysis.sort((a, b) => b.score - a.score);
+
+    const chosenMove = moveAnalysis[0];
+
+    return {
+        action: chosenMove.action,
+        moveAnalysis: moveAnalysis,
+        symbol: symbol,
+        rawQuantumResult: {
+            measured: chosenMove.odds
+                ? `Measured odds: X ${(chosenMove.odds.X * 100).toFixed(1)}%, O ${(chosenMove.odds.O * 100).toFixed(1)}%`
+                : `${state.gates.length + 1} gates on 9 qubits`,
+            entropy: chosenMove.entropy.toFixed(3),
+            purity: chosenMove.purity.toFixed(3),
+            quantumState: `Strategy: ${chosenMove.strategy.toUpperCase()} | ${formatMove({ action: chosenMove.action }, CLASSIC.size)} | Score: ${chosenMove.score.toFixed(0)}`
+        }
+    };
+}
+
+module.exports = { simulateGateMove, scoreGateAction, evaluateGatePosition };
@@ -0,0 +1,305 @@
+// ============================================================================
+// GATE TIC-TAC-TOE RULES (cells are qubits)
+// ============================================================================
+// Each of the 9 cells is a qubit of one 9-qubit QuantumCircuit, starting in
+// |0>. A turn is one gate instead of a mark:
+//   X(c)          - claim cell c outright: its qubit flips to |1>
+//   H(c)          - claim cell c in superposition: |1> half of the time
+//   CNOT(c, t)    - entangle: flip cell t's qubit exactly when cell c's is
+//                   |1>. c can be anyone's claimed cell; t becomes yours
+// A cell belongs to whoever first put a gate on it, and only its owner (or
+// nobody, for an unclaimed cell) may put X, H or a CNOT target on it later.
+// Gates on your own cells are allowed, so H twice takes a superposition back.
+//
+// The game ends when every cell is claimed, or after MAX_GATES gates. Then
+// the board is measured: a cell whose qubit reads |1> holds its owner's mark,
+// one reading |0> stays empty, and each reading is scored like a classical
+// board (both players with a line, or neither, is a draw). With one shot
+// that single reading decides; with more the player who wins more of them
+// does. The shots are drawn from the game's seed, so a replayed game ends
+// the same way, and `odds` gives the exact chances of each result.
+//
+// Moves are { type: "gate", gate: "X" | "H" | "CNOT", cells: [c] or [c, t] }.
+// ============================================================================
+
+const QuantumCircuit = require("quantum-circuit");
+const { CLASSIC, RuleError } = require("./gameRules");
+const { createRng, deriveSeed } = require("./rng");
+
+const SIZE = CLASSIC.cells;
+const GATES = ["X", "H", "CNOT"];
+const MAX_GATES = 2 * SIZE;
+const MAX_SHOTS = 100000;
+
+// Gate -> quantum-circuit gate name
+const CIRCUIT_GATES = { X: "x", H: "h", CNOT: "cx" };
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Create an empty gate game.
+ *
+ * @param {string} firstPlayer - Who applies the first gate ('X' or 'O')
+ * @param {Object} options - { shots = 1, seed } for the final measurement;
+ *                           without a seed one is picked now and kept
+ * @returns {Object} Fresh game state
+ * @throws {RuleError} INVALID_OPTION
+ */
+function createGateGame(firstPlayer = 'X', { shots = 1, seed } = {}) {
+    if (!Number.isInteger(shots) || shots < 1 || shots > MAX_SHOTS) {
+        throw new RuleError("INVALID_OPTION", `shots must be an integer from 1 to ${MAX_SHOTS}`);
+    }
+    if (seed !== undefined && seed !== null && !Number.isSafeInteger(seed)) {
+        throw new RuleError("INVALID_OPTION", "seed must be an integer");
+    }
+
+    return {
+        variant: "gates",
+        owners: Array(SIZE).fill(null),
+        gates: [],                              // { move, player, gate, cells }
+        probabilities: Array(SIZE).fill(0),     // P(|1>) of each cell's qubit
+        moveNumber: 1,
+        turn: firstPlayer,
+        shots,
+        seed: seed === undefined || seed === null ? Math.floor(Math.random() * 2 ** 32) : seed,
+        result: null                            // See measureGame
+    };
+}
+
+function otherPlayer(player) {
+    return player === 'X' ? 'O' : 'X';
+}
+
+/**
+ * The game's gates as a circuit (not run yet).
+ */
+function buildCircuit(state) {
+    const circuit = new QuantumCircuit(SIZE);
+    state.gates.forEach(({ gate, cells }) => {
+        circuit.addGate(CIRCUIT_GATES[gate], -1, cells.length === 1 ? cells[0] : cells);
+    });
+    return circuit;
+}
+
+/**
+ * Run the circuit: P(|1>) per cell and every possible reading.
+ *
+ * @returns {Object} { probabilities, outcomes: [{ state, probability }] }
+ *                   with outcomes in basis-state order
+ */
+function simulate(state) {
+    const circuit = buildCircuit(state);
+    circuit.run();
+
+    const probabilities = Array(SIZE).fill(0);
+    const outcomes = Object.entries(circuit.state)
+        .map(([index, amp]) => ({ state: Number(index), probability: amp.re * amp.re + amp.im * amp.im }))
+        .filter(outcome => outcome.probability > 1e-12)
+        .sort((a, b) => a.state - b.state);
+
+    outcomes.forEach(({ state: bits, probability }) => {
+        for (let cell = 0; cell < SIZE; cell++) {
+            if ((bits >> cell) & 1) probabilities[cell] += probability;
+        }
+    });
+    return { probabilities, outcomes };
+}
+
+/**
+ * Whether the board is measured now: every cell claimed or no gates left.
+ */
+function isFinished(state) {
+    return state.owners.every(owner => owner !== null) || state.gates.length >= MAX_GATES;
+}
+
+// ============================================================================
+// MEASUREMENT
+// ============================================================================
+
+/**
+ * The classical board a reading gives: owners' marks where the qubit is |1>.
+ */
+function readingBoard(owners, bits) {
+    return owners.map((owner, cell) => ((bits >> cell) & 1 ? owner : null));
+}
+
+/**
+ * Who wins a measured board: 'X', 'O' or 'draw' (no line, or both have one).
+ */
+function readingWinner(board) {
+    const hasLine = player => CLASSIC.lines.some(line => line.every(cell => board[cell] === player));
+    const x = hasLine('X');
+    const o = hasLine('O');
+    return x === o ? "draw" : x ? 'X' : 'O';
+}
+
+/**
+ * Exact chances of each result if the board were measured now.
+ *
+ * @returns {Object} { X, O, draw }
+ */
+function outcomeOdds(owners, outcomes) {
+    const odds = { X: 0, O: 0, draw: 0 };
+    outcomes.forEach(({ state, probability }) => {
+        odds[readingWinner(readingBoard(owners, state))] += probability;
+    });
+    return odds;
+}
+
+/**
+ * Measure the finished board `shots` times.
+ *
+ * @returns {Object} { winner, board, shots, wins: { X, O, draw }, odds }
+ *                   where board is the reading (the most frequent one with
+ *                   several shots)
+ */
+function measureGame(state, outcomes) {
+    const rng = createRng(deriveSeed(state.seed, state.gates.length));
+    const wins = { X: 0, O: 0, draw: 0 };
+    const counts = new Map();
+
+    for (let shot = 0; shot < state.shots; shot++) {
+        let r = rng();
+        let reading = outcomes[outcomes.length - 1].state;
+        for (const { state: bits, probability } of outcomes) {
+            r -= probability;
+            if (r < 0) {
+                reading = bits;
+                break;
+            }
+        }
+        counts.set(reading, (counts.get(reading) || 0) + 1);
+        wins[readingWinner(readingBoard(state.owners, reading))]++;
+    }
+
+    const [mostFrequent] = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+    const winner = wins.X > wins.O ? 'X' : wins.O > wins.X ? 'O' : "draw";
+    return {
+        winner,
+        board: readingBoard(state.owners, mostFrequent),
+        shots: state.shots,
+        wins,
+        odds: outcomeOdds(state.owners, outcomes)
+    };
+}
+
+// ============================================================================
+// MOVES
+// ============================================================================
+
+/**
+ * Whether `player` may put an X, H or CNOT target on `cell`.
+ */
+function canTarget(state, cell, player) {
+    return state.owners[cell] === null || state.owners[cell] === player;
+}
+
+/**
+ * All legal gates for the player to move.
+ *
+ * @returns {Array} [{ type: 'gate', gate, cells }]
+ */
+function legalActions(state) {
+    if (state.result) return [];
+    const player = state.turn;
+    const actions = [];
+
+    ["X", "H"].forEach(gate => {
+        for (let cell = 0; cell < SIZE; cell++) {
+            if (canTarget(state, cell, player)) actions.push({ type: "gate", gate, cells: [cell] });
+        }
+    });
+    for (let control = 0; control < SIZE; control++) {
+        if (state.owners[control] === null) continue;
+        for (let target = 0; target < SIZE; target++) {
+            if (target !== control && canTarget(state, target, player)) {
+                actions.push({ type: "gate", gate: "CNOT", cells: [control, target] });
+            }
+        }
+    }
+    return actions;
+}
+
+/**
+ * Apply a gate for the player to move. The last gate measures the board.
+ *
+ * @param {Object} state - Game state (not modified)
+ * @param {Object} action - { type: 'gate', gate, cells }
+ * @returns {Object} New state
+ * @throws {RuleError} GAME_OVER, INVALID_MOVE, INVALID_GATE, INVALID_CELL, CELL_OCCUPIED
+ */
+function applyAction(state, action) {
+    if (state.result) throw new RuleError("GAME_OVER", "The game is already over");
+    if (!action || typeof action !== "object" || action.type !== "gate") {
+        throw new RuleError("INVALID_MOVE", "A move in this variant is { type: 'gate', gate, cells }");
+    }
+
+    const { gate, cells } = action;
+    if (!GATES.includes(gate)) {
+        throw new RuleError("INVALID_GATE", `Unknown gate: ${gate} (expected ${GATES.join(", ")})`);
+    }
+    const arity = gate === "CNOT" ? 2 : 1;
+    if (!Array.isArray(cells) || cells.length !== arity) {
+        throw new RuleError("INVALID_MOVE", gate === "CNOT"
+            ? "A CNOT needs a control cell and a target cell"
+            : `${gate} needs one cell`);
+    }
+    for (const cell of cells) {
+        if (!Number.isInteger(cell) || cell < 0 || cell >= SIZE) {
+            throw new RuleError("INVALID_CELL", `Cell ${cell} is not on the board`);
+        }
+    }
+
+    const player = state.turn;
+    const target = cells[cells.length - 1];
+    if (gate === "CNOT") {
+        if (cells[0] === target) {
+            throw new RuleError("INVALID_MOVE", "A CNOT needs two different cells");
+        }
+        if (state.owners[cells[0]] === null) {
+            throw new RuleError("INVALID_MOVE", `The control of a CNOT must be a claimed cell, and cell ${cells[0]} is empty`);
+        }
+    }
+    if (!canTarget(state, target, player)) {
+        throw new RuleError("CELL_OCCUPIED", `Cell ${target} belongs to ${state.owners[target]}`);
+    }
+
+    const next = JSON.parse(JSON.stringify(state));
+    next.gates.push({ move: next.moveNumber, player, gate, cells: [...cells] });
+    next.owners[target] = player;
+
+    const { probabilities, outcomes } = simulate(next);
+    next.probabilities = probabilities;
+    if (isFinished(next)) {
+        next.result = measureGame(next, outcomes);
+    }
+
+    next.moveNumber++;
+    next.turn = otherPlayer(player);
+    return next;
+}
+
+/**
+ * Rebuild a game by replaying its gates from the start.
+ */
+function replayActions(actions = [], firstPlayer = 'X', options = {}) {
+    return actions.reduce(applyAction, createGateGame(firstPlayer, options));
+}
+
+module.exports = {
+    GATES,
+    MAX_GATES,
+    createGateGame,
+    otherPlayer,
+    buildCircuit,
+    simulate,
+    isFinished,
+    readingBoard,
+    readingWinner,
+    outcomeOdds,
+    legalActions,
+    applyAction,
+    replayActions
+};
@@ -0,0 +1,75 @@
+// ============================================================================
+// GATE RULES TESTS: Qubit Ownership, the Gate Limit and the Measurement
+// ============================================================================
+
+const test = require("node:test");
+const assert = require("assert");
+const { MAX_GATES, createGateGame, legalActions, applyAction, replayActions } = require("./gateRules");
+const { simulateGateMove } = require("./gateEngine");
+
+const gate = (name, ...cells) => ({ type: "gate", gate: name, cells });
+
+test("gates only target free or own cells, and a CNOT needs a claimed control", () => {
+    // X claims a1, O claims b1
+    const state = replayActions([gate("X", 0), gate("H", 1)]);
+    assert.deepStrictEqual(state.owners.slice(0, 3), ['X', 'O', null]);
+
+    // X to move: its own cell is fine, O's isn't
+    assert.doesNotThrow(() => applyAction(state, gate("H", 0)));
+    assert.throws(() => applyAction(state, gate("X", 1)), { code: "CELL_OCCUPIED" });
+    assert.throws(() => applyAction(state, gate("CNOT", 0, 1)), { code: "CELL_OCCUPIED" });
+
+    // Any claimed cell controls, even the opponent's; the target becomes ours
+    assert.strictEqual(applyAction(state, gate("CNOT", 1, 2)).owners[2], 'X');
+    assert.throws(() => applyAction(state, gate("CNOT", 0, 0)), { code: "INVALID_MOVE" });
+    assert.throws(() => applyAction(state, gate("CNOT", 5, 2)), { code: "INVALID_MOVE" });
+    assert.throws(() => applyAction(state, gate("CNOT", 0)), { code: "INVALID_MOVE" });
+    assert.throws(() => applyAction(state, gate("Z", 2)), { code: "INVALID_GATE" });
+    assert.throws(() => applyAction(state, gate("X", 9)), { code: "INVALID_CELL" });
+
+    // legalActions offers none of O's cells, and applyAction takes all it offers
+    legalActions(state).forEach(action => {
+        assert.notStrictEqual(action.cells.at(-1), 1, JSON.stringify(action));
+        assert.doesNotThrow(() => applyAction(state, action), JSON.stringify(action));
+    });
+});
+
+test("the game is measured after MAX_GATES gates even with cells left", () => {
+    // Both players keep flipping their own cell
+    const actions = Array.from({ length: MAX_GATES }, (_, i) => gate("X", i % 2));
+    const beforeLast = replayActions(actions.slice(0, -1));
+    assert.strictEqual(beforeLast.result, null);
+
+    const finished = applyAction(beforeLast, actions.at(-1));
+    assert.ok(finished.result);
+    assert.ok(finished.owners.includes(null));
+    assert.deepStrictEqual(legalActions(finished), []);
+    assert.throws(() => applyAction(finished, gate("X", 4)), { code: "GAME_OVER" });
+});
+
+test("a seed reproduces the measurement, and the odds are exact", () => {
+    // Every cell claimed in superposition: the last gate measures
+    const actions = Array.from({ length: 9 }, (_, cell) => gate("H", cell));
+    const measure = seed => replayActions(actions, 'X', { shots: 64, seed }).result;
+
+    const result = measure(7);
+    assert.deepStrictEqual(measure(7), result);
+    assert.strictEqual(result.shots, 64);
+    assert.strictEqual(result.wins.X + result.wins.O + result.wins.draw, 64);
+
+    // 512 equally likely readings; only the odds, not the shots, are fixed
+    const { X, O, draw } = result.odds;
+    assert.ok(Math.abs(X + O + draw - 1) < 1e-9);
+    assert.deepStrictEqual(measure(8).odds, result.odds);
+    assert.ok(X > O, "X has five cells to O's four");
+});
+
+test("the gate engine only plays legal gates", () => {
+    let state = createGateGame('X', { seed: 1 });
+    while (!state.result) {
+        const { action } = simulateGateMove(state);
+        const legal = legalActions(state).map(candidate => JSON.stringify(candidate));
+        assert.ok(legal.includes(JSON.stringify(action)), JSON.stringify(action));
+        state = applyAction(state, action);
+    }
+});
@@ -0,0 +1,104 @@
+// ============================================================================
+// LOGGER: Structured JSON Logs With Request IDs
+// ============================================================================
+// Every log line is one JSON object on stdout:
+//   {"time":"...","level":"info","msg":"request","requestId":"...",...}
+// so logs from many players at once can be filtered by field instead of
+// read as a stream of banners.
+//
+// Each HTTP request gets an id (the caller's X-Request-Id header if it sent
+// a usable one, otherwise a new UUID), echoed back in the X-Request-Id
+// response header. It's kept in an AsyncLocalStorage for the length of the
+// request, so anything logged while handling it (the engine timers in
+// metrics.js, game sessions) carries it without passing it around.
+// When the response is sent, one "request" line sums it up, including how
+// long each engine call took.
+//
+// LOG_LEVEL=debug|info|warn|error|silent picks what is written (default info).
+// ============================================================================
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Longest X-Request-Id taken from a caller
+const MAX_REQUEST_ID = 128;
+
+const minimum = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Write one log line if `level` is enabled. Fields from the current request
+ * (its id) are added; an Error in `fields.error` becomes its message and stack.
+ */
+function log(level, msg, fields = {}) {
+    if (LEVELS[level] < minimum) return;
+
+    const context = requestContext.getStore();
+    const entry = { time: new Date().toISOString(), level, msg };
+    if (context) entry.requestId = context.requestId;
+    Object.entries(fields).forEach(([key, value]) => {
+        entry[key] = value instanceof Error
+            ? { name: value.name, code: value.code, message: value.message, stack: value.stack }
+            : value;
+    });
+    process.stdout.write(JSON.stringify(entry) + "\n");
+}
+
+const logger = {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields)
+};
+
+/**
+ * The request being handled, or null outside a request.
+ *
+ * @returns {Object|null} { requestId, engines: [{ engine, ms }] }
+ */
+function currentRequest() {
+    return requestContext.getStore() || null;
+}
+
+/**
+ * Express middleware: give the request an id, keep it for everything the
+ * request logs, and log the request when its response has been sent.
+ *
+ * @param {Object} options
+ * @param {Function} options.onFinish - Called with { method, route, status,
+ *                                      ms } for every request (metrics)
+ * @param {Array} options.quiet - Paths logged at debug level only (health
+ *                                checks and scrapes would drown the rest)
+ */
+function requestLogger({ onFinish = () => {}, quiet = [] } = {}) {
+    return (req, res, next) => {
+        const given = req.get("X-Request-Id");
+        const requestId = given && given.length <= MAX_REQUEST_ID && /^[\w.:-]+$/.test(given)
+            ? given
+            : crypto.randomUUID();
+        res.set("X-Request-Id", requestId);
+
+        const context = { requestId, engines: [] };
+        const started = process.hrtime.bigint();
+
+        res.on("finish", () => {
+            const ms = Number(process.hrtime.bigint() - started) / 1e6;
+            // Matched routes by their pattern, so ids don't make every path
+            // unique; "other" is static files, the index fallback and
+            // requests refused before routing
+            const route = req.route ? req.baseUrl + req.route.path : "other";
+            onFinish({ method: req.method, route, status: res.statusCode, ms });
+
+            const fields = { method: req.method, path: req.path, route, status: res.statusCode, ms: Math.round(ms * 10) / 10 };
+            if (context.engines.length > 0) fields.engines = context.engines;
+            requestContext.run(context, () =>
+                log(quiet.includes(req.path) ? "debug" : "info", "request", fields));
+        });
+
+        requestContext.run(context, next);
+    };
+}
+
+module.exports = { logger, currentRequest, requestLogger, LEVELS };
@@ -0,0 +1,263 @@
+// ============================================================================
+// MONTE CARLO TREE SEARCH ENGINE (UCT)
+// ============================================================================
+// Negamax (searchEngine.js) is exact on 3×3 but has to stop at a fixed depth
+// on bigger boards. MCTS instead grows a tree toward the moves that keep
+// doing well in played-out games, within a budget of iterations or time.
+// Each iteration:
+//   1. selection  - from the root, follow the child with the best UCT value
+//                   wins/visits + c * sqrt(ln(parent visits) / visits)
+//                   until a node with untried moves
+//   2. expansion  - add one untried move as a new child
+//   3. rollout    - play the game out from there: uniformly at random, or
+//                   with `prior` by sampling
+//                   softmax(quantumScore / temperature) for the first
+//                   `priorPlies` moves, so the quantum features of each
+//                   move (entropy, purity, the encoder's cell signal; not
+//                   the heuristic's lines and corners) steer the playouts.
+//                   Reading the features is far slower than a random move,
+//                   so the rest of a playout (and all of it once the time
+//                   budget is spent) is random.
+//   4. backup     - every node on the path counts the visit and the result
+//                   (win 1, draw 1/2, loss 0 for the player who moved there)
+//
+// The move played is the most visited one. Each candidate in moveAnalysis
+// reports its visits and win rate; its score is the win rate in percent.
+// ============================================================================
+
+const { evaluateBoard, RuleError, CLASSIC } = require("./gameRules");
+const { quantumScore, boardFeatures } = require("./quantumEngine");
+const { softmax } = require("./measurement");
+const { createRng } = require("./rng");
+const { defaultEncoderFor } = require("./encoders");
+
+const DEFAULT_ITERATIONS = 2000;
+// For callers in this process (tournaments, scripts); requests are held to
+// the much smaller budgets of the "mcts" engine in engines.js
+const MAX_ITERATIONS = 1000000;
+const MAX_TIME_MS = 60000;
+const DEFAULT_EXPLORATION = Math.SQRT2;
+const DEFAULT_PRIOR_PLIES = 2;
+// Quantum scores differ by tens of points between moves
+const DEFAULT_PRIOR_TEMPERATURE = 10;
+
+function other(side) {
+    return side === 'X' ? 'O' : 'X';
+}
+
+function emptyCells(board) {
+    const cells = [];
+    board.forEach((cell, i) => {
+        if (cell === null) cells.push(i);
+    });
+    return cells;
+}
+
+/**
+ * A tree node: the position after `player` played `move`.
+ * `result` is set when that position ends the game.
+ */
+function createNode(parent, move, player, board, geometry) {
+    const outcome = move === null ? null : evaluateBoard(board, geometry);
+    return {
+        parent,
+        move,
+        player,
+        result: outcome ? outcome.winner : null,
+        untried: outcome ? [] : emptyCells(board),
+        children: [],
+        visits: 0,
+        wins: 0
+    };
+}
+
+function uctChild(node, exploration) {
+    const logVisits = Math.log(node.visits);
+    let best = null;
+    let bestValue = -Infinity;
+    for (const child of node.children) {
+        const value = child.wins / child.visits + exploration * Math.sqrt(logVisits / child.visits);
+        if (value > bestValue) {
+            best = child;
+            bestValue = value;
+        }
+    }
+    return best;
+}
+
+/**
+ * Play a position out to the end.
+ *
+ * @param {Function} pick - (board, toMove, cells, ply) -> cell to play
+ * @returns {string} 'X', 'O' or 'draw'
+ */
+function rollout(board, toMove, geometry, pick) {
+    let player = toMove;
+    for (let ply = 0; ; ply++) {
+        const cells = emptyCells(board);
+        if (cells.length === 0) return "draw";
+
+        const cell = pick(board, player, cells, ply);
+        board[cell] = player;
+        const outcome = evaluateBoard(board, geometry);
+        if (outcome) return outcome.winner;
+        player = other(player);
+    }
+}
+
+/**
+ * Choose a move for `side` with Monte Carlo tree search.
+ *
+ * @param {Array} boardState - Current board state
+ * @param {string} side - Symbol the engine plays
+ * @param {Object} options - { iterations, timeMs, exploration, prior,
+ *                           priorPlies, temperature, seed, weights, encoder,
+ *                           geometry, noise }: stop after `iterations`
+ *                           (default 2000 if no time is given) or `timeMs`,
+ *                           whichever comes first; the UCT constant; whether
+ *                           the first `priorPlies` moves of a rollout sample
+ *                           the quantum scores (quantumScore, with
+ *                           `weights`, at `temperature`, default 10) instead
+ *                           of playing at random
+ * @returns {Object} simulateQuantumMove-shaped result where each candidate
+ *                   also has { visits, winRate }, plus
+ *                   `search: { iterations, ms, exploration, prior, priorPlies }`
+ * @throws {RuleError} GAME_OVER, INVALID_OPTION
+ */
+function mctsMove(boardState, side = 'O', options = {}) {
+    const geometry = options.geometry || CLASSIC;
+    const encoderName = options.encoder || defaultEncoderFor(geometry);
+    const timeMs = options.timeMs;
+    const iterations = options.iterations !== undefined ? options.iterations
+        : timeMs !== undefined ? MAX_ITERATIONS
+        : DEFAULT_ITERATIONS;
+    const exploration = options.exploration === undefined ? DEFAULT_EXPLORATION : options.exploration;
+    const temperature = options.temperature === undefined ? DEFAULT_PRIOR_TEMPERATURE : options.temperature;
+    const priorPlies = options.priorPlies === undefined ? DEFAULT_PRIOR_PLIES : options.priorPlies;
+    const rng = createRng(options.seed);
+
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+        throw new RuleError("INVALID_OPTION", `iterations must be an integer from 1 to ${MAX_ITERATIONS}`);
+    }
+    if (timeMs !== undefined && !(timeMs > 0 && timeMs <= MAX_TIME_MS)) {
+        throw new RuleError("INVALID_OPTION", `timeMs must be a number of milliseconds up to ${MAX_TIME_MS}`);
+    }
+    if (typeof exploration !== "number" || !(exploration >= 0)) {
+        throw new RuleError("INVALID_OPTION", "exploration must be a number of at least 0");
+    }
+    if (typeof temperature !== "number" || !(temperature > 0)) {
+        throw new RuleError("INVALID_OPTION", "temperature must be a positive number");
+    }
+    if (!Number.isInteger(priorPlies) || priorPlies < 0) {
+        throw new RuleError("INVALID_OPTION", "priorPlies must be an integer of at least 0");
+    }
+    if (emptyCells(boardState).length === 0) {
+        throw new RuleError("GAME_OVER", "No empty cells left to play");
+    }
+
+    const randomPick = (board, player, cells) => cells[Math.floor(rng() * cells.length)];
+    const priorPick = (board, player, cells) => {
+        const scores = cells.map(cell => quantumScore(board, cell, player, {
+            encoder: encoderName,
+            geometry,
+            weights: options.weights,
+            noise: options.noise
+        }));
+        let r = rng();
+        const probabilities = softmax(scores, temperature);
+        for (let i = 0; i < cells.length; i++) {
+            r -= probabilities[i];
+            if (r < 0) return cells[i];
+        }
+        return cells[cells.length - 1];
+    };
+    const start = Date.now();
+    const inTime = () => timeMs === undefined || Date.now() - start < timeMs;
+    const pick = (board, player, cells, ply) =>
+        (options.prior && ply < priorPlies && inTime() ? priorPick : randomPick)(board, player, cells);
+
+    // The root is the position after the opponent's last move
+    const root = createNode(null, null, other(side), boardState, geometry);
+    let done = 0;
+
+    while (done < iterations && inTime()) {
+        const board = [...boardState];
+        let node = root;
+
+        while (node.untried.length === 0 && node.children.length > 0) {
+            node = uctChild(node, exploration);
+            board[node.move] = node.player;
+        }
+
+        if (node.untried.length > 0) {
+            const move = node.untried.splice(Math.floor(rng() * node.untried.length), 1)[0];
+            const player = other(node.player);
+            board[move] = player;
+            const child = createNode(node, move, player, board, geometry);
+            node.children.push(child);
+            node = child;
+        }
+
+        const result = node.result || rollout(board, other(node.player), geometry, pick);
+
+        for (let n = node; n !== null; n = n.parent) {
+            n.visits++;
+            if (result === n.player) n.wins += 1;
+            else if (result === "draw") n.wins += 0.5;
+        }
+        done++;
+    }
+    const ms = Date.now() - start;
+
+    const visited = new Map(root.children.map(child => [child.move, child]));
+    const moveAnalysis = emptyCells(boardState).map(cellIndex => {
+        const child = visited.get(cellIndex);
+        const visits = child ? child.visits : 0;
+        const winRate = visits > 0 ? child.wins / visits : 0;
+        const testBoard = [...boardState];
+        testBoard[cellIndex] = side;
+        const features = boardFeatures(testBoard, encoderName, geometry, options.noise);
+
+        return {
+            cellIndex,
+            score: winRate * 100,
+            visits,
+            winRate,
+            entropy: features.entropy,
+            purity: features.purity,
+            strategy: 'mcts'
+        };
+    });
+
+    // Most visited first; the win rate breaks ties
+    moveAnalysis.sort((a, b) => b.visits - a.visits || b.winRate - a.winRate);
+
+    const chosenMove = moveAnalysis[0];
+    const finalBoard = [...boardState];
+    finalBoard[chosenMove.cellIndex] = side;
+    const finalFeatures = boardFeatures(finalBoard, encoderName, geometry, options.noise);
+
+    return {
+        chosenCell: chosenMove.cellIndex,
+        moveAnalysis: moveAnalysis,
+        symbol: side,
+        encoder: encoderName,
+        search: {
+            iterations: done,
+            ms,
+            exploration,
+            prior: Boolean(options.prior),
+            priorPlies: options.prior ? priorPlies : 0
+        },
+        rawQuantumResult: {
+            measured: `${done} playouts in ${ms} ms`,
+            classicalRegister: chosenMove.cellIndex,
+            probabilities: finalFeatures.probabilities.slice(0, 16),
+            entropy: finalFeatures.entropy.toFixed(3),
+            purity: finalFeatures.purity.toFixed(3),
+            quantumState: `MCTS: ${chosenMove.visits}/${done} visits | Cell ${chosenMove.cellIndex} | Win rate: ${(chosenMove.winRate * 100).toFixed(1)}%`
+        }
+    };
+}
+
+module.exports = { mctsMove, DEFAULT_ITERATIONS, DEFAULT_PRIOR_PLIES, DEFAULT_PRIOR_TEMPERATURE, MAX_ITERATIONS, MAX_TIME_MS };
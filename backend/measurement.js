@@ -0,0 +1,333 @@
+// ============================================================================
+// MEASUREMENT-BASED MOVE SELECTION
+// ============================================================================
+// Instead of always playing the top score, turn the scores of the legal moves
+// into a probability distribution, load it into the amplitudes of a circuit
+// and measure that circuit many times. The move measured most often is played.
+//
+//   p(move) = softmax(score / temperature)
+//   |psi>   = sum_i sqrt(p_i) |i>      (i = index of the move in the list)
+//
+// A low temperature behaves like the heuristic engine; a high one plays
+// almost at random. Shots are drawn from the simulated state with a seedable
+// rng (see rng.js), so a seed reproduces the whole histogram.
+//
+// With a noise model (see noise.js) the selection circuit is sampled as a
+// noisy device would measure it, and the features are read the same way.
+//
+// samplingMove drops the heuristic altogether: each move is weighted only by
+// the encoder's own reading of the board it leaves (its cell signal, see
+// encoders.js) and the same circuit is measured with those weights.
+// ============================================================================
+
+const QuantumCircuit = require("quantum-circuit");
+const { scoreMove, boardFeatures } = require("./quantumEngine");
+const { createRng } = require("./rng");
+const { RuleError, CLASSIC } = require("./gameRules");
+const { defaultEncoderFor, getEncoder } = require("./encoders");
+const { noisyDistribution, distributionDistance } = require("./noise");
+
+const DEFAULT_SHOTS = 1024;
+const MAX_SHOTS = 100000;
+const DEFAULT_TEMPERATURE = 1000;
+
+/**
+ * Softmax of the scores, scaled by temperature.
+ * Subtracting the max keeps Math.exp from overflowing on 100000-point wins.
+ */
+function softmax(scores, temperature) {
+    const max = Math.max(...scores);
+    const weights = scores.map(s => Math.exp((s - max) / temperature));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => w / total);
+}
+
+/**
+ * RY on `target` that only fires when every control qubit is |1>.
+ * Two or more controls are ANDed into ancilla qubits with Toffolis, which
+ * are uncomputed afterwards so they end up back in |0>.
+ */
+function addControlledRy(circuit, controls, target, theta, ancillas) {
+    if (controls.length === 0) {
+        circuit.addGate("ry", -1, target, { params: { theta } });
+        return;
+    }
+    if (controls.length === 1) {
+        circuit.addGate("cry", -1, [controls[0], target], { params: { theta } });
+        return;
+    }
+
+    // Compute AND of the controls into the ancilla chain
+    const steps = [[controls[0], controls[1], ancillas[0]]];
+    for (let i = 2; i < controls.length; i++) {
+        steps.push([ancillas[i - 2], controls[i], ancillas[i - 1]]);
+    }
+
+    steps.forEach(wires => circuit.addGate("ccx", -1, wires));
+    circuit.addGate("cry", -1, [ancillas[controls.length - 2], target], { params: { theta } });
+    [...steps].reverse().forEach(wires => circuit.addGate("ccx", -1, wires));
+}
+
+/**
+ * Build a circuit whose measurement distribution is `probabilities`.
+ *
+ * Qubit l holds bit l of the move index. It is rotated conditioned on the
+ * lower bits already prepared (a binary tree of controlled RYs), with X
+ * gates turning "control on 0" into "control on 1".
+ *
+ * @param {Array} probabilities - One probability per move, summing to 1
+ * @returns {Object} { circuit, indexQubits }
+ */
+function buildSelectionCircuit(probabilities) {
+    const indexQubits = Math.max(1, Math.ceil(Math.log2(probabilities.length)));
+    const ancillaCount = Math.max(0, indexQubits - 2);
+    const circuit = new QuantumCircuit(indexQubits + ancillaCount);
+    const ancillas = Array.from({ length: ancillaCount }, (_, i) => indexQubits + i);
+
+    // Mass of all move indices whose lowest `bits` bits equal `prefix`
+    const mass = (prefix, bits) => probabilities.reduce((sum, p, i) =>
+        ((i & ((1 << bits) - 1)) === prefix ? sum + p : sum), 0);
+
+    for (let level = 0; level < indexQubits; level++) {
+        const controls = Array.from({ length: level }, (_, i) => i);
+
+        for (let prefix = 0; prefix < (1 << level); prefix++) {
+            const total = mass(prefix, level);
+            if (total < 1e-12) continue;
+
+            const one = mass(prefix | (1 << level), level + 1);
+            const theta = 2 * Math.asin(Math.sqrt(Math.min(1, one / total)));
+            if (theta < 1e-12) continue;
+
+            // Controls that should be 0 for this prefix get flipped around the rotation
+            const zeros = controls.filter(q => !(prefix & (1 << q)));
+            zeros.forEach(q => circuit.addGate("x", -1, q));
+            addControlledRy(circuit, controls, level, theta, ancillas);
+            zeros.forEach(q => circuit.addGate("x", -1, q));
+        }
+    }
+
+    return { circuit, indexQubits };
+}
+
+/**
+ * Run the circuit and sample the index register `shots` times.
+ *
+ * @param {Object} noise - Checked noise model, or null for an ideal device
+ * @returns {Object} { counts, noise } where counts are per basis state of
+ *                   the index register and noise is how far the noisy index
+ *                   distribution is from the ideal one ({ tvd, fidelity },
+ *                   null without a model)
+ */
+function sampleCircuit(circuit, indexQubits, shots, rng, noise = null) {
+    circuit.run();
+
+    // Ancillas end up back in |0> (ideally), so the low bits are the whole story
+    const size = 1 << indexQubits;
+    const marginal = distribution => {
+        const probs = Array(size).fill(0);
+        distribution.forEach((p, index) => {
+            probs[index & (size - 1)] += p;
+        });
+        return probs;
+    };
+
+    let probs;
+    let distance = null;
+    if (noise) {
+        const { ideal, noisy } = noisyDistribution(circuit, noise);
+        probs = marginal(noisy);
+        distance = distributionDistance(marginal(ideal), probs);
+    } else {
+        probs = Array(size).fill(0);
+        for (const [index, amp] of Object.entries(circuit.state)) {
+            probs[Number(index) & (size - 1)] += amp.re * amp.re + amp.im * amp.im;
+        }
+    }
+
+    const counts = Array(size).fill(0);
+    for (let shot = 0; shot < shots; shot++) {
+        let r = rng();
+        let outcome = size - 1;
+        for (let i = 0; i < size; i++) {
+            r -= probs[i];
+            if (r < 0) {
+                outcome = i;
+                break;
+            }
+        }
+        counts[outcome]++;
+    }
+    return { counts, noise: distance };
+}
+
+function checkShots(shots) {
+    if (!Number.isInteger(shots) || shots < 1 || shots > MAX_SHOTS) {
+        throw new RuleError("INVALID_OPTION", `shots must be an integer from 1 to ${MAX_SHOTS}`);
+    }
+}
+
+/**
+ * Measure the selection circuit for `probabilities` (one per candidate in
+ * `moveAnalysis`) and play the move measured most often; ties go to the
+ * higher score. Each candidate gets its probability and shots, and the
+ * candidates are sorted by shots.
+ *
+ * @param {Object} settings - { shots, temperature, seed, encoderName,
+ *                            geometry, noise, describe } where describe
+ *                            gives the quantumState line for the chosen move
+ * @returns {Object} The measuredMove / samplingMove result
+ */
+function measureMoves(boardState, side, moveAnalysis, probabilities, { shots, temperature, seed, encoderName, geometry, noise, describe }) {
+    const { circuit, indexQubits } = buildSelectionCircuit(probabilities);
+    const sampled = sampleCircuit(circuit, indexQubits, shots, createRng(seed), noise);
+    const { counts } = sampled;
+
+    // Histogram by cell; bitstrings that map to no move are reported as such
+    const histogram = {};
+    moveAnalysis.forEach((move, i) => {
+        move.probability = probabilities[i];
+        move.shots = counts[i];
+        histogram[move.cellIndex] = counts[i];
+    });
+    const strayShots = counts.slice(moveAnalysis.length).reduce((sum, c) => sum + c, 0);
+
+    // Most shots wins; ties go to the higher score
+    const chosenIndex = moveAnalysis.reduce((best, move, i) =>
+        (move.shots > moveAnalysis[best].shots ||
+         (move.shots === moveAnalysis[best].shots && move.score > moveAnalysis[best].score)) ? i : best, 0);
+    const chosenMove = moveAnalysis[chosenIndex];
+
+    moveAnalysis.sort((a, b) => b.shots - a.shots || b.score - a.score);
+
+    const finalBoard = [...boardState];
+    finalBoard[chosenMove.cellIndex] = side;
+    const finalFeatures = boardFeatures(finalBoard, encoderName, geometry, noise);
+
+    return {
+        chosenCell: chosenMove.cellIndex,
+        moveAnalysis: moveAnalysis,
+        symbol: side,
+        encoder: encoderName,
+        measurement: {
+            shots,
+            temperature,
+            seed: seed === undefined ? null : seed,
+            qubits: indexQubits,
+            histogram,
+            strayShots,
+            noise: sampled.noise
+        },
+        rawQuantumResult: {
+            measured: chosenIndex.toString(2).padStart(indexQubits, '0'),
+            classicalRegister: chosenIndex,
+            probabilities: finalFeatures.probabilities.slice(0, 16),
+            entropy: finalFeatures.entropy.toFixed(3),
+            purity: finalFeatures.purity.toFixed(3),
+            quantumState: describe(chosenMove)
+        }
+    };
+}
+
+/**
+ * Choose a move for `side` by measuring the move-selection circuit.
+ *
+ * @param {Array} boardState - Current board state
+ * @param {string} side - Symbol the engine plays
+ * @param {Object} options - { shots, temperature, seed, encoder, geometry,
+ *                           weights, noise }
+ * @returns {Object} simulateQuantumMove-shaped result plus `measurement`
+ *                   with the shot histogram
+ */
+function measuredMove(boardState, side = 'O', options = {}) {
+    const shots = options.shots === undefined ? DEFAULT_SHOTS : options.shots;
+    const temperature = options.temperature === undefined ? DEFAULT_TEMPERATURE : options.temperature;
+    const geometry = options.geometry || CLASSIC;
+    const encoderName = options.encoder || defaultEncoderFor(geometry);
+
+    checkShots(shots);
+    if (typeof temperature !== "number" || !(temperature > 0)) {
+        throw new RuleError("INVALID_OPTION", "temperature must be a positive number");
+    }
+
+    const moveAnalysis = [];
+    for (let cellIndex = 0; cellIndex < geometry.cells; cellIndex++) {
+        if (boardState[cellIndex] !== null) continue;
+        const { score, features, strategy, strategies, breakdown } = scoreMove(boardState, cellIndex, side, { encoder: encoderName, geometry, weights: options.weights, noise: options.noise });
+        moveAnalysis.push({
+            cellIndex,
+            score,
+            entropy: features.entropy,
+            purity: features.purity,
+            strategy,
+            strategies,
+            breakdown
+        });
+    }
+
+    if (moveAnalysis.length === 0) {
+        throw new RuleError("GAME_OVER", "No empty cells left to play");
+    }
+
+    return measureMoves(boardState, side, moveAnalysis, softmax(moveAnalysis.map(m => m.score), temperature), {
+        shots,
+        temperature,
+        seed: options.seed,
+        encoderName,
+        geometry,
+        noise: options.noise,
+        describe: move => `Measured: ${move.shots}/${shots} shots | Cell ${move.cellIndex} | Strategy: ${move.strategy.toUpperCase()}`
+    });
+}
+
+/**
+ * Choose a move for `side` by measuring a circuit weighted only by the
+ * encoder's cell signal for each move; no lines, forks or corners.
+ *
+ * @param {Array} boardState - Current board state
+ * @param {string} side - Symbol the engine plays
+ * @param {Object} options - { shots, seed, encoder, geometry, noise }
+ * @returns {Object} measuredMove-shaped result; each candidate's score is
+ *                   its cell signal in [0, 1]
+ */
+function samplingMove(boardState, side = 'O', options = {}) {
+    const shots = options.shots === undefined ? DEFAULT_SHOTS : options.shots;
+    const geometry = options.geometry || CLASSIC;
+    const encoderName = options.encoder || defaultEncoderFor(geometry);
+    const encoder = getEncoder(encoderName, geometry);
+    checkShots(shots);
+
+    const moveAnalysis = [];
+    for (let cellIndex = 0; cellIndex < geometry.cells; cellIndex++) {
+        if (boardState[cellIndex] !== null) continue;
+        const testBoard = [...boardState];
+        testBoard[cellIndex] = side;
+        const features = boardFeatures(testBoard, encoderName, geometry, options.noise);
+        moveAnalysis.push({
+            cellIndex,
+            score: encoder.cellSignal(features, testBoard, cellIndex, side, geometry),
+            entropy: features.entropy,
+            purity: features.purity,
+            strategy: 'quantum sampling'
+        });
+    }
+
+    if (moveAnalysis.length === 0) {
+        throw new RuleError("GAME_OVER", "No empty cells left to play");
+    }
+
+    // A board where every signal is 0 is sampled uniformly
+    const total = moveAnalysis.reduce((sum, m) => sum + m.score, 0);
+    const probabilities = moveAnalysis.map(m => (total > 0 ? m.score / total : 1 / moveAnalysis.length));
+    return measureMoves(boardState, side, moveAnalysis, probabilities, {
+        shots,
+        temperature: null,
+        seed: options.seed,
+        encoderName,
+        geometry,
+        noise: options.noise,
+        describe: move => `Sampled: ${move.shots}/${shots} shots | Cell ${move.cellIndex} | Signal: ${move.score.toFixed(3)}`
+    });
+}
+
+module.exports = { softmax, buildSelectionCircuit, sampleCircuit, measuredMove, samplingMove, DEFAULT_SHOTS, MAX_SHOTS, DEFAULT_TEMPERATURE };
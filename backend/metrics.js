@@ -0,0 +1,186 @@
+// ============================================================================
+// METRICS: Counters and Histograms in Prometheus Text Format
+// ============================================================================
+// A small in-process registry, rendered by GET /metrics in the Prometheus
+// text exposition format (version 0.0.4):
+//   qttt_http_requests_total{method,route,status}   - requests served
+//   qttt_engine_duration_seconds{engine}            - time per engine call
+//   qttt_games_finished_total{variant,source,winner} - winner is "human",
+//                                                     "ai" or "draw"; a game
+//                                                     finished again after a
+//                                                     takeback counts again
+//                                                     if it ends differently
+//   qttt_errors_total{code}                         - rule errors sent to
+//                                                     clients, and crashes
+//                                                     as INTERNAL_ERROR
+//   qttt_uptime_seconds                             - since the process started
+//
+// Values live in memory, so they start from zero when the server restarts,
+// which Prometheus handles for counters.
+// ============================================================================
+
+const { logger, currentRequest } = require("./logger");
+
+const PREFIX = "qttt_";
+
+// Seconds; engines range from a few ms (heuristic) to seconds (mcts)
+const ENGINE_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// name -> metric, in registration order
+const registry = new Map();
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] === undefined ? "" : labels[name])));
+}
+
+function escapeLabel(value) {
+    return value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * `{a="1",b="2"}` for a series, or "" without labels.
+ */
+function formatLabels(names, values) {
+    if (names.length === 0) return "";
+    return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(",")}}`;
+}
+
+function register(metric) {
+    if (registry.has(metric.name)) {
+        throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    registry.set(metric.name, metric);
+    return metric;
+}
+
+/**
+ * A counter: a number per label set that only goes up.
+ *
+ * @returns {Object} { inc(labels, amount = 1) }
+ */
+function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+    const metric = register({
+        name: PREFIX + name,
+        help,
+        type: "counter",
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + amount);
+        },
+        lines() {
+            return [...series.entries()].map(([key, value]) =>
+                `${metric.name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+        }
+    });
+    return metric;
+}
+
+/**
+ * A histogram: counts of observations per upper bound, plus their sum.
+ *
+ * @returns {Object} { observe(labels, value) }
+ */
+function createHistogram(name, help, labelNames = [], buckets = ENGINE_BUCKETS) {
+    const series = new Map();  // key -> { counts per bucket, sum, count }
+    const metric = register({
+        name: PREFIX + name,
+        help,
+        type: "histogram",
+        observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const entry = series.get(key);
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        lines() {
+            return [...series.entries()].flatMap(([key, { counts, sum, count }]) => {
+                const values = JSON.parse(key);
+                const bucketLabels = bound => formatLabels([...labelNames, "le"], [...values, bound]);
+                return [
+                    ...buckets.map((bound, i) => `${metric.name}_bucket${bucketLabels(String(bound))} ${counts[i]}`),
+                    `${metric.name}_bucket${bucketLabels("+Inf")} ${count}`,
+                    `${metric.name}_sum${formatLabels(labelNames, values)} ${sum}`,
+                    `${metric.name}_count${formatLabels(labelNames, values)} ${count}`
+                ];
+            });
+        }
+    });
+    return metric;
+}
+
+/**
+ * A gauge read when the metrics are rendered.
+ */
+function createGauge(name, help, read) {
+    const metric = register({
+        name: PREFIX + name,
+        help,
+        type: "gauge",
+        lines: () => [`${metric.name} ${read()}`]
+    });
+    return metric;
+}
+
+/**
+ * Every metric in the text exposition format.
+ */
+function renderMetrics() {
+    return [...registry.values()].map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+    ].join("\n")).join("\n") + "\n";
+}
+
+// ============================================================================
+// THE SERVER'S METRICS
+// ============================================================================
+
+const httpRequests = createCounter("http_requests_total", "HTTP requests served", ["method", "route", "status"]);
+const engineDuration = createHistogram("engine_duration_seconds", "Time an engine took to choose or analyze a move", ["engine"]);
+const gamesFinished = createCounter("games_finished_total", "Finished games by who won", ["variant", "source", "winner"]);
+const errors = createCounter("errors_total", "Errors sent to clients, by code", ["code"]);
+createGauge("uptime_seconds", "Seconds since the server started", () => process.uptime());
+
+/**
+ * Run an engine call, recording how long it took: in the engine histogram,
+ * in the current request's summary line, and as a debug log.
+ *
+ * @param {string} engine - Engine name for the label
+ * @param {Function} run - The call; its result is returned
+ */
+function timeEngine(engine, run) {
+    const started = process.hrtime.bigint();
+    const result = run();
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+
+    engineDuration.observe({ engine }, ms / 1000);
+    const request = currentRequest();
+    if (request) request.engines.push({ engine, ms: Math.round(ms * 10) / 10 });
+    logger.debug("engine", { engine, ms });
+    return result;
+}
+
+/**
+ * Count a finished game. `players` is { X, O } of 'human' or 'ai'.
+ */
+function countFinishedGame({ variant, source, players, result }) {
+    const winner = result.winner === "draw" ? "draw" : players[result.winner];
+    gamesFinished.inc({ variant, source, winner });
+}
+
+module.exports = {
+    createCounter,
+    createHistogram,
+    createGauge,
+    renderMetrics,
+    httpRequests,
+    errors,
+    timeEngine,
+    countFinishedGame
+};
@@ -0,0 +1,105 @@
+// ============================================================================
+// METRICS TESTS: What a Prometheus Scrape of /metrics Sees
+// ============================================================================
+
+const test = require("node:test");
+const assert = require("assert");
+const { renderMetrics } = require("./metrics");
+const { createGame, playMove, undo, redo, goTo } = require("./gameSessions");
+const { withServer } = require("./testServer");
+
+// name{label="value",...} number
+const SAMPLE = /^(qttt_[a-z_]+)(\{[a-z_]+="(?:[^"\\\n]|\\[\\"n])*"(?:,[a-z_]+="(?:[^"\\\n]|\\[\\"n])*")*\})? (\S+)$/;
+
+/**
+ * Parse the text format, checking each line as it goes.
+ *
+ * @returns {Object} name -> { type, help, samples: [{ name, labels, value }] }
+ */
+function parseExposition(text) {
+    assert.ok(text.endsWith("\n"), "the exposition ends with a newline");
+    const metrics = {};
+    text.slice(0, -1).split("\n").forEach(line => {
+        const comment = /^# (HELP|TYPE) (\S+) (.+)$/.exec(line);
+        if (comment) {
+            const [, kind, name, rest] = comment;
+            metrics[name] = metrics[name] || { samples: [] };
+            metrics[name][kind.toLowerCase()] = rest;
+            return;
+        }
+
+        const sample = SAMPLE.exec(line);
+        assert.ok(sample, `not a sample line: ${line}`);
+        const [, name, labels = "", value] = sample;
+        assert.ok(!Number.isNaN(Number(value)), `not a number: ${line}`);
+
+        // Histogram series belong to the metric without their suffix
+        const family = metrics[name] ? name : name.replace(/_(bucket|sum|count)$/, "");
+        assert.ok(metrics[family] && metrics[family].type, `${name} has no TYPE before its samples`);
+        metrics[family].samples.push({ name, labels, value: Number(value) });
+    });
+    return metrics;
+}
+
+test("/metrics is the Prometheus text format and counts what happened", async () => {
+    await withServer(async (baseUrl) => {
+        const move = body => fetch(`${baseUrl}/api/move`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body)
+        });
+        assert.strictEqual((await move({})).status, 200);
+        assert.strictEqual((await move({ side: "Q" })).status, 400);
+
+        const response = await fetch(`${baseUrl}/metrics`);
+        assert.match(response.headers.get("content-type"), /^text\/plain;.* version=0\.0\.4/);
+        const metrics = parseExposition(await response.text());
+
+        const types = Object.fromEntries(Object.entries(metrics).map(([name, { type }]) => [name, type]));
+        assert.deepStrictEqual(types, {
+            qttt_http_requests_total: "counter",
+            qttt_engine_duration_seconds: "histogram",
+            qttt_games_finished_total: "counter",
+            qttt_errors_total: "counter",
+            qttt_uptime_seconds: "gauge"
+        });
+        Object.values(metrics).forEach(({ help }) => assert.ok(help));
+
+        const samples = Object.values(metrics).flatMap(metric => metric.samples);
+        const value = (name, labels) => {
+            const sample = samples.find(s => s.name === name && s.labels === labels);
+            return sample ? sample.value : 0;
+        };
+        assert.ok(value("qttt_http_requests_total", '{method="POST",route="/api/move",status="200"}') >= 1);
+        assert.ok(value("qttt_http_requests_total", '{method="POST",route="/api/move",status="400"}') >= 1);
+        assert.ok(value("qttt_errors_total", '{code="INVALID_SIDE"}') >= 1);
+        assert.ok(value("qttt_uptime_seconds", "") > 0);
+
+        // Buckets are cumulative and +Inf holds every observation
+        const engine = 'engine="heuristic-quantum"';
+        const buckets = metrics.qttt_engine_duration_seconds.samples
+            .filter(s => s.name.endsWith("_bucket") && s.labels.startsWith(`{${engine},`));
+        assert.ok(buckets.length > 1);
+        buckets.slice(1).forEach((bucket, i) => assert.ok(bucket.value >= buckets[i].value, bucket.labels));
+        assert.strictEqual(buckets.at(-1).labels, `{${engine},le="+Inf"}`);
+        assert.strictEqual(buckets.at(-1).value, value("qttt_engine_duration_seconds_count", `{${engine}}`));
+    });
+});
+
+test("stepping back onto a finished game doesn't count it again", () => {
+    const finishedGames = () => parseExposition(renderMetrics()).qttt_games_finished_total.samples
+        .reduce((sum, sample) => sum + sample.value, 0);
+
+    let { game } = createGame({ difficulty: "unbeatable" });
+    const before = finishedGames();
+    while (!game.result) {
+        game = playMove(game.id, { cell: game.state.board.indexOf(null) }).game;
+    }
+    assert.strictEqual(finishedGames(), before + 1);
+
+    undo(game.id);
+    redo(game.id);
+    undo(game.id);
+    goTo(game.id, game.moveTree.current);
+    assert.strictEqual(finishedGames(), before + 1);
+});
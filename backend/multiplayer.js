@@ -0,0 +1,172 @@
+// ============================================================================
+// MULTIPLAYER: WebSocket Transport for Rooms
+// ============================================================================
+// Attaches a WebSocket server at /ws to the HTTP server. Every message is
+// JSON with a `type`:
+//
+//   client -> server
+//     { type: "create", variant, size, winLength, encoder, side }
+//     { type: "join", code, role: "player"|"spectator", token }
+//     { type: "move", cell } (classic) or { type: "move", action } (quantum)
+//     { type: "rematch" }
+//     { type: "leave" }
+//
+//   server -> client
+//     { type: "joined", room, seat }   seat = { side, token } or null
+//     { type: "room", event, room, move, analysis }   to everyone in the room
+//         event = "join" | "leave" | "move" | "rematch"
+//     { type: "error", error: { code, message } }
+//
+// A client that loses its connection reconnects and sends "join" with its
+// token to get its seat back. Game logic is all in rooms.js.
+// ============================================================================
+
+const { WebSocketServer, WebSocket } = require("ws");
+const { RuleError } = require("./gameRules");
+const rooms = require("./rooms");
+const { logger } = require("./logger");
+const { errors } = require("./metrics");
+
+// Dead connections are dropped if they miss a ping
+const HEARTBEAT_MS = 30000;
+
+/**
+ * Start the WebSocket server on an existing HTTP server.
+ *
+ * @param {http.Server} server - What app.listen() returned
+ * @returns {WebSocketServer}
+ */
+function attachMultiplayer(server) {
+    const wss = new WebSocketServer({ server, path: "/ws" });
+
+    // room code -> sockets in that room
+    const members = new Map();
+
+    function send(socket, message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    function broadcast(code, message) {
+        (members.get(code) || []).forEach(socket => send(socket, message));
+    }
+
+    function enter(socket, room, seat) {
+        socket.membership = { code: room.code, token: seat ? seat.token : null };
+        if (!members.has(room.code)) members.set(room.code, new Set());
+        members.get(room.code).add(socket);
+
+        send(socket, { type: "joined", room, seat });
+        broadcast(room.code, { type: "room", event: "join", room });
+    }
+
+    function leave(socket) {
+        if (!socket.membership) return;
+        const { code, token } = socket.membership;
+        socket.membership = null;
+
+        const sockets = members.get(code);
+        if (sockets) {
+            sockets.delete(socket);
+            if (sockets.size === 0) members.delete(code);
+        }
+
+        const room = rooms.leaveRoom(code, token);
+        if (room) broadcast(code, { type: "room", event: "leave", room });
+    }
+
+    function requireRoom(socket) {
+        if (!socket.membership) {
+            throw new RuleError("NOT_IN_ROOM", "Create or join a room first");
+        }
+        return socket.membership;
+    }
+
+    const handlers = {
+        create(socket, message) {
+            leave(socket);
+            const { room, seat } = rooms.createRoom(message);
+            logger.info("room created", { room: room.code, variant: room.variant, size: room.size });
+            enter(socket, room, seat);
+        },
+
+        join(socket, message) {
+            leave(socket);
+            const { room, seat } = rooms.joinRoom(message.code, message);
+            enter(socket, room, seat);
+        },
+
+        move(socket, message) {
+            const { code, token } = requireRoom(socket);
+            const { room, move, analysis } = rooms.playRoomMove(code, token, message);
+            broadcast(code, { type: "room", event: "move", room, move, analysis });
+        },
+
+        rematch(socket) {
+            const { code, token } = requireRoom(socket);
+            broadcast(code, { type: "room", event: "rematch", room: rooms.rematch(code, token) });
+        },
+
+        leave(socket) {
+            leave(socket);
+        }
+    };
+
+    wss.on("connection", socket => {
+        socket.isAlive = true;
+        socket.membership = null;
+
+        socket.on("pong", () => {
+            socket.isAlive = true;
+        });
+
+        socket.on("message", data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                errors.inc({ code: "BAD_MESSAGE" });
+                return send(socket, { type: "error", error: { code: "BAD_MESSAGE", message: "Messages must be JSON" } });
+            }
+
+            const handler = message && Object.hasOwn(handlers, message.type) ? handlers[message.type] : null;
+            if (!handler) {
+                errors.inc({ code: "BAD_MESSAGE" });
+                return send(socket, {
+                    type: "error",
+                    error: { code: "BAD_MESSAGE", message: `Unknown message type: ${message && message.type}` }
+                });
+            }
+
+            try {
+                handler(socket, message);
+            } catch (error) {
+                if (!(error instanceof RuleError)) {
+                    errors.inc({ code: "SERVER_ERROR" });
+                    logger.error("multiplayer crash", { type: message.type, error });
+                    return send(socket, { type: "error", error: { code: "SERVER_ERROR", message: "Something went wrong" } });
+                }
+                errors.inc({ code: error.code });
+                send(socket, { type: "error", error: { code: error.code, message: error.message } });
+            }
+        });
+
+        socket.on("close", () => leave(socket));
+    });
+
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.isAlive) return socket.terminate();
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    wss.on("close", () => clearInterval(heartbeat));
+
+    return wss;
+}
+
+module.exports = { attachMultiplayer };
@@ -0,0 +1,144 @@
+// ============================================================================
+// NOISE MODELS: What the Circuits Would Look Like on Real Hardware
+// ============================================================================
+// The simulator is ideal. A noise model makes the engines read their circuits
+// the way a noisy device would report them:
+//   depolarizing     - per gate: with this probability the qubit's state is
+//                      replaced by a random one (so half the time its bit flips)
+//   amplitudeDamping - per gate: chance that |1> decays to |0>
+//   readout          - per qubit at measurement: chance the bit is misread
+//
+// A gate on several qubits counts as a gate on each of them. Every qubit's
+// gate errors are collected and applied where the qubit is measured, to the
+// basis-state distribution. Depolarizing noise commutes with single-qubit
+// gates, so this is exact for the cell and cell-pair encoders (one rotation
+// per qubit); damping, and anything after an entangling gate, is an
+// approximation that keeps the simulation a state vector.
+//
+// Models are { depolarizing, amplitudeDamping, readout }, each in [0, 1];
+// missing rates are 0 and a model with every rate 0 is no model (null).
+// ============================================================================
+
+const { RuleError } = require("./gameRules");
+
+const NOISE_CHANNELS = ["depolarizing", "amplitudeDamping", "readout"];
+
+/**
+ * Check a noise model from a request.
+ *
+ * @param {Object} noise - { depolarizing, amplitudeDamping, readout }, or null
+ * @returns {Object|null} The model with every rate filled in, or null if
+ *                        there is no noise
+ * @throws {RuleError} INVALID_OPTION for unknown channels or rates outside [0, 1]
+ */
+function checkNoise(noise) {
+    if (noise === undefined || noise === null) return null;
+    if (typeof noise !== "object" || Array.isArray(noise)) {
+        throw new RuleError("INVALID_OPTION", "noise must be an object");
+    }
+
+    Object.keys(noise).forEach(channel => {
+        if (!NOISE_CHANNELS.includes(channel)) {
+            throw new RuleError("INVALID_OPTION",
+                `Unknown noise channel: ${channel} (expected ${NOISE_CHANNELS.join(", ")})`);
+        }
+    });
+
+    const model = {};
+    NOISE_CHANNELS.forEach(channel => {
+        const rate = noise[channel] === undefined ? 0 : noise[channel];
+        if (typeof rate !== "number" || !(rate >= 0 && rate <= 1)) {
+            throw new RuleError("INVALID_OPTION", `noise.${channel} must be a number from 0 to 1`);
+        }
+        model[channel] = rate;
+    });
+
+    return NOISE_CHANNELS.some(channel => model[channel] > 0) ? model : null;
+}
+
+/**
+ * Cache key part for a (checked) model; "" for none.
+ */
+function noiseKey(noise) {
+    return noise ? NOISE_CHANNELS.map(channel => noise[channel]).join(",") : "";
+}
+
+/**
+ * Gates touching each qubit of a circuit.
+ */
+function gateCounts(circuit) {
+    return circuit.gates.map(wire => wire.filter(gate => gate).length);
+}
+
+// 2×2 transition matrices as [[p(0|0), p(0|1)], [p(1|0), p(1|1)]]
+function multiply(a, b) {
+    return [
+        [a[0][0] * b[0][0] + a[0][1] * b[1][0], a[0][0] * b[0][1] + a[0][1] * b[1][1]],
+        [a[1][0] * b[0][0] + a[1][1] * b[1][0], a[1][0] * b[0][1] + a[1][1] * b[1][1]]
+    ];
+}
+
+function bitFlip(p) {
+    return [[1 - p, p], [p, 1 - p]];
+}
+
+/**
+ * What the model does to one qubit's measured bit after `gates` gates.
+ */
+function qubitChannel(noise, gates) {
+    // n channels in a row: the chance nothing happened is the product
+    const depolarized = 1 - Math.pow(1 - noise.depolarizing, gates);
+    const damped = 1 - Math.pow(1 - noise.amplitudeDamping, gates);
+
+    const depolarizing = bitFlip(depolarized / 2);
+    const damping = [[1, damped], [0, 1 - damped]];
+    return multiply(bitFlip(noise.readout), multiply(damping, depolarizing));
+}
+
+/**
+ * Basis-state distribution of a circuit that has been run, ideal and noisy.
+ *
+ * @param {QuantumCircuit} circuit - Circuit after circuit.run()
+ * @param {Object} noise - Checked model (see checkNoise)
+ * @returns {Object} { ideal, noisy } as Float64Arrays indexed by basis state
+ */
+function noisyDistribution(circuit, noise) {
+    const qubits = circuit.numQubits;
+    const ideal = new Float64Array(1 << qubits);
+    for (const [index, amp] of Object.entries(circuit.state)) {
+        ideal[Number(index)] = amp.re * amp.re + amp.im * amp.im;
+    }
+
+    const noisy = Float64Array.from(ideal);
+    gateCounts(circuit).forEach((gates, qubit) => {
+        const [[p00, p01], [p10, p11]] = qubitChannel(noise, gates);
+        const bit = 1 << qubit;
+        for (let i = 0; i < noisy.length; i++) {
+            if (i & bit) continue;
+            const zero = noisy[i];
+            const one = noisy[i | bit];
+            noisy[i] = p00 * zero + p01 * one;
+            noisy[i | bit] = p10 * zero + p11 * one;
+        }
+    });
+
+    return { ideal, noisy };
+}
+
+/**
+ * How far a noisy distribution is from the ideal one.
+ *
+ * @returns {Object} { tvd, fidelity }: total variation distance (0 = same,
+ *                   1 = disjoint) and classical fidelity (1 = same)
+ */
+function distributionDistance(ideal, noisy) {
+    let tvd = 0;
+    let overlap = 0;
+    for (let i = 0; i < ideal.length; i++) {
+        tvd += Math.abs(ideal[i] - noisy[i]);
+        overlap += Math.sqrt(ideal[i] * noisy[i]);
+    }
+    return { tvd: tvd / 2, fidelity: overlap * overlap };
+}
+
+module.exports = { NOISE_CHANNELS, checkNoise, noiseKey, noisyDistribution, distributionDistance };
@@ -0,0 +1,63 @@
+// ============================================================================
+// NOISE TESTS: Distances on Circuits Worked Out by Hand
+// ============================================================================
+
+const test = require("node:test");
+const assert = require("assert");
+const QuantumCircuit = require("quantum-circuit");
+const { checkNoise, noisyDistribution, distributionDistance } = require("./noise");
+
+/**
+ * Run a circuit of one-qubit gates, given as [gate, qubit] pairs.
+ */
+function runCircuit(qubits, gates) {
+    const circuit = new QuantumCircuit(qubits);
+    gates.forEach(([gate, qubit]) => circuit.addGate(gate, -1, qubit));
+    circuit.run();
+    return circuit;
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual}, expected ${expected}`);
+}
+
+function assertDistance(circuit, noise, { noisy, tvd, fidelity }) {
+    const distribution = noisyDistribution(circuit, checkNoise(noise));
+    noisy.forEach((p, i) => assertClose(distribution.noisy[i], p, `p(${i})`));
+    const distance = distributionDistance(distribution.ideal, distribution.noisy);
+    assertClose(distance.tvd, tvd, "tvd");
+    assertClose(distance.fidelity, fidelity, "fidelity");
+}
+
+test("each channel moves |1> by its rate after one gate", () => {
+    const one = runCircuit(1, [["x", 0]]);
+    // A misread bit, a bit flipped half the time it's depolarized, a decay
+    assertDistance(one, { readout: 0.1 }, { noisy: [0.1, 0.9], tvd: 0.1, fidelity: 0.9 });
+    assertDistance(one, { depolarizing: 0.2 }, { noisy: [0.1, 0.9], tvd: 0.1, fidelity: 0.9 });
+    assertDistance(one, { amplitudeDamping: 0.3 }, { noisy: [0.3, 0.7], tvd: 0.3, fidelity: 0.7 });
+});
+
+test("gate noise grows with the gates on a qubit and spares idle ones", () => {
+    // Three X gates: still |1>, but depolarized three times over
+    const flipped = 1 - Math.pow(0.8, 3);
+    assertDistance(runCircuit(1, [["x", 0], ["x", 0], ["x", 0]]), { depolarizing: 0.2 },
+        { noisy: [flipped / 2, 1 - flipped / 2], tvd: flipped / 2, fidelity: 1 - flipped / 2 });
+
+    // Qubit 1 has no gates, so only qubit 0 of |01> is disturbed
+    assertDistance(runCircuit(2, [["x", 0]]), { depolarizing: 0.2 },
+        { noisy: [0.1, 0.9, 0, 0], tvd: 0.1, fidelity: 0.9 });
+});
+
+test("a uniform qubit looks the same through bit flips", () => {
+    assertDistance(runCircuit(1, [["h", 0]]), { depolarizing: 0.5, readout: 0.2 },
+        { noisy: [0.5, 0.5], tvd: 0, fidelity: 1 });
+});
+
+test("noise models are checked and filled in", () => {
+    assert.strictEqual(checkNoise(null), null);
+    assert.strictEqual(checkNoise({ readout: 0 }), null);
+    assert.deepStrictEqual(checkNoise({ readout: 0.1 }), { depolarizing: 0, amplitudeDamping: 0, readout: 0.1 });
+    assert.throws(() => checkNoise({ dephasing: 0.1 }), { code: "INVALID_OPTION" });
+    assert.throws(() => checkNoise({ readout: 1.5 }), { code: "INVALID_OPTION" });
+    assert.throws(() => checkNoise([0.1]), { code: "INVALID_OPTION" });
+});
@@ -3,9 +3,22 @@
 // ============================================================================
 // This engine combines REAL tic-tac-toe strategy with quantum analysis.
 // It checks for wins/blocks first, then uses quantum features for tactical moves.
+//
+// It runs in the browser too: bundle.js packs it with its requires for the
+// frontend's Web Worker, so this file and everything it requires must stay
+// free of Node-only APIs (fs, path, process).
 // ============================================================================
 
 const QuantumCircuit = require("quantum-circuit");
+const quantumRules = require("./quantumRules");
+const { RuleError, CLASSIC } = require("./gameRules");
+const { DEFAULT_ENCODER, getEncoder, defaultEncoderFor } = require("./encoders");
+const { createTable, remember, canonicalize, boardKey } = require("./transpositions");
+const { noiseKey, noisyDistribution, distributionDistance } = require("./noise");
+
+// Quantum features per board, and scoreMove results per (board, cell)
+const featureTable = createTable("features");
+const scoreTable = createTable("scores");
 
 // ============================================================================
 // CLASSICAL STRATEGY: Smart Tic-Tac-Toe Logic
@@ -17,28 +30,22 @@ const QuantumCircuit = require("quantum-circuit");
  * @param {Array} board - Current board state
  * @param {number} cellIndex - Cell to check
  * @param {string} symbol - 'X' or 'O'
+ * @param {Object} geometry - Board shape from gameRules.createGeometry
  * @returns {boolean} True if this move wins
  */
-function isWinningMove(board, cellIndex, symbol) {
+function isWinningMove(board, cellIndex, symbol, geometry = CLASSIC) {
     if (board[cellIndex] !== null) return false;
     
     // Simulate the move
     const testBoard = [...board];
     testBoard[cellIndex] = symbol;
     
-    const winPatterns = [
-        [0, 1, 2], [3, 4, 5], [6, 7, 8],  // Rows
-        [0, 3, 6], [1, 4, 7], [2, 5, 8],  // Columns
-        [0, 4, 8], [2, 4, 6]               // Diagonals
-    ];
-
-    for (let pattern of winPatterns) {
-        const [a, b, c] = pattern;
+    // Only lines through this cell can have just been completed
+    for (let line of geometry.lines) {
+        if (!line.includes(cellIndex)) continue;
         
-        // Check if all three are the same symbol
-        if (testBoard[a] === symbol && 
-            testBoard[b] === symbol && 
-            testBoard[c] === symbol) {
+        // Check if every cell in the line is the same symbol
+        if (line.every(i => testBoard[i] === symbol)) {
             return true;
         }
     }
@@ -51,13 +58,14 @@ function isWinningMove(board, cellIndex, symbol) {
  * 
  * @param {Array} board - Current board state
  * @param {string} symbol - 'X' or 'O'
+ * @param {Object} geometry - Board shape
  * @returns {Array} Array of cell indices that win
  */
-function findAllWinningMoves(board, symbol) {
+function findAllWinningMoves(board, symbol, geometry = CLASSIC) {
     const winningMoves = [];
     
-    for (let i = 0; i < 9; i++) {
-        if (isWinningMove(board, i, symbol)) {
+    for (let i = 0; i < geometry.cells; i++) {
+        if (isWinningMove(board, i, symbol, geometry)) {
             winningMoves.push(i);
         }
     }
@@ -72,29 +80,23 @@ function findAllWinningMoves(board, symbol) {
  * @param {Array} board - Current board state
  * @param {number} cellIndex - Cell we're considering
  * @param {string} symbol - Our symbol
+ * @param {Object} geometry - Board shape
  * @returns {boolean} True if this creates a fork
  */
-function createsFork(board, cellIndex, symbol) {
+function createsFork(board, cellIndex, symbol, geometry = CLASSIC) {
     const testBoard = [...board];
     testBoard[cellIndex] = symbol;
     
-    const winPatterns = [
-        [0, 1, 2], [3, 4, 5], [6, 7, 8],
-        [0, 3, 6], [1, 4, 7], [2, 5, 8],
-        [0, 4, 8], [2, 4, 6]
-    ];
-    
     let threats = 0;
     
-    for (let pattern of winPatterns) {
-        const [a, b, c] = pattern;
-        const cells = [testBoard[a], testBoard[b], testBoard[c]];
+    for (let line of geometry.lines) {
+        const cells = line.map(i => testBoard[i]);
         
         const ourCount = cells.filter(cell => cell === symbol).length;
         const emptyCount = cells.filter(cell => cell === null).length;
         
-        // A threat is 2 of ours + 1 empty
-        if (ourCount === 2 && emptyCount === 1) {
+        // A threat is all ours but one empty cell
+        if (ourCount === geometry.winLength - 1 && emptyCount === 1) {
             threats++;
         }
     }
@@ -103,65 +105,106 @@ function createsFork(board, cellIndex, symbol) {
     return threats >= 2;
 }
 
-// ============================================================================
-// QUANTUM ENCODING: Convert Board State to Quantum Circuit
-// ============================================================================
-
-function encodeBoard(boardState) {
-    const circuit = new QuantumCircuit(4);
+/**
+ * Find every cell where symbol would create a fork.
+ * 
+ * @param {Array} board - Current board state
+ * @param {string} symbol - 'X' or 'O'
+ * @param {Object} geometry - Board shape
+ * @returns {Array} Array of cell indices that fork
+ */
+function findForkMoves(board, symbol, geometry = CLASSIC) {
+    const forkMoves = [];
     
-    // First encoding layer - RY rotations
-    for (let i = 0; i < 9; i++) {
-        let cellValue = 0;
-        if (boardState[i] === 'X') cellValue = 1;
-        else if (boardState[i] === 'O') cellValue = -1;
-        
-        const angle = (cellValue + 1) * Math.PI;
-        const qubit = i % 4;
-        
-        circuit.addGate("ry", -1, qubit, {
-            params: { theta: angle }
-        });
+    for (let i = 0; i < geometry.cells; i++) {
+        if (board[i] === null && createsFork(board, i, symbol, geometry)) {
+            forkMoves.push(i);
+        }
     }
     
-    // Entanglement layer
-    circuit.addGate("cx", -1, [0, 1]);
-    circuit.addGate("cx", -1, [1, 2]);
-    circuit.addGate("cx", -1, [2, 3]);
+    return forkMoves;
+}
+
+/**
+ * Check if playing cellIndex makes a threat the opponent must block
+ * somewhere that does NOT give them a fork.
+ * This is the right answer when the opponent has two or more fork cells:
+ * taking one of them just lets them fork with the other.
+ * 
+ * @param {Array} board - Current board state
+ * @param {number} cellIndex - Cell we're considering
+ * @param {string} symbol - Our symbol
+ * @param {Array} opponentForks - Cells where the opponent would fork
+ * @param {Object} geometry - Board shape
+ * @returns {boolean} True if this forces a harmless block
+ */
+function forcesSafeBlock(board, cellIndex, symbol, opponentForks, geometry = CLASSIC) {
+    const testBoard = [...board];
+    testBoard[cellIndex] = symbol;
     
-    // Second encoding layer - RX rotations
-    for (let i = 0; i < 9; i++) {
-        let cellValue = 0;
-        if (boardState[i] === 'X') cellValue = 1;
-        else if (boardState[i] === 'O') cellValue = -1;
-        
-        const angle = (cellValue + 1) * Math.PI / 2;
-        const qubit = i % 4;
-        
-        circuit.addGate("rx", -1, qubit, {
-            params: { theta: angle }
-        });
-    }
+    const blocks = findAllWinningMoves(testBoard, symbol, geometry);
     
-    return circuit;
+    // Exactly one threat (two would be a fork, handled elsewhere) and its
+    // block square isn't a fork square for them
+    return blocks.length === 1 && !opponentForks.includes(blocks[0]);
+}
+
+// ============================================================================
+// QUANTUM ENCODING: Convert Board State to Quantum Circuit
+// ============================================================================
+
+/**
+ * Build the circuit for a board with one of the pluggable encoders.
+ * See encoders.js for what each encoding (and its features) means.
+ * 
+ * @param {Array} boardState - Board to encode
+ * @param {string} encoderName - Encoder name (defaults to the largest one
+ *                               that fits the board)
+ * @param {Object} geometry - Board shape
+ * @returns {QuantumCircuit} Circuit ready to run
+ */
+function encodeBoard(boardState, encoderName, geometry = CLASSIC) {
+    return getEncoder(encoderName || defaultEncoderFor(geometry), geometry).encode(boardState, geometry);
 }
 
 // ============================================================================
 // QUANTUM FEATURE EXTRACTION
 // ============================================================================
 
-function extractQuantumFeatures(circuit) {
+/**
+ * Run a circuit and summarize its state.
+ * 
+ * Entropy, purity and dominant states are computed over the full basis-state
+ * distribution (|amplitude|^2 of every basis state). `probabilities` is what
+ * quantum-circuit reports per qubit: P(qubit = |1>).
+ * 
+ * With a noise model (see noise.js) everything is read from the noisy
+ * distribution instead, and `noise` says how far it is from the ideal one.
+ * 
+ * @param {QuantumCircuit} circuit - Circuit from encodeBoard
+ * @param {Object} noise - Checked noise model, or null for an ideal run
+ * @returns {Object} { probabilities, entropy, purity, dominantStates } plus
+ *                   `noise: { tvd, fidelity }` for a noisy run
+ */
+function extractQuantumFeatures(circuit, noise = null) {
     circuit.run();
+    if (noise) return noisyFeatures(circuit, noise);
+
     const probs = circuit.probabilities();
     
-    const entropy = -probs.reduce((sum, p) => {
-        return sum + (p > 1e-10 ? p * Math.log2(p) : 0);
+    // Sparse state: only basis states with a non-zero amplitude are listed
+    const basis = Object.entries(circuit.state).map(([index, amp]) => ({
+        state: Number(index),
+        prob: amp.re * amp.re + amp.im * amp.im
+    }));
+    
+    const entropy = -basis.reduce((sum, { prob }) => {
+        return sum + (prob > 1e-10 ? prob * Math.log2(prob) : 0);
     }, 0);
     
-    const purity = probs.reduce((sum, p) => sum + p * p, 0);
+    const purity = basis.reduce((sum, { prob }) => sum + prob * prob, 0);
     
-    const dominantStates = probs
-        .map((p, idx) => ({ state: idx, prob: p }))
+    const dominantStates = basis
         .sort((a, b) => b.prob - a.prob)
         .slice(0, 3);
     
@@ -173,33 +216,273 @@ function extractQuantumFeatures(circuit) {
     };
 }
 
+function noisyFeatures(circuit, noise) {
+    const { ideal, noisy } = noisyDistribution(circuit, noise);
+    const probabilities = Array(circuit.numQubits).fill(0);
+    let entropy = 0;
+    let purity = 0;
+    let dominantStates = [];
+
+    noisy.forEach((prob, state) => {
+        if (prob <= 0) return;
+        for (let q = 0; q < probabilities.length; q++) {
+            if ((state >> q) & 1) probabilities[q] += prob;
+        }
+        if (prob > 1e-10) entropy -= prob * Math.log2(prob);
+        purity += prob * prob;
+
+        // The three most likely states, without sorting 2^n of them
+        if (dominantStates.length < 3 || prob > dominantStates[2].prob) {
+            dominantStates = [...dominantStates, { state, prob }]
+                .sort((a, b) => b.prob - a.prob)
+                .slice(0, 3);
+        }
+    });
+
+    return { probabilities, entropy, purity, dominantStates, noise: distributionDistance(ideal, noisy) };
+}
+
+/**
+ * Features of a board, simulated once and then served from the cache.
+ *
+ * With an encoder that has a qubitMap the circuit is only run for the
+ * board's canonical form, and the per-qubit numbers are mapped back to this
+ * board's orientation. Entropy and purity are the same either way.
+ *
+ * @param {Array} boardState - Board to encode
+ * @param {string} encoderName - Encoder name (default for the board if omitted)
+ * @param {Object} geometry - Board shape
+ * @param {Object} noise - Checked noise model (see noise.js), or null
+ * @returns {Object} Same as extractQuantumFeatures
+ */
+function boardFeatures(boardState, encoderName, geometry = CLASSIC, noise = null) {
+    const encoder = getEncoder(encoderName || defaultEncoderFor(geometry), geometry);
+    const prefix = `${encoder.name}|${geometry.size},${geometry.winLength}|${noiseKey(noise)}|`;
+
+    if (!encoder.qubitMap) {
+        return remember(featureTable, prefix + boardKey(boardState),
+            () => extractQuantumFeatures(encoder.encode(boardState, geometry), noise));
+    }
+
+    const canonical = canonicalize(boardState, geometry);
+    const features = remember(featureTable, prefix + canonical.key,
+        () => extractQuantumFeatures(encoder.encode(canonical.board, geometry), noise));
+
+    // Qubit q of this board is qubit map[q] of the canonical one
+    const map = encoder.qubitMap(canonical.symmetry);
+    const unmapState = state => map.reduce((bits, to, q) => bits | (((state >> to) & 1) << q), 0);
+
+    return {
+        probabilities: map.map(to => features.probabilities[to]),
+        entropy: features.entropy,
+        purity: features.purity,
+        dominantStates: features.dominantStates.map(({ state, prob }) => ({ state: unmapState(state), prob })),
+        ...(features.noise ? { noise: features.noise } : {})
+    };
+}
+
+// ============================================================================
+// CIRCUIT EXPORT: Show the Circuit Behind the Numbers
+// ============================================================================
+
+// Basis states listed for the histogram: all of them for 4 qubits, the most
+// likely ones for wider registers (2^9 and up is too many bars to read)
+const MAX_BASIS_STATES = 16;
+
+/**
+ * The encoding circuit of a board as OpenQASM and as an SVG gate diagram,
+ * plus its basis-state distribution for a histogram.
+ *
+ * Basis states are labeled with their bits from the highest qubit down, so
+ * the rightmost bit is qubit 0 (cell 0 for the cell encoder).
+ *
+ * @param {Array} boardState - Board to encode
+ * @param {string} encoderName - Encoder name (default for the board if omitted)
+ * @param {Object} geometry - Board shape
+ * @returns {Object} { encoder, qubits, qasm, svg, basisStates, otherProbability }
+ *                   where basisStates[i] = { state, label, probability } and
+ *                   otherProbability is the total of the states left out
+ */
+function describeCircuit(boardState, encoderName, geometry = CLASSIC) {
+    const encoder = getEncoder(encoderName || defaultEncoderFor(geometry), geometry);
+    return describeQuantumCircuit(encoder.encode(boardState, geometry), encoder.name);
+}
+
+/**
+ * Same as describeCircuit for any circuit, e.g. a gate game's (gateRules.js).
+ *
+ * @param {QuantumCircuit} circuit - Circuit to run and describe
+ * @param {string} label - Reported as `encoder`
+ */
+function describeQuantumCircuit(circuit, label) {
+    circuit.run();
+
+    const qubits = circuit.numQubits;
+    const probability = index => {
+        const amp = circuit.state[index];
+        return amp ? amp.re * amp.re + amp.im * amp.im : 0;
+    };
+
+    let states;
+    if (2 ** qubits <= MAX_BASIS_STATES) {
+        states = Array.from({ length: 2 ** qubits }, (_, index) => index);
+    } else {
+        // Sparse state: only non-zero amplitudes are listed
+        states = Object.keys(circuit.state)
+            .map(Number)
+            .sort((a, b) => probability(b) - probability(a) || a - b)
+            .slice(0, MAX_BASIS_STATES);
+    }
+
+    const basisStates = states.map(state => ({
+        state,
+        label: `|${state.toString(2).padStart(qubits, "0")}⟩`,
+        probability: probability(state)
+    }));
+    const shown = basisStates.reduce((sum, s) => sum + s.probability, 0);
+
+    return {
+        encoder: label,
+        qubits,
+        qasm: circuit.exportQASM(),
+        svg: circuit.exportSVG(true),
+        basisStates,
+        otherProbability: Math.max(0, 1 - shown)
+    };
+}
+
 // ============================================================================
 // MOVE SCORING: Combine Classical Strategy + Quantum Analysis
 // ============================================================================
 
-function scoreMove(boardState, cellIndex) {
-    const symbol = 'O';
-    const opponent = 'X';
-    
+// Points for each part of a move's score. The classical terms are far apart
+// so they act as priorities; the quantum terms only break ties. Pass
+// { weights } to scoreMove to try other values (see tournament.js).
+const DEFAULT_WEIGHTS = {
+    win: 100000,
+    block: 90000,
+    fork: 5000,
+    blockFork: 4000,
+    center: 3000,
+    oppositeCorner: 500,  // on top of corner, so still below center
+    corner: 2000,
+    edge: 500,
+    entropy: 10,        // per bit below 4
+    purity: 50,
+    cellSignal: 30,
+    dominantState: 20
+};
+
+/**
+ * Score one candidate cell for `side`. Scores are cached (see
+ * transpositions.js), so asking again for the same position is free.
+ * 
+ * @param {Array} boardState - Current board state
+ * @param {number} cellIndex - Cell we're considering
+ * @param {string} side - Symbol the engine plays ('X' or 'O')
+ * @param {Object} options - { encoder, geometry, weights, noise }: board
+ *                           encoder for the quantum terms, board shape
+ *                           (default 3×3), overrides for DEFAULT_WEIGHTS and
+ *                           a checked noise model for the circuits
+ * @returns {Object} { score, features, strategy, strategies, breakdown }
+ *                   where strategy is the headline label, strategies every
+ *                   label that matched and breakdown the points of each term
+ *                   as [{ component, points }] (components are the
+ *                   DEFAULT_WEIGHTS names; they add up to score)
+ */
+function scoreMove(boardState, cellIndex, side = 'O', options = {}) {
+    const geometry = options.geometry || CLASSIC;
+    const encoder = getEncoder(options.encoder || defaultEncoderFor(geometry), geometry);
+    const weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+
     if (boardState[cellIndex] !== null) {
-        return { score: -Infinity, features: null, strategy: 'invalid' };
+        return { score: -Infinity, features: null, strategy: 'invalid', strategies: [], breakdown: [] };
     }
+
+    // Every rule below treats symmetric cells alike, so with a symmetric
+    // encoder a rotated or mirrored (board, cell) scores the same
+    const position = encoder.qubitMap
+        ? canonicalize(boardState, geometry, cellIndex).key
+        : `${boardKey(boardState)}@${cellIndex}`;
+    const key = `${encoder.name}|${geometry.size},${geometry.winLength}|${side}|` +
+        `${options.weights ? JSON.stringify(weights) : ""}|${noiseKey(options.noise)}|${position}`;
+
+    const result = remember(scoreTable, key,
+        () => computeScore(boardState, cellIndex, side, geometry, encoder.name, weights, options.noise || null));
+    return {
+        ...result,
+        features: { ...result.features },
+        strategies: [...result.strategies],
+        breakdown: result.breakdown.map(term => ({ ...term }))
+    };
+}
+
+/**
+ * The quantum terms of a move's score, read from the features of the board
+ * it leaves (`testBoard`).
+ *
+ * @returns {Array} [{ component, points }] for entropy, purity, cellSignal
+ *                  (the encoder's own read on the move, see encoders.js) and
+ *                  dominantState
+ */
+function quantumTerms(features, testBoard, cellIndex, symbol, geometry, encoderName, weights) {
+    return [
+        { component: 'entropy', points: (4 - features.entropy) * weights.entropy },
+        { component: 'purity', points: features.purity * weights.purity },
+        { component: 'cellSignal', points: getEncoder(encoderName, geometry).cellSignal(features, testBoard, cellIndex, symbol, geometry) * weights.cellSignal },
+        { component: 'dominantState', points: features.dominantStates[0].prob * weights.dominantState }
+    ];
+}
+
+/**
+ * Only the quantum part of scoreMove: the sum of the quantum terms, with no
+ * wins, blocks, forks or corners. Cheaper (the features are cached per
+ * board) and on a scale of tens of points rather than thousands.
+ *
+ * @param {Object} options - { encoder, geometry, weights, noise } as for scoreMove
+ * @returns {number} Points, or -Infinity for an occupied cell
+ */
+function quantumScore(boardState, cellIndex, side = 'O', options = {}) {
+    if (boardState[cellIndex] !== null) return -Infinity;
+    const geometry = options.geometry || CLASSIC;
+    const encoderName = getEncoder(options.encoder || defaultEncoderFor(geometry), geometry).name;
+    const weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+
+    const testBoard = [...boardState];
+    testBoard[cellIndex] = side;
+    const features = boardFeatures(testBoard, encoderName, geometry, options.noise || null);
+    return quantumTerms(features, testBoard, cellIndex, side, geometry, encoderName, weights)
+        .reduce((sum, { points }) => sum + points, 0);
+}
+
+function computeScore(boardState, cellIndex, side, geometry, encoderName, weights, noise) {
+    const symbol = side;
+    const opponent = side === 'X' ? 'O' : 'X';
     
     let score = 0;
     let strategy = 'quantum';
+
+    // Every term that added points, in the order it was checked, and every
+    // strategy that matched (`strategy` keeps only the headline one)
+    const breakdown = [];
+    const strategies = [];
+    const add = (component, points, label) => {
+        score += points;
+        breakdown.push({ component, points });
+        if (label) strategies.push(label);
+    };
     
     // ========================================================================
     // PRIORITY 1: IMMEDIATE WIN (100,000 points!)
     // ========================================================================
-    if (isWinningMove(boardState, cellIndex, symbol)) {
-        score = 100000;
+    if (isWinningMove(boardState, cellIndex, symbol, geometry)) {
+        add('win', weights.win, 'WINNING MOVE!');
         strategy = 'WINNING MOVE!';
         
         // Still get quantum features for display
         const testBoard = [...boardState];
         testBoard[cellIndex] = symbol;
-        const circuit = encodeBoard(testBoard);
-        const features = extractQuantumFeatures(circuit);
+        const features = boardFeatures(testBoard, encoderName, geometry, noise);
         
         return {
             score,
@@ -207,21 +490,22 @@ function scoreMove(boardState, cellIndex) {
                 entropy: features.entropy,
                 purity: features.purity
             },
-            strategy
+            strategy,
+            strategies,
+            breakdown
         };
     }
     
     // ========================================================================
     // PRIORITY 2: BLOCK OPPONENT WIN (90,000 points)
     // ========================================================================
-    if (isWinningMove(boardState, cellIndex, opponent)) {
-        score = 90000;
+    if (isWinningMove(boardState, cellIndex, opponent, geometry)) {
+        add('block', weights.block, 'BLOCK WIN!');
         strategy = 'BLOCK WIN!';
         
         const testBoard = [...boardState];
         testBoard[cellIndex] = symbol;
-        const circuit = encodeBoard(testBoard);
-        const features = extractQuantumFeatures(circuit);
+        const features = boardFeatures(testBoard, encoderName, geometry, noise);
         
         return {
             score,
@@ -229,51 +513,60 @@ function scoreMove(boardState, cellIndex) {
                 entropy: features.entropy,
                 purity: features.purity
             },
-            strategy
+            strategy,
+            strategies,
+            breakdown
         };
     }
     
     // For non-critical moves, calculate quantum features
     const testBoard = [...boardState];
     testBoard[cellIndex] = symbol;
-    const circuit = encodeBoard(testBoard);
-    const features = extractQuantumFeatures(circuit);
+    const features = boardFeatures(testBoard, encoderName, geometry, noise);
     
     // ========================================================================
     // PRIORITY 3: CREATE FORK (two winning threats)
     // ========================================================================
-    if (createsFork(boardState, cellIndex, symbol)) {
-        score += 5000;
+    if (createsFork(boardState, cellIndex, symbol, geometry)) {
+        add('fork', weights.fork, 'fork');
         strategy = 'fork';
     }
     
     // ========================================================================
     // PRIORITY 4: BLOCK OPPONENT'S FORK
     // ========================================================================
-    if (createsFork(boardState, cellIndex, opponent)) {
-        score += 4000;
+    // One fork square: take it. Two or more: taking one lets them fork on
+    // another, unless it spoils every fork at once, so otherwise force them
+    // to block somewhere harmless instead.
+    const opponentForks = findForkMoves(boardState, opponent, geometry);
+    if (opponentForks.length === 1 && opponentForks[0] === cellIndex) {
+        add('blockFork', weights.blockFork, 'block_fork');
+        strategy = 'block_fork';
+    } else if (opponentForks.length > 1 &&
+               (findForkMoves(testBoard, opponent, geometry).length === 0 ||
+                forcesSafeBlock(boardState, cellIndex, symbol, opponentForks, geometry))) {
+        add('blockFork', weights.blockFork, 'block_fork');
         strategy = 'block_fork';
     }
     
     // ========================================================================
     // PRIORITY 5: CENTER CONTROL (classic strategy)
     // ========================================================================
-    if (cellIndex === 4 && boardState[4] === null) {
-        score += 3000;
+    if (geometry.centers.includes(cellIndex)) {
+        add('center', weights.center, 'center');
         strategy = 'center';
     }
     
     // ========================================================================
     // PRIORITY 6: OPPOSITE CORNER (if opponent in corner)
     // ========================================================================
-    const corners = [[0, 8], [2, 6]];
-    for (let [c1, c2] of corners) {
+    for (let [c1, c2] of geometry.oppositeCorners) {
         if (boardState[c1] === opponent && boardState[c2] === null && cellIndex === c2) {
-            score += 2500;
+            add('oppositeCorner', weights.oppositeCorner, 'opposite_corner');
             strategy = 'opposite_corner';
         }
         if (boardState[c2] === opponent && boardState[c1] === null && cellIndex === c1) {
-            score += 2500;
+            add('oppositeCorner', weights.oppositeCorner, 'opposite_corner');
             strategy = 'opposite_corner';
         }
     }
@@ -281,8 +574,8 @@ function scoreMove(boardState, cellIndex) {
     // ========================================================================
     // PRIORITY 7: EMPTY CORNER
     // ========================================================================
-    if ([0, 2, 6, 8].includes(cellIndex)) {
-        score += 2000;
+    if (geometry.corners.includes(cellIndex)) {
+        add('corner', weights.corner, 'corner');
         if (strategy === 'quantum') strategy = 'corner';
     }
     
@@ -290,25 +583,18 @@ function scoreMove(boardState, cellIndex) {
     // QUANTUM FEATURES: Fine-tuning between similar moves
     // ========================================================================
     // These add smaller values to break ties
-    score += (4 - features.entropy) * 10;
-    score += features.purity * 50;
-    
-    const cellInDominant = features.dominantStates.some(s => 
-        (s.state % 9) === cellIndex
-    );
-    if (cellInDominant) {
-        score += 30;
-    }
-    
-    score += features.dominantStates[0].prob * 20;
+    quantumTerms(features, testBoard, cellIndex, symbol, geometry, encoderName, weights)
+        .forEach(({ component, points }) => add(component, points));
     
     // ========================================================================
     // EDGE BONUS (less important)
     // ========================================================================
-    if ([1, 3, 5, 7].includes(cellIndex)) {
-        score += 500;
+    if (geometry.edges.includes(cellIndex)) {
+        add('edge', weights.edge, 'edge');
         if (strategy === 'quantum') strategy = 'edge';
     }
+
+    if (strategies.length === 0) strategies.push('quantum');
     
     return { 
         score, 
@@ -316,7 +602,9 @@ function scoreMove(boardState, cellIndex) {
             entropy: features.entropy,
             purity: features.purity
         },
-        strategy
+        strategy,
+        strategies,
+        breakdown
     };
 }
 
@@ -324,29 +612,49 @@ function scoreMove(boardState, cellIndex) {
 // MAIN AI FUNCTION: Intelligent Move Selection
 // ============================================================================
 
-function simulateQuantumMove(boardState = Array(9).fill(null)) {
-    const symbol = 'O';
-    const opponent = 'X';
+/**
+ * Choose the engine's move for `side`. Works from any unfinished position,
+ * including the empty board when the engine opens the game.
+ * 
+ * @param {Array} boardState - Current board state
+ * @param {string} side - Symbol the engine plays ('X' or 'O')
+ * @param {Object} options - { encoder, geometry, weights, noise } board
+ *                           encoder name, board shape (default 3×3),
+ *                           scoreMove weight overrides and a checked noise
+ *                           model for the circuits
+ * @returns {Object} Chosen cell, per-cell analysis and quantum summary
+ */
+function simulateQuantumMove(boardState = Array(9).fill(null), side = 'O', options = {}) {
+    const symbol = side;
+    const geometry = options.geometry || CLASSIC;
+    const encoderName = options.encoder || defaultEncoderFor(geometry);
     
     // ========================================================================
     // ANALYZE ALL POSSIBLE MOVES
     // ========================================================================
     const moveAnalysis = [];
     
-    for (let cellIndex = 0; cellIndex < 9; cellIndex++) {
+    for (let cellIndex = 0; cellIndex < geometry.cells; cellIndex++) {
         if (boardState[cellIndex] === null) {
-            const { score, features, strategy } = scoreMove(boardState, cellIndex);
+            const { score, features, strategy, strategies, breakdown } = scoreMove(boardState, cellIndex, symbol, { encoder: encoderName, geometry, weights: options.weights, noise: options.noise });
             
             moveAnalysis.push({
                 cellIndex,
                 score,
                 entropy: features.entropy,
                 purity: features.purity,
-                strategy
+                strategy,
+                strategies,
+                breakdown
             });
         }
     }
     
+    // A full board has nothing to analyze
+    if (moveAnalysis.length === 0) {
+        throw new RuleError("GAME_OVER", "No empty cells left to play");
+    }
+    
     // Sort by score
     moveAnalysis.sort((a, b) => b.score - a.score);
     
@@ -356,13 +664,13 @@ function simulateQuantumMove(boardState = Array(9).fill(null)) {
     // Get final quantum state
     const finalBoard = [...boardState];
     finalBoard[chosenMove.cellIndex] = symbol;
-    const finalCircuit = encodeBoard(finalBoard);
-    const finalFeatures = extractQuantumFeatures(finalCircuit);
+    const finalFeatures = boardFeatures(finalBoard, encoderName, geometry, options.noise);
     
     return {
         chosenCell: chosenMove.cellIndex,
         moveAnalysis: moveAnalysis,
         symbol: symbol,
+        encoder: encoderName,
         rawQuantumResult: {
             measured: "Strategic analysis complete",
             classicalRegister: chosenMove.cellIndex,
@@ -374,4 +682,150 @@ function simulateQuantumMove(boardState = Array(9).fill(null)) {
     };
 }
 
-module.exports = { simulateQuantumMove };
\ No newline at end of file
+// ============================================================================
+// QUANTUM VARIANT: Spooky-Mark AI
+// ============================================================================
+// In the spooky-mark variant (see quantumRules.js) a move is either a pair of
+// cells or, after closing a cycle, the choice of how the cycle collapses.
+// Every legal action is applied and the resulting position is scored:
+// finished games dominate, then classical lines, then spooky potential.
+// ============================================================================
+
+/**
+ * Static evaluation of a quantum position from `symbol`'s point of view.
+ *
+ * Classical marks count fully, spooky marks count as half a mark because
+ * they only land in that cell half of the time.
+ */
+function evaluateQuantumPosition(state, symbol) {
+    const opponent = quantumRules.otherPlayer(symbol);
+
+    if (state.result) {
+        return (state.result.scores[symbol] - state.result.scores[opponent]) * 100000;
+    }
+
+    // How much of a cell each player holds: 1 if classical, 0.5 per spooky mark
+    const presence = (cell, player) => {
+        if (cell.owner !== null) return cell.owner === player ? 1 : 0;
+        const spooky = cell.marks.filter(m => state.marks[m - 1].player === player).length;
+        return Math.min(spooky * 0.5, 1);
+    };
+
+    let score = 0;
+    for (const pattern of quantumRules.WIN_PATTERNS) {
+        const cells = pattern.map(i => state.cells[i]);
+
+        // A line only matters for a player if the other one hasn't claimed a cell in it
+        if (!cells.some(c => c.owner === opponent)) {
+            score += Math.pow(10, cells.reduce((sum, c) => sum + presence(c, symbol), 0));
+        }
+        if (!cells.some(c => c.owner === symbol)) {
+            score -= Math.pow(10, cells.reduce((sum, c) => sum + presence(c, opponent), 0));
+        }
+    }
+
+    return score;
+}
+
+/**
+ * Score one legal action for the player to move.
+ *
+ * A mark that closes a cycle is scored by its best collapse, because the
+ * player who closes a cycle also chooses how it collapses.
+ */
+function scoreQuantumAction(state, action, encoderName) {
+    const symbol = state.turn;
+    let next = quantumRules.applyAction(state, action);
+    let strategy = action.type === "collapse" ? "collapse" : "spooky";
+    let collapseTo = null;
+
+    if (next.pendingCollapse) {
+        let best = null;
+        for (const cell of next.pendingCollapse.cells) {
+            const collapsed = quantumRules.resolveCollapse(next, cell);
+            const value = evaluateQuantumPosition(collapsed, symbol);
+            if (best === null || value > best.value) {
+                best = { value, cell, state: collapsed };
+            }
+        }
+        next = best.state;
+        collapseTo = best.cell;
+        strategy = "cycle";
+    }
+
+    let score = evaluateQuantumPosition(next, symbol);
+    if (next.result) {
+        strategy = next.result.winner === symbol ? "WINNING COLLAPSE!" : strategy;
+    }
+
+    // Quantum tie-break on the classical projection, as in scoreMove
+    const features = boardFeatures(quantumRules.toClassicalBoard(next), encoderName);
+    score += (4 - features.entropy) * 10;
+    score += features.purity * 50;
+
+    return {
+        score,
+        strategy,
+        collapseTo,
+        features: {
+            entropy: features.entropy,
+            purity: features.purity
+        }
+    };
+}
+
+/**
+ * Pick the AI's action in the spooky-mark variant.
+ *
+ * @param {Object} state - Quantum game state with the AI to move
+ * @param {Object} options - { encoder } board encoder name
+ * @returns {Object} Chosen action (plus the follow-up collapse choice when
+ *                   the mark closes a cycle) and the full analysis
+ */
+function simulateSpookyMove(state, options = {}) {
+    const symbol = state.turn;
+    const encoderName = options.encoder || DEFAULT_ENCODER;
+
+    const moveAnalysis = quantumRules.legalActions(state).map(action => {
+        const { score, strategy, collapseTo, features } = scoreQuantumAction(state, action, encoderName);
+        return {
+            action,
+            cells: action.type === "mark" ? action.cells : [action.cell],
+            collapseTo,
+            score,
+            entropy: features.entropy,
+            purity: features.purity,
+            strategy
+        };
+    });
+
+    moveAnalysis.sort((a, b) => b.score - a.score);
+
+    const chosenMove = moveAnalysis[0];
+
+    return {
+        action: chosenMove.action,
+        collapseTo: chosenMove.collapseTo,
+        moveAnalysis: moveAnalysis,
+        symbol: symbol,
+        encoder: encoderName,
+        rawQuantumResult: {
+            entropy: chosenMove.entropy.toFixed(3),
+            purity: chosenMove.purity.toFixed(3),
+            quantumState: `Strategy: ${chosenMove.strategy.toUpperCase()} | Cells ${chosenMove.cells.join(" & ")} | Score: ${chosenMove.score.toFixed(0)}`
+        }
+    };
+}
+
+module.exports = {
+    simulateQuantumMove,
+    simulateSpookyMove,
+    DEFAULT_WEIGHTS,
+    scoreMove,
+    quantumScore,
+    encodeBoard,
+    boardFeatures,
+    describeCircuit,
+    describeQuantumCircuit,
+    extractQuantumFeatures
+};
\ No newline at end of file
@@ -0,0 +1,350 @@
+// ============================================================================
+// QUANTUM TIC-TAC-TOE RULES (Goff-style spooky marks)
+// ============================================================================
+// Each turn a player places a "spooky mark" in two different cells. The two
+// halves of a mark are entangled: exactly one of them will become a real
+// (classical) mark later. Marks form an entanglement graph where cells are
+// nodes and spooky marks are edges. When a new mark closes a cycle in that
+// graph, the cycle must collapse: the player who closed the cycle picks which
+// of the two cells the new mark lands in, and every mark connected to it is
+// forced into place.
+//
+// Moves are numbered from 1. The first player (X unless chosen otherwise)
+// plays the odd moves, and the move number is the mark's subscript
+// (X1, O2, X3, ...).
+//
+// Scoring after a collapse:
+//   - One player has a classical three-in-a-row: 1 point for them.
+//   - Both players do: the line whose highest subscript is LOWER was completed
+//     first and earns 1 point; the other player earns 1/2 point.
+// ============================================================================
+
+const { SIZE, WIN_PATTERNS, RuleError } = require("./gameRules");
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Create an empty quantum game.
+ *
+ * cells[i].owner / cells[i].move are set once the cell is classical.
+ * cells[i].marks lists the move numbers of spooky marks still in the cell.
+ *
+ * @param {string} firstPlayer - Who places mark 1 ('X' or 'O')
+ * @returns {Object} Fresh game state
+ */
+function createQuantumGame(firstPlayer = 'X') {
+    return {
+        variant: "quantum",
+        cells: Array.from({ length: SIZE }, () => ({ owner: null, move: null, marks: [] })),
+        marks: [],              // { move, player, cells: [a, b], collapsedTo }
+        moveNumber: 1,          // Subscript of the next mark
+        turn: firstPlayer,
+        pendingCollapse: null,  // { move, cells: [a, b], cycle, chooser }
+        result: null            // { winner, scores, lines }
+    };
+}
+
+function cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+function otherPlayer(player) {
+    return player === 'X' ? 'O' : 'X';
+}
+
+/**
+ * Cells that do not hold a classical mark yet.
+ */
+function openCells(state) {
+    const open = [];
+    for (let i = 0; i < SIZE; i++) {
+        if (state.cells[i].owner === null) open.push(i);
+    }
+    return open;
+}
+
+/**
+ * Project the quantum board onto a classical one: 'X', 'O' or null per cell.
+ * Spooky marks are ignored. Useful for the quantum feature encoder.
+ */
+function toClassicalBoard(state) {
+    return state.cells.map(cell => cell.owner);
+}
+
+// ============================================================================
+// ENTANGLEMENT GRAPH
+// ============================================================================
+
+/**
+ * Find a path of uncollapsed marks from cell `from` to cell `to`.
+ * If one exists, adding a mark between them closes a cycle.
+ *
+ * @returns {Array|null} Cells along the path (inclusive) or null
+ */
+function findCycle(state, from, to) {
+    if (from === to) return null;
+
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+
+    while (queue.length > 0) {
+        const cell = queue.shift();
+        if (cell === to) break;
+
+        for (const move of state.cells[cell].marks) {
+            const mark = state.marks[move - 1];
+            const next = mark.cells[0] === cell ? mark.cells[1] : mark.cells[0];
+            if (!previous.has(next)) {
+                previous.set(next, cell);
+                queue.push(next);
+            }
+        }
+    }
+
+    if (!previous.has(to)) return null;
+
+    const path = [];
+    for (let cell = to; cell !== null; cell = previous.get(cell)) {
+        path.unshift(cell);
+    }
+    return path;
+}
+
+/**
+ * Turn mark `move` into a classical mark in `cell`, then force every other
+ * spooky mark sharing that cell into its other half (and so on).
+ */
+function collapseMark(state, move, cell) {
+    const pending = [[move, cell]];
+
+    while (pending.length > 0) {
+        const [m, c] = pending.pop();
+        const mark = state.marks[m - 1];
+        if (mark.collapsedTo !== null) continue;
+
+        mark.collapsedTo = c;
+        for (const half of mark.cells) {
+            state.cells[half].marks = state.cells[half].marks.filter(x => x !== m);
+        }
+
+        const target = state.cells[c];
+        target.owner = mark.player;
+        target.move = m;
+
+        // Every other mark in this cell is pushed out to its partner cell
+        for (const other of target.marks) {
+            const otherMark = state.marks[other - 1];
+            const partner = otherMark.cells[0] === c ? otherMark.cells[1] : otherMark.cells[0];
+            pending.push([other, partner]);
+        }
+        target.marks = [];
+    }
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Check classical lines and apply the half-point rule for simultaneous wins.
+ *
+ * @returns {Object|null} { winner, scores: {X, O}, lines } or null if the
+ *                        game goes on
+ */
+function evaluateResult(state) {
+    const lines = [];
+
+    for (const pattern of WIN_PATTERNS) {
+        const [a, b, c] = pattern.map(i => state.cells[i]);
+        if (a.owner && a.owner === b.owner && a.owner === c.owner) {
+            lines.push({
+                player: a.owner,
+                cells: pattern,
+                maxMove: Math.max(a.move, b.move, c.move)
+            });
+        }
+    }
+
+    if (lines.length === 0) {
+        if (openCells(state).length === 0) {
+            return { winner: "draw", scores: { X: 0, O: 0 }, lines };
+        }
+        return null;
+    }
+
+    // Earliest completed line per player
+    const firstLine = {};
+    for (const line of lines) {
+        if (!firstLine[line.player] || line.maxMove < firstLine[line.player]) {
+            firstLine[line.player] = line.maxMove;
+        }
+    }
+
+    const scores = { X: 0, O: 0 };
+    if (firstLine.X !== undefined && firstLine.O !== undefined) {
+        const first = firstLine.X < firstLine.O ? 'X' : 'O';
+        scores[first] = 1;
+        scores[otherPlayer(first)] = 0.5;
+        return { winner: first, scores, lines };
+    }
+
+    const winner = firstLine.X !== undefined ? 'X' : 'O';
+    scores[winner] = 1;
+    return { winner, scores, lines };
+}
+
+// ============================================================================
+// MOVES
+// ============================================================================
+
+/**
+ * All legal actions for the player to move.
+ *
+ * While a collapse is pending the only actions are the two collapse choices.
+ * When a single open cell is left the mark goes there classically.
+ *
+ * @returns {Array} [{ type: 'collapse', cell }] or [{ type: 'mark', cells }]
+ */
+function legalActions(state) {
+    if (state.result) return [];
+
+    if (state.pendingCollapse) {
+        return state.pendingCollapse.cells.map(cell => ({ type: "collapse", cell }));
+    }
+
+    const open = openCells(state);
+    if (open.length === 1) {
+        return [{ type: "mark", cells: [open[0]] }];
+    }
+
+    const actions = [];
+    for (let i = 0; i < open.length; i++) {
+        for (let j = i + 1; j < open.length; j++) {
+            actions.push({ type: "mark", cells: [open[i], open[j]] });
+        }
+    }
+    return actions;
+}
+
+/**
+ * Place a spooky mark for the player to move.
+ *
+ * @param {Object} state - Game state (not modified)
+ * @param {Array} cells - Two distinct open cells, or the single last open cell
+ * @returns {Object} New state
+ */
+function placeSpookyMark(state, cells) {
+    if (state.result) throw new RuleError("GAME_OVER", "The game is already over");
+    if (state.pendingCollapse) {
+        throw new RuleError("COLLAPSE_PENDING", "The entanglement cycle must be collapsed first");
+    }
+    if (!Array.isArray(cells)) throw new RuleError("INVALID_MOVE", "A mark needs a list of cells");
+
+    const open = openCells(state);
+    for (const cell of cells) {
+        if (!Number.isInteger(cell) || cell < 0 || cell >= SIZE) {
+            throw new RuleError("INVALID_CELL", `Cell ${cell} is not on the board`);
+        }
+        if (state.cells[cell].owner !== null) {
+            throw new RuleError("CELL_OCCUPIED", `Cell ${cell} already holds a classical mark`);
+        }
+    }
+
+    const next = cloneState(state);
+    const move = next.moveNumber;
+    const player = next.turn;
+
+    // Last open cell: the final mark is classical
+    if (open.length === 1) {
+        if (cells.length !== 1) {
+            throw new RuleError("INVALID_MOVE", "Only one cell is left, place a single mark");
+        }
+        next.marks.push({ move, player, cells: [cells[0], cells[0]], collapsedTo: null });
+        collapseMark(next, move, cells[0]);
+        return finishTurn(next);
+    }
+
+    if (cells.length !== 2 || cells[0] === cells[1]) {
+        throw new RuleError("INVALID_MOVE", "A spooky mark needs two different cells");
+    }
+
+    const [a, b] = cells;
+    const cycle = findCycle(next, a, b);
+
+    next.marks.push({ move, player, cells: [a, b], collapsedTo: null });
+    next.cells[a].marks.push(move);
+    next.cells[b].marks.push(move);
+
+    if (cycle) {
+        // Cycle closed: the same player must now pick how it collapses
+        next.pendingCollapse = { move, cells: [a, b], cycle, chooser: player };
+        return next;
+    }
+
+    return finishTurn(next);
+}
+
+/**
+ * Resolve a pending cycle by landing the cycle-closing mark in `cell`.
+ *
+ * @param {Object} state - Game state (not modified)
+ * @param {number} cell - One of the two cells of the cycle-closing mark
+ * @returns {Object} New state
+ */
+function resolveCollapse(state, cell) {
+    if (state.result) throw new RuleError("GAME_OVER", "The game is already over");
+    if (!state.pendingCollapse) throw new RuleError("NO_COLLAPSE", "There is no cycle to collapse");
+    if (!state.pendingCollapse.cells.includes(cell)) {
+        throw new RuleError("INVALID_COLLAPSE", `Cell ${cell} is not part of the closing mark`);
+    }
+
+    const next = cloneState(state);
+    collapseMark(next, next.pendingCollapse.move, cell);
+    next.pendingCollapse = null;
+    return finishTurn(next);
+}
+
+function finishTurn(state) {
+    state.result = evaluateResult(state);
+    state.moveNumber++;
+    state.turn = otherPlayer(state.turn);
+    return state;
+}
+
+/**
+ * Apply one action ({ type: 'mark', cells } or { type: 'collapse', cell }).
+ */
+function applyAction(state, action) {
+    if (!action || typeof action !== "object") {
+        throw new RuleError("INVALID_MOVE", "Missing action");
+    }
+    if (action.type === "mark") return placeSpookyMark(state, action.cells);
+    if (action.type === "collapse") return resolveCollapse(state, action.cell);
+    throw new RuleError("INVALID_MOVE", `Unknown action type: ${action.type}`);
+}
+
+/**
+ * Rebuild a game by replaying its actions from the start.
+ * Every action is validated, so a client can't smuggle in an illegal board.
+ */
+function replayActions(actions = [], firstPlayer = 'X') {
+    return actions.reduce(applyAction, createQuantumGame(firstPlayer));
+}
+
+module.exports = {
+    WIN_PATTERNS,
+    RuleError,
+    createQuantumGame,
+    otherPlayer,
+    openCells,
+    toClassicalBoard,
+    findCycle,
+    evaluateResult,
+    legalActions,
+    placeSpookyMark,
+    resolveCollapse,
+    applyAction,
+    replayActions
+};
@@ -0,0 +1,47 @@
+// ============================================================================
+// QUANTUM RULES TESTS: Entanglement Cycles and How They Collapse
+// ============================================================================
+
+const test = require("node:test");
+const assert = require("assert");
+const { legalActions, replayActions, applyAction } = require("./quantumRules");
+
+const mark = (a, b) => ({ type: "mark", cells: [a, b] });
+
+// X1 a1-b2, O2 b2-c3, then X3 a1-c3 closes the cycle a1 - b2 - c3
+const CYCLE = [mark(0, 4), mark(4, 8), mark(0, 8)];
+
+test("a mark only waits for a collapse once it closes a cycle", () => {
+    const open = replayActions(CYCLE.slice(0, 2));
+    assert.strictEqual(open.pendingCollapse, null);
+    assert.strictEqual(open.turn, 'X');
+
+    const closed = applyAction(open, CYCLE[2]);
+    assert.deepStrictEqual(closed.pendingCollapse, { move: 3, cells: [0, 8], cycle: [0, 4, 8], chooser: 'X' });
+    assert.deepStrictEqual(legalActions(closed), [{ type: "collapse", cell: 0 }, { type: "collapse", cell: 8 }]);
+});
+
+test("the collapse choice forces every mark in the cycle", () => {
+    const owners = state => [0, 4, 8].map(cell => `${state.cells[cell].owner}${state.cells[cell].move}`);
+    const closed = replayActions(CYCLE);
+
+    // X3 in a1 pushes X1 to b2, which pushes O2 to c3
+    const inA1 = applyAction(closed, { type: "collapse", cell: 0 });
+    assert.deepStrictEqual(owners(inA1), ["X3", "X1", "O2"]);
+    // X3 in c3 pushes O2 to b2, which pushes X1 to a1
+    const inC3 = applyAction(closed, { type: "collapse", cell: 8 });
+    assert.deepStrictEqual(owners(inC3), ["X1", "O2", "X3"]);
+
+    [inA1, inC3].forEach(state => {
+        assert.strictEqual(state.pendingCollapse, null);
+        assert.ok(state.marks.every(m => m.collapsedTo !== null));
+        assert.strictEqual(state.turn, 'O');
+    });
+});
+
+test("nothing else is played while a collapse is pending", () => {
+    const closed = replayActions(CYCLE);
+    assert.throws(() => applyAction(closed, mark(1, 2)), { code: "COLLAPSE_PENDING" });
+    assert.throws(() => applyAction(closed, { type: "collapse", cell: 4 }), { code: "INVALID_COLLAPSE" });
+    assert.throws(() => applyAction(replayActions(CYCLE.slice(0, 2)), { type: "collapse", cell: 0 }), { code: "NO_COLLAPSE" });
+});
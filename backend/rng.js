@@ -0,0 +1,52 @@
+// ============================================================================
+// SEEDABLE RANDOM NUMBERS
+// ============================================================================
+// Math.random can't be replayed, so anything random in the engine (random
+// moves, measurement shots) takes an rng function from here instead. The same
+// seed gives the same game.
+// ============================================================================
+
+/**
+ * Create a random number generator.
+ *
+ * Uses mulberry32: tiny, fast and good enough for picking moves.
+ *
+ * @param {number} [seed] - 32-bit integer seed. Without one, Math.random is used.
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRng(seed) {
+    if (seed === undefined || seed === null) {
+        return Math.random;
+    }
+
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Mix a base seed with a counter (e.g. the ply number) so each move of a
+ * seeded game gets its own, still reproducible, stream.
+ *
+ * @returns {number|undefined} Derived seed, or undefined if there is no seed
+ */
+function deriveSeed(seed, counter) {
+    if (seed === undefined || seed === null) return undefined;
+    return (Math.imul(seed >>> 0, 0x9E3779B1) + Math.imul(counter + 1, 0x85EBCA77)) >>> 0;
+}
+
+/**
+ * Check a seed supplied by a client.
+ *
+ * @returns {boolean} True if it is missing or a usable integer
+ */
+function isValidSeed(seed) {
+    return seed === undefined || seed === null || Number.isSafeInteger(seed);
+}
+
+module.exports = { createRng, deriveSeed, isValidSeed };
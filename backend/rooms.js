@@ -0,0 +1,340 @@
+// ============================================================================
+// ROOMS: Human-vs-Human Multiplayer
+// ============================================================================
+// A room is a game between two people, found by a short code. Like a game
+// session the server owns the board; unlike one there is no AI move, only an
+// analysis of each move so both players see the quantum panel.
+//
+// Each player seat is claimed with a secret token. Sending the same token
+// again (after a dropped connection or a page reload) reclaims the seat.
+// Anyone else joining is a spectator. The transport lives in multiplayer.js;
+// this module never touches a socket. Finished games go to the game store.
+// ============================================================================
+
+const crypto = require("crypto");
+const gameRules = require("./gameRules");
+const quantumRules = require("./quantumRules");
+const gateRules = require("./gateRules");
+const { simulateQuantumMove, simulateSpookyMove } = require("./quantumEngine");
+const { simulateGateMove } = require("./gateEngine");
+const { timeEngine } = require("./metrics");
+const { getEncoder, defaultEncoderFor } = require("./encoders");
+const { formatRecord } = require("./gameRecord");
+const gameStore = require("./gameStore");
+
+const { RuleError } = gameRules;
+
+const VARIANTS = ["classic", "quantum", "gates"];
+
+// No 0/O or 1/I, so codes can be read out loud
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 5;
+
+// Rooms nobody is connected to are dropped after this long
+const ROOM_TTL_MS = 10 * 60 * 1000;
+
+// code -> room
+const rooms = new Map();
+
+function generateCode() {
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+    } while (rooms.has(code));
+    return code;
+}
+
+/**
+ * Open a room. The creator takes a seat straight away. X opens the first
+ * game, and the opener alternates with every rematch.
+ *
+ * @param {Object} options
+ * @param {string} options.variant - 'classic', 'quantum' or 'gates'
+ * @param {number} options.size - Board size (classic only)
+ * @param {number} options.winLength - Marks in a row needed to win
+ * @param {string} options.encoder - Board encoder for the move analysis
+ * @param {string} options.side - Seat the creator takes ('X' or 'O')
+ * @returns {Object} { room, seat } where seat is { side, token }
+ * @throws {RuleError} INVALID_VARIANT, INVALID_SIZE, INVALID_SIDE, INVALID_ENCODER
+ */
+function createRoom({ variant = "classic", size = 3, winLength, encoder, side = 'X' } = {}) {
+    if (!VARIANTS.includes(variant)) {
+        throw new RuleError("INVALID_VARIANT", `Unknown variant: ${variant}`);
+    }
+    const geometry = gameRules.createGeometry(size, winLength);
+    if (variant !== "classic" && geometry !== gameRules.CLASSIC) {
+        throw new RuleError("INVALID_SIZE", `The ${variant} variant is only played on 3×3 with 3 in a row`);
+    }
+    if (side !== 'X' && side !== 'O') {
+        throw new RuleError("INVALID_SIDE", `Side must be 'X' or 'O', got ${side}`);
+    }
+
+    const room = {
+        code: generateCode(),
+        variant,
+        geometry,
+        encoder: getEncoder(encoder || defaultEncoderFor(geometry), geometry).name,
+        seats: {
+            X: { token: null, connections: 0 },
+            O: { token: null, connections: 0 }
+        },
+        spectators: 0,
+        games: 0,
+        expiry: null,
+        createdAt: new Date().toISOString()
+    };
+    startRoundIn(room);
+    rooms.set(room.code, room);
+
+    return joinRoom(room.code, { side });
+}
+
+function startRoundIn(room) {
+    // Sides take turns opening from one game to the next
+    const firstPlayer = room.games % 2 === 0 ? 'X' : 'O';
+    room.firstPlayer = firstPlayer;
+    room.state = room.variant === "quantum" ? quantumRules.createQuantumGame(firstPlayer)
+        : room.variant === "gates" ? gateRules.createGateGame(firstPlayer)
+        : { board: Array(room.geometry.cells).fill(null), turn: firstPlayer, result: null };
+    room.history = [];
+    room.gameId = crypto.randomUUID();  // Key in the game store
+    room.startedAt = new Date().toISOString();
+    room.games++;
+}
+
+function findRoom(code) {
+    const room = rooms.get(String(code || "").toUpperCase());
+    if (!room) {
+        throw new RuleError("ROOM_NOT_FOUND", `No room with code ${code}`);
+    }
+    return room;
+}
+
+function seatOf(room, token) {
+    if (!token) return null;
+    return ['X', 'O'].find(side => room.seats[side].token === token) || null;
+}
+
+/**
+ * Join a room as a player or spectator.
+ *
+ * A known token takes its seat back. Otherwise a player gets the requested
+ * side if it's free, or whichever side is.
+ *
+ * @param {string} code - Room code (case-insensitive)
+ * @param {Object} options - { role: 'player'|'spectator', token, side }
+ * @returns {Object} { room, seat } where seat is { side, token } or null
+ *                   for a spectator
+ * @throws {RuleError} ROOM_NOT_FOUND, ROOM_FULL
+ */
+function joinRoom(code, { role = "player", token, side } = {}) {
+    const room = findRoom(code);
+    clearTimeout(room.expiry);
+    room.expiry = null;
+
+    let seatSide = seatOf(room, token);
+
+    if (!seatSide && role !== "spectator") {
+        const free = ['X', 'O'].filter(s => room.seats[s].token === null);
+        if (free.length === 0) {
+            throw new RuleError("ROOM_FULL", `Room ${room.code} already has two players`);
+        }
+        seatSide = free.includes(side) ? side : free[0];
+        room.seats[seatSide].token = crypto.randomUUID();
+    }
+
+    if (!seatSide) {
+        room.spectators++;
+        return { room: toPublic(room), seat: null };
+    }
+
+    room.seats[seatSide].connections++;
+    return { room: toPublic(room), seat: { side: seatSide, token: room.seats[seatSide].token } };
+}
+
+/**
+ * A connection left the room. The seat stays reserved for its token.
+ * Once nobody at all is connected, the room expires after ROOM_TTL_MS.
+ *
+ * @returns {Object|null} The room after the departure, or null if it's gone
+ */
+function leaveRoom(code, token) {
+    const room = rooms.get(code);
+    if (!room) return null;
+
+    const side = seatOf(room, token);
+    if (side) room.seats[side].connections = Math.max(0, room.seats[side].connections - 1);
+    else room.spectators = Math.max(0, room.spectators - 1);
+
+    const anyoneHere = room.spectators > 0 || ['X', 'O'].some(s => room.seats[s].connections > 0);
+    if (!anyoneHere) {
+        room.expiry = setTimeout(() => rooms.delete(code), ROOM_TTL_MS);
+        room.expiry.unref();
+    }
+    return toPublic(room);
+}
+
+function currentPlayer(room) {
+    const { state } = room;
+    if (room.variant === "quantum" && state.pendingCollapse) {
+        return state.pendingCollapse.chooser;
+    }
+    return state.turn;
+}
+
+function actionKey(action) {
+    if (!action) return "";
+    if (action.type === "gate") return `${action.gate}:${action.cells.join(",")}`;
+    return action.type === "mark"
+        ? `mark:${[...action.cells].sort((a, b) => a - b).join(",")}`
+        : `collapse:${action.cell}`;
+}
+
+/**
+ * What the engine makes of a human move, in the same shape as its own
+ * analysis. Classic: `chosenCell` is the cell played and `suggestedCell` the
+ * engine's pick. Quantum and gates: the played candidate has `played: true`.
+ */
+function analyzeMove(room, player, move) {
+    if (room.variant !== "classic") {
+        const analysis = room.variant === "gates"
+            ? timeEngine("gates", () => simulateGateMove(room.state))
+            : timeEngine("spooky", () => simulateSpookyMove(room.state, { encoder: room.encoder }));
+        const key = actionKey(move.action);
+        analysis.moveAnalysis.forEach(candidate => {
+            candidate.played = actionKey(candidate.action) === key;
+        });
+        return { ...analysis, player, suggestedAction: analysis.action };
+    }
+
+    const analysis = timeEngine("heuristic-quantum", () => simulateQuantumMove(room.state.board, player, {
+        encoder: room.encoder,
+        geometry: room.geometry
+    }));
+    return { ...analysis, player, chosenCell: move.cell, suggestedCell: analysis.chosenCell };
+}
+
+/**
+ * Play a move for the seat holding `token`.
+ *
+ * @param {string} code - Room code
+ * @param {string} token - Seat token from joinRoom
+ * @param {Object} move - Classic: { cell }. Quantum and gates: { action }.
+ * @returns {Object} { room, move, analysis }
+ * @throws {RuleError} ROOM_NOT_FOUND, NOT_A_PLAYER, WAITING_FOR_OPPONENT,
+ *                     GAME_OVER, NOT_YOUR_TURN, plus the rule errors
+ */
+function playRoomMove(code, token, move = {}) {
+    const room = findRoom(code);
+    const player = seatOf(room, token);
+
+    if (!player) {
+        throw new RuleError("NOT_A_PLAYER", "Spectators can't make moves");
+    }
+    if (room.seats.X.token === null || room.seats.O.token === null) {
+        throw new RuleError("WAITING_FOR_OPPONENT", "Wait for a second player to join");
+    }
+    if (room.state.result) {
+        throw new RuleError("GAME_OVER", "The game is already over");
+    }
+    if (currentPlayer(room) !== player) {
+        throw new RuleError("NOT_YOUR_TURN", `It is ${currentPlayer(room)}'s turn`);
+    }
+
+    // Rules first, so an illegal move is never analyzed or recorded
+    const played = room.variant === "classic"
+        ? { player, cell: move.cell }
+        : { player, action: move.action };
+    const state = room.variant === "quantum" ? quantumRules.applyAction(room.state, move.action)
+        : room.variant === "gates" ? gateRules.applyAction(room.state, move.action)
+        : gameRules.applyMove(room.state, move.cell, player, room.geometry);
+
+    const analysis = analyzeMove(room, player, played);
+
+    room.state = state;
+    room.history.push({ ...played, analysis });
+
+    if (state.result) {
+        gameStore.saveGame({
+            id: room.gameId,
+            source: "room",
+            variant: room.variant,
+            geometry: room.geometry,
+            firstPlayer: room.firstPlayer,
+            players: { X: "human", O: "human" },
+            engine: null,
+            moves: room.history,
+            result: state.result,
+            startedAt: room.startedAt
+        });
+    }
+    return { room: toPublic(room), move: played, analysis };
+}
+
+/**
+ * The room's current game as notation (see gameRecord.js), with the
+ * engine's analysis of every move.
+ */
+function getRoomRecord(code) {
+    const room = findRoom(code);
+    return formatRecord({
+        tags: {
+            Event: `Room ${room.code}, game ${room.games}`,
+            Date: room.createdAt.slice(0, 10),
+            Variant: room.variant,
+            Size: room.geometry.size,
+            WinLength: room.geometry.winLength,
+            FirstPlayer: room.firstPlayer,
+            X: "Human",
+            O: "Human",
+            Encoder: room.encoder,
+            Seed: room.variant === "gates" ? room.state.seed : undefined,
+            Shots: room.variant === "gates" ? room.state.shots : undefined
+        },
+        moves: room.history,
+        result: room.state.result
+    });
+}
+
+/**
+ * Start the next game in the room once the current one is over.
+ *
+ * @throws {RuleError} ROOM_NOT_FOUND, NOT_A_PLAYER, GAME_IN_PROGRESS
+ */
+function rematch(code, token) {
+    const room = findRoom(code);
+    if (!seatOf(room, token)) {
+        throw new RuleError("NOT_A_PLAYER", "Only players can start a rematch");
+    }
+    if (!room.state.result) {
+        throw new RuleError("GAME_IN_PROGRESS", "Finish this game first");
+    }
+    startRoundIn(room);
+    return toPublic(room);
+}
+
+function toPublic(room) {
+    const seat = side => ({
+        joined: room.seats[side].token !== null,
+        connected: room.seats[side].connections > 0
+    });
+
+    return {
+        code: room.code,
+        variant: room.variant,
+        size: room.geometry.size,
+        winLength: room.geometry.winLength,
+        encoder: room.encoder,
+        firstPlayer: room.firstPlayer,
+        players: { X: seat('X'), O: seat('O') },
+        spectators: room.spectators,
+        game: room.games,
+        turn: currentPlayer(room),
+        state: room.state,
+        history: room.history.map(({ analysis, ...move }) => move),
+        result: room.state.result,
+        createdAt: room.createdAt
+    };
+}
+
+module.exports = { createRoom, joinRoom, leaveRoom, playRoomMove, rematch, getRoomRecord };
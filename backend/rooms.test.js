@@ -0,0 +1,65 @@
+// ============================================================================
+// ROOM TESTS: Seats, Tokens and Spectators
+// ============================================================================
+
+const test = require("node:test");
+const assert = require("assert");
+const { createRoom, joinRoom, leaveRoom, playRoomMove, rematch } = require("./rooms");
+
+test("the second player gets the free seat and a third is turned away", () => {
+    const { room, seat: creator } = createRoom({ side: 'O' });
+    assert.strictEqual(creator.side, 'O');
+
+    // Codes are case-insensitive; the taken side is not handed out twice
+    const { seat: second } = joinRoom(room.code.toLowerCase(), { side: 'O' });
+    assert.strictEqual(second.side, 'X');
+    assert.notStrictEqual(second.token, creator.token);
+
+    assert.throws(() => joinRoom(room.code), { code: "ROOM_FULL" });
+    assert.throws(() => joinRoom("NOPE1"), { code: "ROOM_NOT_FOUND" });
+});
+
+test("a seat's token takes the seat back, and only its seat", () => {
+    const { room, seat: creator } = createRoom();
+    leaveRoom(room.code, creator.token);
+
+    const back = joinRoom(room.code, { token: creator.token, side: 'O' });
+    assert.deepStrictEqual(back.seat, creator);
+    assert.strictEqual(back.room.players.X.connected, true);
+
+    // A token from elsewhere is no seat at all
+    const { seat: stranger } = joinRoom(room.code, { token: "made-up" });
+    assert.strictEqual(stranger.side, 'O');
+    assert.notStrictEqual(stranger.token, "made-up");
+});
+
+test("spectators watch, even a full room, but can't play", () => {
+    const { room, seat: x } = createRoom();
+    const { seat: o } = joinRoom(room.code);
+
+    const watching = joinRoom(room.code, { role: "spectator" });
+    assert.strictEqual(watching.seat, null);
+    assert.strictEqual(watching.room.spectators, 1);
+
+    assert.throws(() => playRoomMove(room.code, undefined, { cell: 4 }), { code: "NOT_A_PLAYER" });
+    assert.throws(() => rematch(room.code, undefined), { code: "NOT_A_PLAYER" });
+    assert.throws(() => playRoomMove(room.code, o.token, { cell: 4 }), { code: "NOT_YOUR_TURN" });
+    assert.strictEqual(playRoomMove(room.code, x.token, { cell: 4 }).room.state.board[4], 'X');
+});
+
+test("nobody moves before the opponent joins, and rematches wait for the end", () => {
+    const { room, seat: x } = createRoom();
+    assert.throws(() => playRoomMove(room.code, x.token, { cell: 0 }), { code: "WAITING_FOR_OPPONENT" });
+
+    const { seat: o } = joinRoom(room.code);
+    assert.throws(() => rematch(room.code, x.token), { code: "GAME_IN_PROGRESS" });
+
+    // X takes the top row
+    [[x, 0], [o, 3], [x, 1], [o, 4], [x, 2]].forEach(([seat, cell]) => playRoomMove(room.code, seat.token, { cell }));
+    assert.throws(() => playRoomMove(room.code, o.token, { cell: 5 }), { code: "GAME_OVER" });
+
+    // The other side opens the next game
+    const next = rematch(room.code, o.token);
+    assert.strictEqual(next.game, 2);
+    assert.strictEqual(next.firstPlayer, 'O');
+});
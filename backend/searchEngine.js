@@ -0,0 +1,240 @@
+// ============================================================================
+// PERFECT-PLAY SEARCH ENGINE (Negamax + Alpha-Beta)
+// ============================================================================
+// On 3×3 this searches the whole game tree, so it never loses. Bigger boards
+// are far too large for that: the search stops at a depth limit and scores
+// the position by its open lines instead.
+//
+// Scores are from the point of view of the player to move:
+//   win  = +(1000 - plies until the win)   (faster wins score higher)
+//   draw =  0
+//   loss = -(1000 - plies until the loss)  (slower losses score higher)
+//   depth limit reached = line evaluation, always inside +/-500
+// Quantum features are still computed for each candidate so the frontend can
+// show them next to the heuristic engine's numbers.
+// ============================================================================
+
+const { findWinner, RuleError, CLASSIC } = require("./gameRules");
+const { boardFeatures } = require("./quantumEngine");
+const { defaultEncoderFor } = require("./encoders");
+const { createTable, remember, canonicalize } = require("./transpositions");
+
+const WIN_SCORE = 1000;
+const EVAL_LIMIT = WIN_SCORE / 2;
+
+// Value of each position after a move, by its canonical form: symmetric
+// positions have the same value
+const valueTable = createTable("search values");
+
+/**
+ * Default search depth: exact on 3×3, shallow enough to answer in well under
+ * a second on bigger boards.
+ */
+function defaultDepthFor(geometry) {
+    if (geometry.cells <= 9) return Infinity;
+    return geometry.cells <= 16 ? 4 : 3;
+}
+
+/**
+ * Deepest search a caller may ask for: any depth on 3×3, where the whole
+ * game is 9 plies, and two plies past the default on bigger boards. Every
+ * extra ply multiplies the time, and a search holds the server's only
+ * thread (depth 8 on 5×5 takes seconds).
+ */
+function maxDepthFor(geometry) {
+    return geometry.cells <= 9 ? Infinity : defaultDepthFor(geometry) + 2;
+}
+
+/**
+ * Check a requested search depth against the board.
+ *
+ * @returns {number} The depth to search (the board's default if none was given)
+ * @throws {RuleError} INVALID_OPTION for non-integers and depths out of range
+ */
+function checkDepth(depth, geometry = CLASSIC) {
+    if (depth === undefined) return defaultDepthFor(geometry);
+    const max = maxDepthFor(geometry);
+    if (!Number.isInteger(depth) || depth < 1 || depth > max) {
+        throw new RuleError("INVALID_OPTION", max === Infinity
+            ? "depth must be an integer of at least 1"
+            : `depth must be an integer from 1 to ${max} on this board`);
+    }
+    return depth;
+}
+
+/**
+ * Static evaluation at the depth limit. A line only one player can still
+ * complete is worth (their marks in it)^2 to them.
+ */
+function evaluateLines(board, side, geometry) {
+    let score = 0;
+
+    for (const line of geometry.lines) {
+        let mine = 0;
+        let theirs = 0;
+        for (const i of line) {
+            if (board[i] === side) mine++;
+            else if (board[i] !== null) theirs++;
+        }
+        if (theirs === 0) score += mine * mine;
+        else if (mine === 0) score -= theirs * theirs;
+    }
+
+    return Math.max(-EVAL_LIMIT, Math.min(EVAL_LIMIT, score));
+}
+
+/**
+ * Negamax with alpha-beta pruning.
+ *
+ * @param {Array} board - Board to search (modified in place, then restored)
+ * @param {string} side - Player to move
+ * @param {number} depth - Plies played since the root
+ * @param {number} alpha - Lower bound for the player to move
+ * @param {number} beta - Upper bound for the player to move
+ * @param {Object} geometry - Board shape from createGeometry
+ * @param {number} maxDepth - Evaluate instead of searching past this many plies
+ * @returns {number} Value of the position for `side`
+ */
+function negamax(board, side, depth, alpha, beta, geometry = CLASSIC, maxDepth = Infinity) {
+    const opponent = side === 'X' ? 'O' : 'X';
+
+    // The previous move (by the opponent) may have ended the game
+    if (findWinner(board, geometry)) {
+        return -(WIN_SCORE - depth);
+    }
+    if (depth >= maxDepth) {
+        return evaluateLines(board, side, geometry);
+    }
+
+    let best = -Infinity;
+    let anyMove = false;
+
+    for (const cell of geometry.moveOrder) {
+        if (board[cell] !== null) continue;
+        anyMove = true;
+
+        board[cell] = side;
+        const value = -negamax(board, opponent, depth + 1, -beta, -alpha, geometry, maxDepth);
+        board[cell] = null;
+
+        if (value > best) best = value;
+        if (best > alpha) alpha = best;
+        if (alpha >= beta) break;  // Opponent won't allow this line
+    }
+
+    // Full board and no winner
+    return anyMove ? best : 0;
+}
+
+/**
+ * Value of playing `cellIndex` for `side`. Exact when the search can reach
+ * the end of the game, an estimate otherwise. Cached per position.
+ *
+ * @returns {number} Negamax score (see header) from `side`'s point of view
+ */
+function evaluateMove(board, cellIndex, side, geometry = CLASSIC, maxDepth = defaultDepthFor(geometry)) {
+    const opponent = side === 'X' ? 'O' : 'X';
+    const testBoard = [...board];
+    testBoard[cellIndex] = side;
+
+    const { key } = canonicalize(testBoard, geometry);
+    return remember(valueTable, `${geometry.size},${geometry.winLength}|${maxDepth}|${opponent}|${key}`,
+        () => -negamax(testBoard, opponent, 1, -Infinity, Infinity, geometry, maxDepth));
+}
+
+/**
+ * Game-theoretic outcome of a negamax score.
+ *
+ * @param {number} value - Negamax score
+ * @param {boolean} exact - Whether the search saw every line to the end
+ * @returns {Object} { outcome: 'win'|'loss'|'draw'|'unknown', plies } where
+ *                   plies is the distance to the win or loss (null otherwise)
+ */
+function classifyValue(value, exact = true) {
+    if (Math.abs(value) > EVAL_LIMIT) {
+        return { outcome: value > 0 ? 'win' : 'loss', plies: WIN_SCORE - Math.abs(value) };
+    }
+    return { outcome: exact ? 'draw' : 'unknown', plies: null };
+}
+
+/**
+ * Turn a negamax score into a readable label like "win in 3".
+ *
+ * @param {number} value - Negamax score
+ * @param {boolean} exact - Whether the search saw every line to the end
+ */
+function describeValue(value, exact = true) {
+    const { outcome, plies } = classifyValue(value, exact);
+    if (outcome === 'win' || outcome === 'loss') return `${outcome} in ${plies}`;
+    if (outcome === 'draw') return 'draw';
+    return `eval ${value > 0 ? '+' : ''}${value}`;
+}
+
+/**
+ * Choose the best move for `side`.
+ * Every candidate gets its own value, so ties between equally good moves
+ * are broken by the board's move order (center, then corners on 3×3).
+ *
+ * @param {Array} boardState - Current board state
+ * @param {string} side - Symbol the engine plays ('X' or 'O')
+ * @param {Object} options - { encoder, geometry, depth, noise }: encoder
+ *                           for the displayed features, board shape, search
+ *                           depth in plies (default: exact on 3×3, 3-4
+ *                           otherwise; see maxDepthFor) and a noise model
+ *                           for the features
+ * @returns {Object} Same shape as simulateQuantumMove's result
+ */
+function searchMove(boardState = Array(9).fill(null), side = 'O', options = {}) {
+    const geometry = options.geometry || CLASSIC;
+    const encoderName = options.encoder || defaultEncoderFor(geometry);
+    const maxDepth = checkDepth(options.depth, geometry);
+
+    const exact = maxDepth >= boardState.filter(cell => cell === null).length;
+    const moveAnalysis = [];
+
+    for (const cellIndex of geometry.moveOrder) {
+        if (boardState[cellIndex] !== null) continue;
+
+        const value = evaluateMove(boardState, cellIndex, side, geometry, maxDepth);
+        const testBoard = [...boardState];
+        testBoard[cellIndex] = side;
+        const features = boardFeatures(testBoard, encoderName, geometry, options.noise);
+
+        moveAnalysis.push({
+            cellIndex,
+            score: value,
+            entropy: features.entropy,
+            purity: features.purity,
+            strategy: describeValue(value, exact)
+        });
+    }
+
+    if (moveAnalysis.length === 0) {
+        throw new RuleError("GAME_OVER", "No empty cells left to play");
+    }
+
+    // Stable sort keeps the move order among equal values
+    moveAnalysis.sort((a, b) => b.score - a.score);
+
+    const chosenMove = moveAnalysis[0];
+    const finalBoard = [...boardState];
+    finalBoard[chosenMove.cellIndex] = side;
+    const finalFeatures = boardFeatures(finalBoard, encoderName, geometry, options.noise);
+
+    return {
+        chosenCell: chosenMove.cellIndex,
+        moveAnalysis: moveAnalysis,
+        symbol: side,
+        encoder: encoderName,
+        rawQuantumResult: {
+            measured: exact ? "Full game-tree search complete" : `Searched ${maxDepth} plies deep`,
+            classicalRegister: chosenMove.cellIndex,
+            probabilities: finalFeatures.probabilities.slice(0, 16),
+            entropy: finalFeatures.entropy.toFixed(3),
+            purity: finalFeatures.purity.toFixed(3),
+            quantumState: `Search: ${chosenMove.strategy.toUpperCase()} | Cell ${chosenMove.cellIndex} | Value: ${chosenMove.score}`
+        }
+    };
+}
+
+module.exports = { negamax, evaluateMove, defaultDepthFor, maxDepthFor, checkDepth, classifyValue, describeValue, searchMove };
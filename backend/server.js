@@ -1,13 +1,44 @@
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
-const { simulateQuantumMove } = require("./quantumEngine");
+const { chooseMove, precomputeTables, DIFFICULTY_ENGINES, DEFAULT_DIFFICULTY } = require("./difficulty");
+const { runEngine, listEngines } = require("./engines");
+const { RuleError, validateBoard, createGeometry } = require("./gameRules");
+const gameSessions = require("./gameSessions");
+const rooms = require("./rooms");
+const gameRecord = require("./gameRecord");
+const { analyzePosition } = require("./analysis");
+const { listEncoders } = require("./encoders");
+const { describeCircuit } = require("./quantumEngine");
+const { attachMultiplayer } = require("./multiplayer");
+const gameStore = require("./gameStore");
+const { buildBundle } = require("./bundle");
+const { logger, requestLogger } = require("./logger");
+const { renderMetrics, httpRequests, errors, timeEngine } = require("./metrics");
 
 const app = express();
 
+/**
+ * One JSON log line per request, with its id (see logger.js), counted in
+ * /metrics. Health checks and scrapes are only logged at debug level.
+ */
+app.use(requestLogger({
+    onFinish: ({ method, route, status }) => httpRequests.inc({ method, route, status }),
+    quiet: ["/healthz", "/metrics"]
+}));
 app.use(cors());
 app.use(express.json());
 
+/**
+ * The engine as one browser script for the frontend's Web Worker (see
+ * bundle.js), built on the first request
+ */
+let engineBundle = null;
+app.get("/engine.bundle.js", (req, res) => {
+    engineBundle = engineBundle || buildBundle();
+    res.type("application/javascript").send(engineBundle);
+});
+
 /**
  * Serve frontend as static files
  * This makes index.html accessible
@@ -16,25 +47,287 @@ const frontendPath = path.join(__dirname, "..", "frontend");
 app.use(express.static(frontendPath));
 
 /**
- * API route
+ * HTTP status for each rule error code (anything else is a 400)
+ */
+const ERROR_STATUS = {
+    GAME_NOT_FOUND: 404,
+    ROOM_NOT_FOUND: 404,
+    NOT_YOUR_TURN: 409,
+    GAME_OVER: 409,
+    NOTHING_TO_UNDO: 409,
+    NOTHING_TO_REDO: 409,
+    MODEL_NOT_FOUND: 503
+};
+
+/**
+ * Send a RuleError as { error: { code, message } }.
+ * Anything that isn't a rule violation is a real crash and goes to Express.
+ */
+function sendRuleError(res, error) {
+    if (!(error instanceof RuleError)) throw error;
+    errors.inc({ code: error.code });
+    logger.debug("rejected", { code: error.code, message: error.message });
+    res.status(ERROR_STATUS[error.code] || 400).json({
+        error: { code: error.code, message: error.message }
+    });
+}
+
+/**
+ * Stateless API route: the AI replies to a board.
+ *   { boardState, side, firstPlayer = 'X', difficulty = 'heuristic',
+ *     engine, options, size = 3, winLength, shots, temperature, seed,
+ *     encoder, noise, circuit }
+ * `engine` names an engine from GET /api/engines and takes its settings
+ * from `options` only; without it `difficulty` picks a level, which takes
+ * shots, temperature and seed.
+ * `noise: { depolarizing, amplitudeDamping, readout }` runs the engine's
+ * circuits through a noise model (see noise.js); the result then reports
+ * how far the noisy readings are from the ideal ones.
+ * The board is validated first, so it must be a legal, unfinished position.
+ * The AI plays whoever is to move; `side` is optional and, if given, must
+ * be that player. An empty board lets the AI open the game.
+ * `circuit: true` adds the encoding circuit of the board after the AI's move
+ * as { qasm, svg, basisStates, ... } (see describeCircuit).
  */
 app.post("/api/move", (req, res) => {
-    console.log("\n" + "=".repeat(60));
-    console.log("Move request received");
-    console.log("=".repeat(60));
+    const body = req.body || {};
+    const firstPlayer = body.firstPlayer || 'X';
+
+    let geometry;
+    let boardState;
+    let side;
+    try {
+        geometry = createGeometry(body.size, body.winLength);
+        boardState = body.boardState || Array(geometry.cells).fill(null);
 
-    const boardState = req.body.boardState || Array(9).fill(null);
-    console.log("Current board:", boardState);
+        const isSymbol = symbol => symbol === 'X' || symbol === 'O';
+        if (!isSymbol(firstPlayer) || (body.side !== undefined && !isSymbol(body.side))) {
+            throw new RuleError("INVALID_SIDE", "side and firstPlayer must be 'X' or 'O'");
+        }
+        side = validateBoard(boardState, firstPlayer, geometry);
+        if (body.side !== undefined && body.side !== side) {
+            throw new RuleError("NOT_YOUR_TURN", `It is ${side}'s turn, not ${body.side}'s`);
+        }
+    } catch (error) {
+        return sendRuleError(res, error);
+    }
 
-    const result = simulateQuantumMove(boardState);
+    let result;
+    try {
+        const { shots, temperature, seed, encoder, noise, engine, options } = body;
+        const difficulty = body.difficulty === undefined ? DEFAULT_DIFFICULTY : body.difficulty;
+        result = engine !== undefined
+            ? timeEngine(engine, () => runEngine(engine, boardState, side, { encoder, geometry, noise, options }))
+            : timeEngine(DIFFICULTY_ENGINES[difficulty], () =>
+                chooseMove(boardState, side, difficulty, { shots, temperature, seed, encoder, noise, geometry }));
 
-    console.log("Quantum Analysis:");
-    console.log("Symbol:", result.symbol);
-    console.log("Chosen Cell:", result.chosenCell);
+        if (body.circuit) {
+            const finalBoard = [...boardState];
+            finalBoard[result.chosenCell] = side;
+            result.circuit = describeCircuit(finalBoard, result.encoder, geometry);
+        }
+    } catch (error) {
+        return sendRuleError(res, error);
+    }
+
+    logger.info("move", {
+        engine: result.engine,
+        difficulty: result.difficulty,
+        side: result.symbol,
+        size: geometry.size,
+        chosenCell: result.chosenCell
+    });
 
     res.json(result);
 });
 
+/**
+ * Position analysis for the side to move (hint button and overlay):
+ *   { boardState, firstPlayer = 'X', side, size = 3, winLength, encoder, depth }
+ * `side` is optional; if given it must be the player to move. Every empty
+ * cell comes back with its game value (win/draw/loss in N plies) and the
+ * heuristic engine's score.
+ */
+app.post("/api/analyze", (req, res) => {
+    try {
+        const body = req.body || {};
+        const geometry = createGeometry(body.size, body.winLength);
+        const firstPlayer = body.firstPlayer || 'X';
+        if (firstPlayer !== 'X' && firstPlayer !== 'O') {
+            throw new RuleError("INVALID_SIDE", "firstPlayer must be 'X' or 'O'");
+        }
+
+        const boardState = body.boardState || Array(geometry.cells).fill(null);
+        const toMove = validateBoard(boardState, firstPlayer, geometry);
+        if (body.side !== undefined && body.side !== toMove) {
+            throw new RuleError("NOT_YOUR_TURN", `It is ${toMove}'s turn, not ${body.side}'s`);
+        }
+
+        res.json(analyzePosition(boardState, toMove, { geometry, encoder: body.encoder, depth: body.depth }));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+/**
+ * Move engines and the options each one takes (see engines.js).
+ */
+app.get("/api/engines", (req, res) => {
+    res.json(listEngines());
+});
+
+/**
+ * Board encoders and what their features mean.
+ * ?size=&winLength= marks which ones fit that board (default 3×3).
+ */
+app.get("/api/encoders", (req, res) => {
+    try {
+        const size = req.query.size === undefined ? undefined : Number(req.query.size);
+        const winLength = req.query.winLength === undefined ? undefined : Number(req.query.winLength);
+        res.json(listEncoders(createGeometry(size, winLength)));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+/**
+ * Game sessions: the server owns the board
+ *   POST /api/games            -> new game
+ *        { variant, size, winLength, humanSide, aiFirst, difficulty,
+ *          engine, options, seed, shots, temperature, encoder, noise, circuit }
+ *   GET  /api/games/:id        -> current state
+ *   POST /api/games/:id/moves  -> human move + AI reply
+ *        { cell, difficulty, engine, options, circuit } (classic)
+ *        or { action, circuit } (quantum: a spooky mark or collapse;
+ *        gates: { type: "gate", gate, cells }, see gateRules.js)
+ *   GET  /api/games/:id/record -> the game as notation (text/plain)
+ *   POST /api/games/:id/undo   -> take back our last move and the AI's reply
+ *   POST /api/games/:id/redo   -> replay them
+ *   POST /api/games/:id/goto   -> { node } jump to a position in game.moveTree
+ */
+app.post("/api/games", (req, res) => {
+    try {
+        res.status(201).json(gameSessions.createGame(req.body || {}));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.get("/api/games/:id", (req, res) => {
+    try {
+        res.json(gameSessions.getGame(req.params.id));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.post("/api/games/:id/undo", (req, res) => {
+    try {
+        res.json(gameSessions.undo(req.params.id));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.post("/api/games/:id/redo", (req, res) => {
+    try {
+        res.json(gameSessions.redo(req.params.id));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.post("/api/games/:id/goto", (req, res) => {
+    try {
+        res.json(gameSessions.goTo(req.params.id, (req.body || {}).node));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.get("/api/games/:id/record", (req, res) => {
+    try {
+        res.type("text/plain").send(gameSessions.getRecord(req.params.id));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.post("/api/games/:id/moves", (req, res) => {
+    try {
+        const { game, analysis } = gameSessions.playMove(req.params.id, req.body || {});
+        logger.info("game move", { gameId: game.id, variant: game.variant, turn: game.turn, result: game.result ? game.result.winner : null });
+        res.json({ game, analysis });
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+/**
+ * Game records (see gameRecord.js)
+ *   GET  /api/rooms/:code/record -> a multiplayer room's current game as notation
+ *   POST /api/records/replay     -> notation text in, every position out
+ *        for the replay viewer: { variant, size, winLength, tags, initial, plies, result }
+ *        The record is sent as text/plain, or as JSON { record } if it's small:
+ *        with the engine's analysis on every AI ply a record of a big board
+ *        runs to a few hundred KB, past express.json()'s 100 KB limit.
+ */
+app.get("/api/rooms/:code/record", (req, res) => {
+    try {
+        res.type("text/plain").send(rooms.getRoomRecord(req.params.code));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+const RECORD_LIMIT = "5mb";
+
+app.post("/api/records/replay", express.text({ limit: RECORD_LIMIT }), (req, res) => {
+    try {
+        const record = typeof req.body === "string" ? req.body : (req.body || {}).record;
+        res.json(gameRecord.replayRecord(gameRecord.parseRecord(record)));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+/**
+ * Finished games (see gameStore.js)
+ *   GET /api/stats       -> win rates per engine and per opening move
+ *   GET /api/leaderboard -> engine configurations ranked by score against humans
+ * Both take ?variant=&size=&winLength=; the leaderboard also ?minGames=&limit=
+ */
+app.get("/api/stats", (req, res) => {
+    try {
+        res.json(gameStore.getStats(req.query));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.get("/api/leaderboard", (req, res) => {
+    try {
+        res.json(gameStore.getLeaderboard(req.query));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+/**
+ * Liveness for the deployment: answers as long as the process does.
+ */
+app.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptime: process.uptime() });
+});
+
+/**
+ * Request counts, engine latency, game outcomes and errors in Prometheus
+ * text format (see metrics.js).
+ */
+app.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
 /**
  * Default route — loads index.html
  * Important for Render & direct browser access
@@ -43,9 +336,50 @@ app.use((req, res) => {
     res.sendFile(path.join(frontendPath, "index.html"));
 });
 
+/**
+ * Anything thrown that isn't a rule error. Requests Express itself refused
+ * (malformed JSON) keep their 4xx; the rest are crashes, logged with their
+ * stack. Both answer in the API's { error: { code, message } } shape.
+ */
+app.use((error, req, res, next) => {
+    const clientError = error.status >= 400 && error.status < 500;
+    const code = clientError ? "BAD_REQUEST" : "INTERNAL_ERROR";
+    errors.inc({ code });
+    if (clientError) logger.debug("bad request", { message: error.message });
+    else logger.error("crash", { error });
+
+    if (res.headersSent) return next(error);
+    res.status(clientError ? error.status : 500).json({
+        error: { code, message: clientError ? error.message : "Something went wrong" }
+    });
+});
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-    console.log(`Quantum Tic-Tac-Toe running on port ${PORT}`);
-});
+/**
+ * Start listening on `port`, with rooms over WebSockets at /ws (see
+ * multiplayer.js). The tests start it on a free port (0).
+ *
+ * @returns {Object} The HTTP server
+ */
+function startServer(port = PORT) {
+    const server = app.listen(port, () => {
+        logger.info("listening", { port: server.address().port });
+    });
+    attachMultiplayer(server);
+    return server;
+}
+
+if (require.main === module) {
+    /**
+     * PRECOMPUTE_TABLES=1 fills the engine caches for every 3×3 position
+     * before the server starts listening (a few seconds; see transpositions.js)
+     */
+    if (process.env.PRECOMPUTE_TABLES) {
+        const { positions, ms } = precomputeTables();
+        logger.info("precomputed tables", { positions, ms });
+    }
+    startServer();
+}
+
+module.exports = { app, startServer };
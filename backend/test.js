@@ -1,40 +1,48 @@
-
-
-const QuantumCircuit = require("quantum-circuit");
-
-function simulateQuantumMove() {
-    // Create a 2-qubit quantum circuit
-    const circuit = new QuantumCircuit(2);
-
-    // Add Hadamard gates for superposition
-    circuit.addGate("h", -1, 0);
-    circuit.addGate("h", -1, 1);
-
-    // Add CNOT gate for entanglement
-    circuit.addGate("cx", -1, [0, 1]);
-
-    // Measure both qubits
-    circuit.addMeasure(0, "c", 0);
-    circuit.addMeasure(1, "c", 1);
-
-    // Run the circuit
-    circuit.run();
-
-    // Get measurement results
-    const creg = circuit.getCregValue("c");
-    
-    // Convert measurement to cell position (0-8)
-    const chosenCell = creg % 9;
-
-    return {
-        chosenCell: chosenCell,
-        rawQuantumResult: {
-            measured: creg.toString(2).padStart(2, '0'),
-            classicalRegister: creg,
-            probabilities: circuit.probabilities(),
-            quantumState: "Superposition collapsed to: " + creg
-        }
-    };
+// ============================================================================
+// ENGINE AUDIT CHECK AND BEHAVIOR CHECKS (npm test)
+// ============================================================================
+// Runs the exhaustive audit (audit.js) for both sides. The perfect-play
+// engine must never give anything away. The heuristic engine must never
+// lose a game it could have drawn or won, but it misses a few wins; their
+// number is pinned here so a change to scoreMove can't add new ones
+// unnoticed. Lower the numbers when a fix removes some.
+//
+// Then the behavior checks in *.test.js (node:test, one file per module)
+// run. They play games through the sessions, rooms and the HTTP API, so the
+// game store goes to a temporary file and the logs are silenced.
+// ============================================================================
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.GAME_STORE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "qttt-test-")), "games.json");
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+
+const { auditEngine, formatAudit } = require("./audit");
+
+const KNOWN_HEURISTIC_BLUNDERS = { O: 5, X: 4 };
+
+for (const side of ['O', 'X']) {
+    const perfect = auditEngine({ engine: "unbeatable", side });
+    console.log(formatAudit(perfect));
+    assert.strictEqual(perfect.blunders.length, 0, `unbeatable engine blunders as ${side}`);
+
+    const heuristic = auditEngine({ engine: "heuristic", side });
+    console.log(formatAudit(heuristic));
+    const losses = heuristic.blunders.filter(blunder => blunder.outcome === "loss");
+    assert.strictEqual(losses.length, 0,
+        `heuristic engine loses as ${side}: ${losses.map(blunder => blunder.board).join(", ")}`);
+    assert.ok(heuristic.blunders.length <= KNOWN_HEURISTIC_BLUNDERS[side],
+        `heuristic engine as ${side}: ${heuristic.blunders.length} blunders, ` +
+        `expected at most ${KNOWN_HEURISTIC_BLUNDERS[side]}`);
+    console.log("");
 }
 
-module.exports = { simulateQuantumMove };
+console.log("Audit passed");
+
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith(".test.js"))
+    .sort()
+    .forEach(file => require(`./${file}`));
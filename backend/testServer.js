@@ -0,0 +1,24 @@
+// ============================================================================
+// TEST SERVER: The App on a Free Port for the *.test.js Files
+// ============================================================================
+
+const { startServer } = require("./server");
+
+/**
+ * Start the server on a free port, run `check` with its base URL, and close
+ * the server again whatever happens.
+ *
+ * @param {Function} check - async (baseUrl) => ...
+ */
+async function withServer(check) {
+    const server = startServer(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    try {
+        return await check(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+module.exports = { withServer };
@@ -0,0 +1,297 @@
+// ============================================================================
+// SELF-PLAY TOURNAMENT: Engine vs Engine with Elo Ratings
+// ============================================================================
+// Plays every pair of engine configurations against each other, swapping
+// who plays X (and so who moves first) every game, and reports a
+// win/draw/loss table and Elo ratings. Use it to check whether a change to
+// the scoreMove weights actually makes the engine stronger.
+//
+// An entrant is { name, difficulty, options } where difficulty and options
+// are passed to chooseMove (so { weights } reaches scoreMove), or
+// { name, chooseMove(board, side, context) } for an engine of your own that
+// returns a cell index.
+//
+// The heuristic and unbeatable engines are deterministic, so without help
+// two of them would play the same game over and over. The first
+// `openingMoves` plies of every game are therefore random (from the seed).
+//
+// As a command:
+//   node tournament.js --engines heuristic,random,unbeatable --games 200
+//   node tournament.js --config entrants.json --seed 7 --json
+// ============================================================================
+
+const { chooseMove, DIFFICULTIES } = require("./difficulty");
+const { createGeometry, applyMove, RuleError } = require("./gameRules");
+const { createRng, deriveSeed } = require("./rng");
+
+const INITIAL_ELO = 1500;
+const ELO_K = 16;
+
+/**
+ * Turn an entrant description into something that picks moves.
+ * Deterministic engines remember their answer for each position.
+ */
+function prepareEntrant(entrant, geometry) {
+    if (!entrant || typeof entrant.name !== "string") {
+        throw new RuleError("INVALID_OPTION", "Every entrant needs a name");
+    }
+
+    if (typeof entrant.chooseMove === "function") {
+        return { name: entrant.name, move: (board, side, context) => entrant.chooseMove(board, side, context) };
+    }
+
+    const difficulty = entrant.difficulty || "heuristic";
+    if (!DIFFICULTIES.includes(difficulty)) {
+        throw new RuleError("INVALID_DIFFICULTY",
+            `${entrant.name}: unknown difficulty ${difficulty} (expected ${DIFFICULTIES.join(", ")})`);
+    }
+
+    const options = { ...entrant.options, geometry };
+    const deterministic = difficulty === "heuristic" || difficulty === "unbeatable";
+    const cache = new Map();
+
+    return {
+        name: entrant.name,
+        move(board, side, { seed }) {
+            const key = `${side}${board.map(cell => cell || '-').join("")}`;
+            if (deterministic && cache.has(key)) return cache.get(key);
+
+            const cell = chooseMove(board, side, difficulty, { ...options, seed }).chosenCell;
+            if (deterministic) cache.set(key, cell);
+            return cell;
+        }
+    };
+}
+
+/**
+ * Play one game. X moves first.
+ *
+ * @returns {Object} { winner: 'X'|'O'|'draw', moves }
+ */
+function playGame(x, o, geometry, { openingMoves, seed }) {
+    const rng = createRng(seed);
+    let state = { board: Array(geometry.cells).fill(null), turn: 'X', result: null };
+    const moves = [];
+
+    while (!state.result) {
+        const ply = moves.length;
+        let cell;
+
+        if (ply < openingMoves) {
+            const empty = state.board.map((c, i) => (c === null ? i : -1)).filter(i => i >= 0);
+            cell = empty[Math.floor(rng() * empty.length)];
+        } else {
+            const entrant = state.turn === 'X' ? x : o;
+            cell = entrant.move([...state.board], state.turn, { geometry, seed: deriveSeed(seed, ply) });
+        }
+
+        state = applyMove(state, cell, state.turn, geometry);
+        moves.push(cell);
+    }
+
+    return { winner: state.result.winner, moves };
+}
+
+/**
+ * Elo expected score of a player rated `a` against one rated `b`.
+ */
+function expectedScore(a, b) {
+    return 1 / (1 + Math.pow(10, (b - a) / 400));
+}
+
+/**
+ * Run a round-robin tournament.
+ *
+ * @param {Array} entrants - Engine configurations (see header)
+ * @param {Object} options
+ * @param {number} options.games - Games per pair (default 100)
+ * @param {number} options.size - Board size (default 3)
+ * @param {number} options.winLength - Marks in a row to win
+ * @param {number} options.openingMoves - Random plies at the start of each game (default 1)
+ * @param {number} options.seed - Makes the whole tournament reproducible
+ * @param {Function} options.onGame - Called after every game with
+ *                                    { index, total, x, o, winner }
+ * @returns {Object} { games, table, standings } where table[a][b] is a's
+ *                   { wins, draws, losses } against b and standings are
+ *                   sorted by Elo
+ */
+function runTournament(entrants, options = {}) {
+    const games = options.games === undefined ? 100 : options.games;
+    const openingMoves = options.openingMoves === undefined ? 1 : options.openingMoves;
+    const seed = options.seed === undefined ? Math.floor(Math.random() * 2 ** 31) : options.seed;
+    const geometry = createGeometry(options.size, options.winLength);
+
+    if (!Array.isArray(entrants) || entrants.length < 2) {
+        throw new RuleError("INVALID_OPTION", "A tournament needs at least two entrants");
+    }
+    if (!Number.isInteger(games) || games < 1) {
+        throw new RuleError("INVALID_OPTION", "games must be a positive integer");
+    }
+    if (!Number.isInteger(openingMoves) || openingMoves < 0 || openingMoves >= geometry.cells) {
+        throw new RuleError("INVALID_OPTION", `openingMoves must be an integer from 0 to ${geometry.cells - 1}`);
+    }
+
+    const players = entrants.map(entrant => prepareEntrant(entrant, geometry));
+    const names = players.map(p => p.name);
+    if (new Set(names).size !== names.length) {
+        throw new RuleError("INVALID_OPTION", "Entrant names must be unique");
+    }
+
+    const table = {};
+    const elo = {};
+    names.forEach(a => {
+        elo[a] = INITIAL_ELO;
+        table[a] = {};
+        names.forEach(b => {
+            if (a !== b) table[a][b] = { wins: 0, draws: 0, losses: 0 };
+        });
+    });
+
+    const total = (players.length * (players.length - 1) / 2) * games;
+    let index = 0;
+
+    for (let i = 0; i < players.length; i++) {
+        for (let j = i + 1; j < players.length; j++) {
+            for (let g = 0; g < games; g++) {
+                // Swap sides every game so each engine moves first half the time
+                const [x, o] = g % 2 === 0 ? [players[i], players[j]] : [players[j], players[i]];
+                const { winner } = playGame(x, o, geometry, { openingMoves, seed: deriveSeed(seed, index) });
+
+                const scoreX = winner === 'X' ? 1 : winner === 'O' ? 0 : 0.5;
+                const expectedX = expectedScore(elo[x.name], elo[o.name]);
+                elo[x.name] += ELO_K * (scoreX - expectedX);
+                elo[o.name] -= ELO_K * (scoreX - expectedX);
+
+                if (winner === 'draw') {
+                    table[x.name][o.name].draws++;
+                    table[o.name][x.name].draws++;
+                } else {
+                    const [w, l] = winner === 'X' ? [x.name, o.name] : [o.name, x.name];
+                    table[w][l].wins++;
+                    table[l][w].losses++;
+                }
+
+                index++;
+                if (options.onGame) options.onGame({ index, total, x: x.name, o: o.name, winner });
+            }
+        }
+    }
+
+    const standings = names.map(name => {
+        const totals = Object.values(table[name]).reduce((sum, r) => ({
+            wins: sum.wins + r.wins,
+            draws: sum.draws + r.draws,
+            losses: sum.losses + r.losses
+        }), { wins: 0, draws: 0, losses: 0 });
+        const played = totals.wins + totals.draws + totals.losses;
+        return {
+            name,
+            ...totals,
+            score: (totals.wins + totals.draws / 2) / played,
+            elo: Math.round(elo[name])
+        };
+    }).sort((a, b) => b.elo - a.elo);
+
+    return {
+        games: total,
+        seed,
+        size: geometry.size,
+        winLength: geometry.winLength,
+        openingMoves,
+        table,
+        standings
+    };
+}
+
+/**
+ * Plain-text report: standings, then the head-to-head table (row's
+ * wins-draws-losses against the column).
+ */
+function formatReport(result) {
+    const names = result.standings.map(s => s.name);
+    const width = Math.max(12, ...names.map(n => n.length + 2));
+    const pad = (text, w = width) => String(text).padEnd(w);
+
+    const lines = [
+        `${result.games} games on ${result.size}×${result.size} (${result.winLength} in a row), ` +
+        `${result.openingMoves} random opening ply(s), seed ${result.seed}`,
+        "",
+        pad("Engine") + pad("Elo", 8) + pad("W", 7) + pad("D", 7) + pad("L", 7) + "Score",
+        ...result.standings.map(s =>
+            pad(s.name) + pad(s.elo, 8) + pad(s.wins, 7) + pad(s.draws, 7) + pad(s.losses, 7) +
+            `${(s.score * 100).toFixed(1)}%`),
+        "",
+        "Head to head (W-D-L, row vs column):",
+        pad("") + names.map(n => pad(n)).join(""),
+        ...names.map(a => pad(a) + names.map(b => {
+            if (a === b) return pad("-");
+            const r = result.table[a][b];
+            return pad(`${r.wins}-${r.draws}-${r.losses}`);
+        }).join(""))
+    ];
+
+    return lines.join("\n");
+}
+
+/**
+ * Parse --flag value pairs from the command line.
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (!flag.startsWith("--")) continue;
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith("--")) {
+            args[flag.slice(2)] = true;
+        } else {
+            args[flag.slice(2)] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    const number = value => (value === undefined ? undefined : Number(value));
+
+    // Entrants come from a JSON file, or are the named difficulty levels
+    const entrants = args.config
+        ? JSON.parse(require("fs").readFileSync(args.config, "utf8"))
+        : String(args.engines || "heuristic,random").split(",").map(name => ({
+            name,
+            difficulty: name,
+            options: args.encoder ? { encoder: args.encoder } : {}
+        }));
+
+    const result = runTournament(entrants, {
+        games: number(args.games),
+        size: number(args.size),
+        winLength: number(args.win),
+        openingMoves: number(args.opening),
+        seed: number(args.seed),
+        onGame: args.json ? null : ({ index, total }) => {
+            if (index % 50 === 0 || index === total) process.stderr.write(`\r${index}/${total} games`);
+        }
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        process.stderr.write("\n");
+        console.log(formatReport(result));
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        if (!(error instanceof RuleError)) throw error;
+        console.error(`${error.code}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { runTournament, playGame, expectedScore, formatReport, parseArgs };
@@ -0,0 +1,399 @@
+// ============================================================================
+// VARIATIONAL TRAINING: Fitting the Policy Circuit to Perfect Play
+// ============================================================================
+// Trains the circuit of variationalPolicy.js on solved 3×3 positions:
+//   1. data      - every position X can reach with a move to make (one per
+//                  rotation/mirror class), labeled by negamax with the cells
+//                  that keep the best outcome (win > draw > loss)
+//   2. loss      - cross-entropy between the policy and an even spread over
+//                  those best cells, averaged over the training positions
+//   3. optimizer - "parameter-shift": exact gradients, since for an RY gate
+//                  dP/dθ = (P(θ + π/2) - P(θ - π/2)) / 2, followed by Adam
+//                  steps; or "spsa": two loss evaluations per step with every
+//                  parameter nudged at once in a random direction
+//
+// A seeded share of the positions is held out. The report compares how
+// often the policy's top move is a best move with the heuristic engine and
+// with picking at random, and audits the policy (audit.js) as X and as O.
+//
+// As a command (writes models/variational.json unless --out is given):
+//   node trainVariational.js --optimizer parameter-shift --epochs 150
+//   node trainVariational.js --optimizer spsa --steps 2000 --seed 7
+//   node trainVariational.js --report          # report on the saved model
+// ============================================================================
+
+const { CLASSIC, findWinner, RuleError } = require("./gameRules");
+const { evaluateMove, classifyValue } = require("./searchEngine");
+const { canonicalize } = require("./transpositions");
+const { chooseMove } = require("./difficulty");
+const { auditEngine } = require("./audit");
+const { parseArgs } = require("./tournament");
+const { createRng } = require("./rng");
+const {
+    MODEL_PATH, circuitLayout, initialParams, boardInput, gateAngles, gateStates, runGates,
+    policyFromAppeal, evaluatePolicy, loadModel, saveModel
+} = require("./variationalPolicy");
+
+const OPTIMIZERS = ["parameter-shift", "spsa"];
+const OUTCOME_RANK = { loss: 0, draw: 1, win: 2 };
+
+const DEFAULTS = {
+    optimizer: "parameter-shift",
+    layers: 3,
+    beta: 10,
+    epochs: 150,
+    steps: 2000,
+    rate: 0.1,
+    holdout: 0.2,
+    seed: 1
+};
+
+/**
+ * Every non-final position of a game X opens, once per symmetry class,
+ * with the side to move and its best cells.
+ *
+ * @returns {Array} [{ board, side, best: [cell, ...], outcome }]
+ */
+function solvedPositions(geometry = CLASSIC) {
+    const seen = new Set();
+    const positions = [];
+
+    const visit = (board, toMove) => {
+        const { key } = canonicalize(board, geometry);
+        if (seen.has(key)) return;
+        seen.add(key);
+        if (findWinner(board, geometry) || !board.includes(null)) return;
+
+        const outcomes = {};
+        board.forEach((cell, i) => {
+            if (cell === null) outcomes[i] = classifyValue(evaluateMove(board, i, toMove, geometry, Infinity)).outcome;
+        });
+        const outcome = Object.values(outcomes).reduce((a, b) => (OUTCOME_RANK[b] > OUTCOME_RANK[a] ? b : a));
+        const best = Object.keys(outcomes).filter(cell => outcomes[cell] === outcome).map(Number);
+        positions.push({ board: [...board], side: toMove, best, outcome });
+
+        const next = toMove === 'X' ? 'O' : 'X';
+        board.forEach((cell, i) => {
+            if (cell !== null) return;
+            const child = [...board];
+            child[i] = toMove;
+            visit(child, next);
+        });
+    };
+
+    visit(Array(geometry.cells).fill(null), 'X');
+    return positions;
+}
+
+/**
+ * Shuffle the positions with `seed` and hold out a `holdout` share.
+ *
+ * @returns {Object} { train, test }
+ */
+function splitPositions(positions, holdout, seed) {
+    const rng = createRng(seed);
+    const shuffled = [...positions];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const testSize = Math.round(shuffled.length * holdout);
+    return { train: shuffled.slice(testSize), test: shuffled.slice(0, testSize) };
+}
+
+// Parameters as one flat vector: a, then b, then w, each layer by layer
+function flatten(params) {
+    return [...params.a.flat(), ...params.b.flat(), ...params.w.flat()];
+}
+
+function unflatten(vector, layers, classes) {
+    const block = offset => Array.from({ length: layers }, (_, layer) =>
+        vector.slice(offset + layer * classes, offset + (layer + 1) * classes));
+    const size = layers * classes;
+    return { a: block(0), b: block(size), w: block(2 * size) };
+}
+
+/**
+ * Cross-entropy of one position's policy against its best cells.
+ */
+function positionLoss(policy, best) {
+    const share = 1 / best.length;
+    return -policy
+        .filter(move => best.includes(move.cellIndex))
+        .reduce((sum, move) => sum + share * Math.log(Math.max(move.probability, 1e-12)), 0);
+}
+
+/**
+ * Mean loss of a set of parameters over some positions.
+ */
+function datasetLoss(layout, params, beta, positions) {
+    const total = positions.reduce((sum, p) =>
+        sum + positionLoss(evaluatePolicy(layout, params, beta, p.board, p.side), p.best), 0);
+    return total / positions.length;
+}
+
+/**
+ * Mean loss and its exact gradient (parameter-shift rule) over some positions.
+ *
+ * @returns {Object} { loss, gradient } with gradient shaped like flatten(params)
+ */
+function lossGradient(layout, params, beta, positions) {
+    const grad = { a: params.a.map(row => row.map(() => 0)), b: params.b.map(row => row.map(() => 0)), w: params.w.map(row => row.map(() => 0)) };
+    let loss = 0;
+
+    positions.forEach(({ board, side, best }) => {
+        const gates = gateAngles(layout, params, boardInput(board, side));
+        const policy = policyFromAppeal(board, runGates(layout, gates), beta);
+        loss += positionLoss(policy, best);
+
+        // dL/dP_i = beta * (pi_i - target_i) over the empty cells
+        const dAppeal = Array(layout.cells).fill(0);
+        policy.forEach(({ cellIndex, probability }) => {
+            const target = best.includes(cellIndex) ? 1 / best.length : 0;
+            dAppeal[cellIndex] = beta * (probability - target);
+        });
+
+        const states = gateStates(layout, gates);
+        gates.forEach((gate, index) => {
+            if (gate === null) return;
+            const plus = runGates(layout, gates, index, Math.PI / 2, states);
+            const minus = runGates(layout, gates, index, -Math.PI / 2, states);
+            let dAngle = 0;
+            for (let q = 0; q < layout.cells; q++) dAngle += dAppeal[q] * (plus[q] - minus[q]) / 2;
+
+            if (gate.x === null) {
+                grad.w[gate.layer][gate.cls] += dAngle;
+            } else {
+                grad.a[gate.layer][gate.cls] += dAngle * gate.x;
+                grad.b[gate.layer][gate.cls] += dAngle;
+            }
+        });
+    });
+
+    const n = positions.length;
+    return { loss: loss / n, gradient: flatten(grad).map(g => g / n) };
+}
+
+/**
+ * How often the policy's (or an engine's) first choice is a best move.
+ *
+ * @param {Function} pick - (board, side) -> cell
+ * @returns {number} Share of positions, 0-1
+ */
+function accuracy(positions, pick) {
+    if (positions.length === 0) return null;
+    return positions.filter(p => p.best.includes(pick(p.board, p.side))).length / positions.length;
+}
+
+function policyPick(layout, params, beta) {
+    return (board, side) => evaluatePolicy(layout, params, beta, board, side)
+        .reduce((top, move) => (move.probability > top.probability ? move : top)).cellIndex;
+}
+
+/**
+ * Fit the circuit's parameters.
+ *
+ * @param {Object} options - { optimizer, layers, beta, epochs (parameter-shift),
+ *                           steps (spsa), rate, holdout, seed, onProgress }
+ *                           (defaults in DEFAULTS); onProgress gets
+ *                           { iteration, loss, accuracy } now and then
+ * @returns {Object} The model: { size, winLength, layers, beta, params,
+ *                   training: { optimizer, iterations, rate, holdout, seed,
+ *                   positions, loss }, report }
+ * @throws {RuleError} INVALID_OPTION
+ */
+function trainPolicy(options = {}) {
+    const settings = { ...DEFAULTS };
+    Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined) settings[key] = value;
+    });
+    const { optimizer, layers, beta, rate, holdout, seed } = settings;
+
+    if (!OPTIMIZERS.includes(optimizer)) {
+        throw new RuleError("INVALID_OPTION", `Unknown optimizer: ${optimizer} (expected ${OPTIMIZERS.join(", ")})`);
+    }
+    ["layers", "epochs", "steps"].forEach(option => {
+        if (!Number.isInteger(settings[option]) || settings[option] < 1) {
+            throw new RuleError("INVALID_OPTION", `${option} must be a positive integer`);
+        }
+    });
+    if (!(beta > 0) || !(rate > 0)) {
+        throw new RuleError("INVALID_OPTION", "beta and rate must be positive numbers");
+    }
+    if (!(holdout >= 0 && holdout < 1)) {
+        throw new RuleError("INVALID_OPTION", "holdout must be a number from 0 up to 1");
+    }
+
+    const geometry = CLASSIC;
+    const layout = circuitLayout(geometry);
+    const rng = createRng(seed);
+    const { train, test } = splitPositions(solvedPositions(geometry), holdout, seed);
+    let vector = flatten(initialParams(layout, layers, rng));
+    const params = () => unflatten(vector, layers, layout.classes);
+    const progress = (iteration, loss) => {
+        if (options.onProgress) {
+            options.onProgress({ iteration, loss, accuracy: accuracy(train, policyPick(layout, params(), beta)) });
+        }
+    };
+
+    let iterations;
+    let loss;
+    if (optimizer === "parameter-shift") {
+        // Adam
+        const m = vector.map(() => 0);
+        const v = vector.map(() => 0);
+        for (iterations = 1; iterations <= settings.epochs; iterations++) {
+            const step = lossGradient(layout, params(), beta, train);
+            loss = step.loss;
+            vector = vector.map((value, i) => {
+                m[i] = 0.9 * m[i] + 0.1 * step.gradient[i];
+                v[i] = 0.999 * v[i] + 0.001 * step.gradient[i] ** 2;
+                const mHat = m[i] / (1 - 0.9 ** iterations);
+                const vHat = v[i] / (1 - 0.999 ** iterations);
+                return value - rate * mHat / (Math.sqrt(vHat) + 1e-8);
+            });
+            if (iterations % 10 === 0) progress(iterations, loss);
+        }
+        iterations = settings.epochs;
+    } else {
+        // Standard SPSA gain sequences (Spall): a_k = rate * 10 / (k + 1 + A)^0.602,
+        // c_k = 0.1 / (k + 1)^0.101
+        const stability = settings.steps / 10;
+        for (iterations = 1; iterations <= settings.steps; iterations++) {
+            const gain = rate * 10 / Math.pow(iterations + stability, 0.602);
+            const perturbation = 0.1 / Math.pow(iterations, 0.101);
+            const delta = vector.map(() => (rng() < 0.5 ? -1 : 1));
+            const plus = datasetLoss(layout, unflatten(vector.map((x, i) => x + perturbation * delta[i]), layers, layout.classes), beta, train);
+            const minus = datasetLoss(layout, unflatten(vector.map((x, i) => x - perturbation * delta[i]), layers, layout.classes), beta, train);
+            loss = (plus + minus) / 2;
+            vector = vector.map((x, i) => x - gain * (plus - minus) / (2 * perturbation * delta[i]));
+            if (iterations % 100 === 0) progress(iterations, loss);
+        }
+        iterations = settings.steps;
+    }
+
+    const model = {
+        size: geometry.size,
+        winLength: geometry.winLength,
+        layers,
+        beta,
+        params: params(),
+        training: {
+            optimizer,
+            iterations,
+            rate,
+            holdout,
+            seed,
+            positions: { train: train.length, holdout: test.length },
+            loss: datasetLoss(layout, params(), beta, train)
+        }
+    };
+    model.report = policyReport(model, { holdout, seed });
+    return model;
+}
+
+/**
+ * How a model plays compared with the solved game.
+ *
+ * @param {Object} model - As trainPolicy returns (or loadModel)
+ * @param {Object} options - { holdout, seed } of the split to report on
+ *                           (default: the model's own)
+ * @returns {Object} { accuracy: { train, holdout, all }, heuristic: { ... },
+ *                   random: { ... }, blunders: { X, O }, positions }
+ */
+function policyReport(model, options = {}) {
+    const training = model.training || {};
+    const holdout = options.holdout !== undefined ? options.holdout : training.holdout || 0;
+    const seed = options.seed !== undefined ? options.seed : training.seed;
+    const geometry = CLASSIC;
+    const layout = circuitLayout(geometry);
+    const all = solvedPositions(geometry);
+    const { train, test } = splitPositions(all, holdout, seed);
+    const pick = policyPick(layout, model.params, model.beta);
+    const heuristic = (board, side) => chooseMove(board, side, "heuristic", { geometry }).chosenCell;
+
+    const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+    const sets = { train, holdout: test, all };
+    const table = measure => Object.fromEntries(Object.entries(sets).map(([name, set]) => [name, round(measure(set))]));
+
+    // Blunders as each side against every reply, like `node audit.js`
+    const blunders = {};
+    ['X', 'O'].forEach(side => {
+        blunders[side] = auditEngine({
+            side,
+            chooseMove: (board, toMove) => ({ chosenCell: pick(board, toMove), moveAnalysis: [] })
+        }).blunders.length;
+    });
+
+    return {
+        positions: all.length,
+        accuracy: table(set => accuracy(set, pick)),
+        heuristic: table(set => accuracy(set, heuristic)),
+        random: table(set => (set.length === 0 ? null
+            : set.reduce((sum, p) => sum + p.best.length / p.board.filter(c => c === null).length, 0) / set.length)),
+        blunders
+    };
+}
+
+/**
+ * Plain-text report.
+ */
+function formatReport(model) {
+    const { report, training } = model;
+    const percent = value => (value === null ? "-" : `${(value * 100).toFixed(1)}%`);
+    const row = (label, values) =>
+        `  ${label.padEnd(12)} ${percent(values.train).padStart(7)} ${percent(values.holdout).padStart(8)} ${percent(values.all).padStart(7)}`;
+
+    const lines = [];
+    if (training) {
+        lines.push(`Variational policy: ${model.layers} layers, ${training.optimizer}, ${training.iterations} iterations, ` +
+            `loss ${training.loss.toFixed(3)}`);
+    }
+    lines.push(`Best move played in ${report.positions} solved positions:`);
+    lines.push(`  ${"".padEnd(12)} ${"train".padStart(7)} ${"holdout".padStart(8)} ${"all".padStart(7)}`);
+    lines.push(row("variational", report.accuracy));
+    lines.push(row("heuristic", report.heuristic));
+    lines.push(row("random", report.random));
+    lines.push(`Audit blunders: ${report.blunders.X} as X, ${report.blunders.O} as O`);
+    return lines.join("\n");
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    const number = value => (value === undefined ? undefined : Number(value));
+
+    if (args.report) {
+        const model = loadModel();
+        model.report = policyReport(model);
+        console.log(args.json ? JSON.stringify(model.report, null, 2) : formatReport(model));
+        return;
+    }
+
+    const model = trainPolicy({
+        optimizer: args.optimizer,
+        layers: number(args.layers),
+        beta: number(args.beta),
+        epochs: number(args.epochs),
+        steps: number(args.steps),
+        rate: number(args.rate),
+        holdout: number(args.holdout),
+        seed: number(args.seed),
+        onProgress: args.json ? undefined : ({ iteration, loss, accuracy: acc }) =>
+            console.log(`${String(iteration).padStart(5)}: loss ${loss.toFixed(4)}, train accuracy ${(acc * 100).toFixed(1)}%`)
+    });
+
+    saveModel(model, args.out || MODEL_PATH);
+    console.log(args.json ? JSON.stringify(model.report, null, 2) : formatReport(model));
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        if (!(error instanceof RuleError)) throw error;
+        console.error(`${error.code}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { solvedPositions, splitPositions, trainPolicy, policyReport, formatReport, lossGradient, OPTIMIZERS };
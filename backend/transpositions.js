@@ -0,0 +1,158 @@
+// ============================================================================
+// TRANSPOSITION TABLES: Symmetry-Aware Caches for the Engines
+// ============================================================================
+// The engines keep evaluating the same positions: every request re-scores
+// every candidate, the heuristic engine simulates one circuit per candidate
+// plus one for its pick, and a position rotated or mirrored is worth exactly
+// the same as the original. These tables remember results by a key that is
+// the same for all 8 symmetric versions of a board (its canonical form: the
+// smallest of the 8 as a string).
+//
+// A table is a bounded Map: when it's full the oldest entry is dropped.
+// Caching can be switched off as a whole (benchmark.js compares both).
+// ============================================================================
+
+// Entries per table before the oldest ones are dropped
+const DEFAULT_LIMIT = 100000;
+
+// name -> table, for stats and clearing
+const tables = new Map();
+
+let enabled = true;
+
+/**
+ * Turn caching on or off for every table. Turning it off also empties them.
+ */
+function setCaching(on) {
+    enabled = Boolean(on);
+    if (!enabled) clearTables();
+}
+
+function isCaching() {
+    return enabled;
+}
+
+/**
+ * Create (or return) the named table.
+ *
+ * @param {string} name - Table name, shown in tableStats
+ * @param {number} limit - Maximum entries
+ * @returns {Object} { get(key), set(key, value) }
+ */
+function createTable(name, limit = DEFAULT_LIMIT) {
+    if (tables.has(name)) return tables.get(name);
+
+    const entries = new Map();
+    const table = {
+        name,
+        limit,
+        entries,
+        hits: 0,
+        misses: 0,
+
+        get(key) {
+            const value = entries.get(key);
+            if (value === undefined) table.misses++;
+            else table.hits++;
+            return value;
+        },
+
+        set(key, value) {
+            if (entries.size >= limit) entries.delete(entries.keys().next().value);
+            entries.set(key, value);
+        }
+    };
+    tables.set(name, table);
+    return table;
+}
+
+/**
+ * Look `key` up in `table`, computing and storing it on a miss.
+ * With caching off this is just compute().
+ */
+function remember(table, key, compute) {
+    if (!enabled) return compute();
+
+    let value = table.get(key);
+    if (value === undefined) {
+        value = compute();
+        table.set(key, value);
+    }
+    return value;
+}
+
+/**
+ * Apply a symmetry to a board: the result has board[i] at symmetry[i].
+ */
+function transformBoard(board, symmetry) {
+    const result = Array(board.length);
+    board.forEach((cell, i) => {
+        result[symmetry[i]] = cell;
+    });
+    return result;
+}
+
+function boardKey(board) {
+    return board.map(cell => cell || '-').join("");
+}
+
+/**
+ * Canonical form of a board, optionally with one marked cell (a candidate
+ * move) that has to move along with it.
+ *
+ * @param {Array} board - Board to reduce
+ * @param {Object} geometry - Board shape (its `symmetries` are used)
+ * @param {number} cell - Optional cell carried through the symmetry
+ * @returns {Object} { key, board, symmetry, cell } where board is the
+ *                   canonical board, symmetry takes the original's cells to
+ *                   it and cell is the marked cell's canonical index
+ */
+function canonicalize(board, geometry, cell) {
+    let best = null;
+
+    for (const symmetry of geometry.symmetries) {
+        const transformed = transformBoard(board, symmetry);
+        const key = cell === undefined
+            ? boardKey(transformed)
+            : `${boardKey(transformed)}@${symmetry[cell]}`;
+        if (best === null || key < best.key) {
+            best = { key, board: transformed, symmetry, cell: cell === undefined ? undefined : symmetry[cell] };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Size and hit rate of every table.
+ */
+function tableStats() {
+    return [...tables.values()].map(table => ({
+        name: table.name,
+        entries: table.entries.size,
+        limit: table.limit,
+        hits: table.hits,
+        misses: table.misses,
+        hitRate: table.hits + table.misses === 0 ? 0 : table.hits / (table.hits + table.misses)
+    }));
+}
+
+function clearTables() {
+    tables.forEach(table => {
+        table.entries.clear();
+        table.hits = 0;
+        table.misses = 0;
+    });
+}
+
+module.exports = {
+    createTable,
+    remember,
+    canonicalize,
+    transformBoard,
+    boardKey,
+    setCaching,
+    isCaching,
+    tableStats,
+    clearTables
+};
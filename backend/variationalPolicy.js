@@ -0,0 +1,311 @@
+// ============================================================================
+// VARIATIONAL POLICY: A Trained Circuit That Picks Moves
+// ============================================================================
+// The encoders (encoders.js) use fixed angles, so their features only nudge
+// the heuristic. This circuit has trainable angles instead and is the whole
+// policy: one qubit per cell, and for the side to move each cell is
+// x = +1 (mine), -1 (theirs) or 0 (empty). Every layer applies
+//   RY(a * x_i + b)   to each qubit i     (the board, re-uploaded)
+//   CZ(i, j)          for cells next to each other on a win line
+//   RY(w)             to each qubit
+// and afterwards P_i = P(qubit i = |1>) is cell i's appeal. The move
+// probabilities are softmax(beta * P) over the empty cells.
+//
+// a, b and w are shared by cells that are symmetric images of each other
+// (corners, edges and the center on 3×3), so the policy treats rotated or
+// mirrored boards alike and needs few parameters. trainVariational.js fits
+// them to solved positions and writes them to a model file.
+//
+// RY and CZ keep every amplitude real, so the circuit is simulated here
+// directly as a vector of 2^cells numbers: training runs it millions of
+// times, far too often for quantum-circuit's general simulator.
+//
+// The model is read from backend/models/variational.json unless
+// VARIATIONAL_MODEL points elsewhere.
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { RuleError, CLASSIC, createGeometry } = require("./gameRules");
+const { boardFeatures } = require("./quantumEngine");
+const { defaultEncoderFor } = require("./encoders");
+
+const MODEL_PATH = process.env.VARIATIONAL_MODEL || path.join(__dirname, "models", "variational.json");
+
+// Qubits the direct simulation handles comfortably
+const MAX_CELLS = 16;
+
+// Loaded on first use
+let model = null;
+
+/**
+ * The circuit's layout for a board shape: which parameter class each cell
+ * uses, and the CZ pairs.
+ *
+ * @returns {Object} { cells, classOf, classes, pairs, czSign }
+ */
+function circuitLayout(geometry) {
+    if (geometry.cells > MAX_CELLS) {
+        throw new RuleError("INVALID_SIZE", `The variational circuit needs one qubit per cell (max ${MAX_CELLS})`);
+    }
+
+    // Cells that some symmetry swaps share a class
+    const classOf = Array(geometry.cells).fill(-1);
+    let classes = 0;
+    for (let cell = 0; cell < geometry.cells; cell++) {
+        if (classOf[cell] !== -1) continue;
+        geometry.symmetries.forEach(symmetry => {
+            classOf[symmetry[cell]] = classes;
+        });
+        classes++;
+    }
+
+    const seen = new Set();
+    const pairs = [];
+    geometry.lines.forEach(line => {
+        for (let k = 1; k < line.length; k++) {
+            const [i, j] = [Math.min(line[k - 1], line[k]), Math.max(line[k - 1], line[k])];
+            if (!seen.has(`${i},${j}`)) {
+                seen.add(`${i},${j}`);
+                pairs.push([i, j]);
+            }
+        }
+    });
+
+    // The CZs all commute: together they flip the sign of every basis state
+    // with an odd number of pairs whose qubits are both |1>
+    const czSign = new Float64Array(1 << geometry.cells);
+    for (let state = 0; state < czSign.length; state++) {
+        const both = pairs.filter(([i, j]) => (state >> i) & (state >> j) & 1).length;
+        czSign[state] = both % 2 === 0 ? 1 : -1;
+    }
+
+    return { cells: geometry.cells, classOf, classes, pairs, czSign };
+}
+
+/**
+ * Fresh parameters: small random angles from `rng`.
+ *
+ * @returns {Object} { a, b, w } as [layer][class]
+ */
+function initialParams(layout, layers, rng) {
+    const angles = scale => Array.from({ length: layers }, () =>
+        Array.from({ length: layout.classes }, () => (rng() * 2 - 1) * scale));
+    return { a: angles(Math.PI / 2), b: angles(0.1), w: angles(Math.PI / 4) };
+}
+
+/**
+ * Board from the point of view of `side`: +1 mine, -1 theirs, 0 empty.
+ */
+function boardInput(board, side) {
+    return board.map(cell => (cell === null ? 0 : cell === side ? 1 : -1));
+}
+
+function applyRy(amplitudes, qubit, theta) {
+    const c = Math.cos(theta / 2);
+    const s = Math.sin(theta / 2);
+    const bit = 1 << qubit;
+    for (let i = 0; i < amplitudes.length; i++) {
+        if (i & bit) continue;
+        const zero = amplitudes[i];
+        const one = amplitudes[i | bit];
+        amplitudes[i] = c * zero - s * one;
+        amplitudes[i | bit] = s * zero + c * one;
+    }
+}
+
+/**
+ * The RY angles of every gate, in circuit order. Each gate is
+ * { qubit, angle, layer, cls, x } (x is null for the trainable-only layer).
+ */
+function gateAngles(layout, params, input) {
+    const gates = [];
+    for (let layer = 0; layer < params.a.length; layer++) {
+        for (let qubit = 0; qubit < layout.cells; qubit++) {
+            const cls = layout.classOf[qubit];
+            gates.push({ qubit, layer, cls, x: input[qubit], angle: params.a[layer][cls] * input[qubit] + params.b[layer][cls] });
+        }
+        gates.push(null);  // The CZ layer
+        for (let qubit = 0; qubit < layout.cells; qubit++) {
+            const cls = layout.classOf[qubit];
+            gates.push({ qubit, layer, cls, x: null, angle: params.w[layer][cls] });
+        }
+    }
+    return gates;
+}
+
+function applyGate(layout, amplitudes, gate, shift = 0) {
+    if (gate === null) {
+        for (let state = 0; state < amplitudes.length; state++) amplitudes[state] *= layout.czSign[state];
+    } else {
+        applyRy(amplitudes, gate.qubit, gate.angle + shift);
+    }
+}
+
+/**
+ * The state before each gate, so that runGates can replay only the gates
+ * from a shifted one onwards.
+ */
+function gateStates(layout, gates) {
+    const amplitudes = new Float64Array(1 << layout.cells);
+    amplitudes[0] = 1;
+    return gates.map(gate => {
+        const before = Float64Array.from(amplitudes);
+        applyGate(layout, amplitudes, gate);
+        return before;
+    });
+}
+
+/**
+ * Run the gates (one of them optionally shifted by `shift`) and return
+ * P(qubit i = |1>) for every qubit. With `states` from gateStates, the run
+ * starts at the shifted gate.
+ */
+function runGates(layout, gates, shifted = -1, shift = 0, states = null) {
+    const from = states && shifted >= 0 ? shifted : 0;
+    const amplitudes = from > 0 ? Float64Array.from(states[from]) : new Float64Array(1 << layout.cells);
+    if (from === 0) amplitudes[0] = 1;
+
+    for (let index = from; index < gates.length; index++) {
+        applyGate(layout, amplitudes, gates[index], index === shifted ? shift : 0);
+    }
+
+    const ones = Array(layout.cells).fill(0);
+    amplitudes.forEach((amp, state) => {
+        const prob = amp * amp;
+        if (prob === 0) return;
+        for (let q = 0; q < layout.cells; q++) {
+            if ((state >> q) & 1) ones[q] += prob;
+        }
+    });
+    return ones;
+}
+
+/**
+ * Move probabilities over the empty cells: softmax(beta * P).
+ *
+ * @returns {Array} [{ cellIndex, appeal, probability }] in cell order
+ */
+function policyFromAppeal(board, appeal, beta) {
+    const empty = [];
+    board.forEach((cell, i) => {
+        if (cell === null) empty.push(i);
+    });
+    const max = Math.max(...empty.map(i => appeal[i]));
+    const weights = empty.map(i => Math.exp(beta * (appeal[i] - max)));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return empty.map((cellIndex, k) => ({ cellIndex, appeal: appeal[cellIndex], probability: weights[k] / total }));
+}
+
+/**
+ * The policy of a set of parameters for one position.
+ *
+ * @returns {Array} As policyFromAppeal
+ */
+function evaluatePolicy(layout, params, beta, board, side) {
+    return policyFromAppeal(board, runGates(layout, gateAngles(layout, params, boardInput(board, side))), beta);
+}
+
+/**
+ * The trained model (see trainVariational.js), loaded once.
+ *
+ * @throws {RuleError} MODEL_NOT_FOUND if nothing has been trained yet
+ */
+function loadModel() {
+    if (model) return model;
+    if (!fs.existsSync(MODEL_PATH)) {
+        throw new RuleError("MODEL_NOT_FOUND",
+            `No variational model at ${MODEL_PATH}; train one with node trainVariational.js`);
+    }
+    model = JSON.parse(fs.readFileSync(MODEL_PATH, "utf8"));
+    return model;
+}
+
+/**
+ * Save a trained model and use it from now on.
+ */
+function saveModel(trained, file = MODEL_PATH) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(trained, null, 2) + "\n");
+    if (file === MODEL_PATH) model = trained;
+}
+
+/**
+ * Choose a move with the trained circuit: the most probable cell.
+ *
+ * @param {Array} boardState - Current board state
+ * @param {string} side - Symbol the engine plays
+ * @param {Object} options - { encoder, geometry, noise } for the displayed
+ *                           features
+ * @returns {Object} simulateQuantumMove-shaped result; each candidate's
+ *                   score is its move probability in percent, with its
+ *                   `appeal` (P(|1>) of its qubit) alongside
+ * @throws {RuleError} MODEL_NOT_FOUND, INVALID_SIZE if the model was trained
+ *                     for another board, GAME_OVER
+ */
+function variationalMove(boardState, side = 'O', options = {}) {
+    const geometry = options.geometry || CLASSIC;
+    const encoderName = options.encoder || defaultEncoderFor(geometry);
+    const trained = loadModel();
+    if (createGeometry(trained.size, trained.winLength) !== geometry) {
+        throw new RuleError("INVALID_SIZE",
+            `The variational model was trained for ${trained.size}×${trained.size} with ${trained.winLength} in a row`);
+    }
+    if (!boardState.includes(null)) {
+        throw new RuleError("GAME_OVER", "No empty cells left to play");
+    }
+
+    const policy = evaluatePolicy(circuitLayout(geometry), trained.params, trained.beta, boardState, side);
+    const moveAnalysis = policy.map(({ cellIndex, appeal, probability }) => {
+        const testBoard = [...boardState];
+        testBoard[cellIndex] = side;
+        const features = boardFeatures(testBoard, encoderName, geometry, options.noise);
+        return {
+            cellIndex,
+            score: probability * 100,
+            appeal,
+            probability,
+            entropy: features.entropy,
+            purity: features.purity,
+            strategy: 'variational'
+        };
+    });
+
+    // Ties keep cell order, like the other engines
+    moveAnalysis.sort((a, b) => b.probability - a.probability);
+
+    const chosenMove = moveAnalysis[0];
+    const finalBoard = [...boardState];
+    finalBoard[chosenMove.cellIndex] = side;
+    const finalFeatures = boardFeatures(finalBoard, encoderName, geometry, options.noise);
+
+    return {
+        chosenCell: chosenMove.cellIndex,
+        moveAnalysis: moveAnalysis,
+        symbol: side,
+        encoder: encoderName,
+        rawQuantumResult: {
+            measured: `Variational circuit, ${trained.params.a.length} layers`,
+            classicalRegister: chosenMove.cellIndex,
+            probabilities: finalFeatures.probabilities.slice(0, 16),
+            entropy: finalFeatures.entropy.toFixed(3),
+            purity: finalFeatures.purity.toFixed(3),
+            quantumState: `Variational: P(|1>) ${chosenMove.appeal.toFixed(3)} | Cell ${chosenMove.cellIndex} | Probability: ${(chosenMove.probability * 100).toFixed(1)}%`
+        }
+    };
+}
+
+module.exports = {
+    MODEL_PATH,
+    circuitLayout,
+    initialParams,
+    boardInput,
+    gateAngles,
+    gateStates,
+    runGates,
+    policyFromAppeal,
+    evaluatePolicy,
+    loadModel,
+    saveModel,
+    variationalMove
+};
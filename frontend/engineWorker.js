@@ -0,0 +1,57 @@
+// ============================================================================
+// ENGINE WORKER: The Classic Game and Its AI Running in the Browser
+// ============================================================================
+// Used by script.js in local mode, or when the server stops answering. It
+// loads the backend's rules and heuristic engine as one script
+// (backend/bundle.js, served as /engine.bundle.js) when the page opens, so
+// it keeps working after the server goes away. The circuits are simulated
+// here, off the page's thread.
+//
+// Request:  { id, state, move, ai, size, winLength, encoder, noise } where
+//           state is { board, turn, result } and move { cell, symbol } is
+//           the human's move (null to let the AI open)
+// Reply:    { id, state, moves, analysis } with the human's move and the
+//           AI's reply applied, moves as [{ cell, player }] and analysis what
+//           the server's engines return (null if the AI didn't move),
+//           or { id, error: { code, message } }
+// ============================================================================
+
+importScripts("engine.bundle.js");
+
+self.onmessage = (event) => {
+    const { id, move, ai, size = 3, winLength, encoder, noise } = event.data;
+    let { state } = event.data;
+
+    try {
+        // The same rules the server's game sessions apply
+        const geometry = GameRules.createGeometry(size, winLength);
+        const moves = [];
+        if (move) {
+            state = GameRules.applyMove(state, move.cell, move.symbol, geometry);
+            moves.push({ cell: move.cell, player: move.symbol });
+        }
+
+        let analysis = null;
+        if (!state.result && state.turn === ai) {
+            const model = Noise.checkNoise(noise);
+            analysis = QuantumEngine.simulateQuantumMove(state.board, ai, {
+                encoder: encoder || undefined,
+                geometry,
+                noise: model
+            });
+            analysis.engine = "heuristic-quantum";
+            state = GameRules.applyMove(state, analysis.chosenCell, ai, geometry);
+            moves.push({ cell: analysis.chosenCell, player: ai });
+
+            if (model) {
+                // As the server's runEngine reports it
+                const distance = QuantumEngine.boardFeatures(state.board, analysis.encoder, geometry, model).noise;
+                analysis.noise = { ...model, ...distance };
+            }
+        }
+
+        self.postMessage({ id, state, moves, analysis });
+    } catch (error) {
+        self.postMessage({ id, error: { code: error.code || "ENGINE_ERROR", message: error.message } });
+    }
+};
@@ -2,7 +2,14 @@
 // QUANTUM TIC-TAC-TOE - FRONTEND GAME LOGIC
 // ============================================================================
 // This handles the user interface and game flow for quantum tic-tac-toe.
-// The human player is always 'X', and the quantum AI plays as 'O'.
+// The human picks a side (X by default) and the quantum AI plays the other.
+// Either side can move first.
+// In the quantum variant each move is a spooky mark in two cells; the
+// rules live on the server in backend/quantumRules.js. In the gates variant
+// each cell is a qubit and each move a gate (backend/gateRules.js).
+// Two people can also play each other in a room (see MULTIPLAYER ROOMS).
+// Classic games can also run without the server, with the engine in a Web
+// Worker (see LOCAL ENGINE).
 // ============================================================================
 
 // ============================================================================
@@ -17,6 +24,41 @@ let gameBoard = Array(9).fill(null);  // Current board: 'X', 'O', or null
 let moveCount = 0;  // Total moves played (used for labeling)
 let isProcessing = false;  // Prevents clicks during AI's turn
 
+// Quantum (spooky-mark) variant state
+let variant = "classic";  // 'classic', 'quantum' or 'gates'
+let size = 3;  // Board width and height (classic only)
+let winLength = 3;  // Marks in a row needed to win
+let quantumState = null;  // Last state returned by the server
+let selectedCell = null;  // First half of a spooky mark (or a CNOT's control) being placed
+let gate = "X";  // Gate the palette applies in the gates variant
+let firstPlayer = 'X';  // Who opened the game on the board (needed to analyze it)
+let showEvaluation = false;  // Color every cell by its value after each move
+let showCircuit = false;  // Ask for the encoding circuit with each AI move
+
+let gameId = null;  // Server-side game this page is playing
+let previousGameId = null;  // Last game, still on the server for export after a reset
+
+// Sides (changed from the controls above the board)
+let humanSide = 'X';  // Symbol the human plays
+let aiSide = 'O';  // Symbol the quantum AI plays
+let aiFirst = false;  // AI makes the opening move
+let engine = "heuristic-quantum";  // Classic AI engine (see /api/engines), sent with every move
+let shots = 1024;  // Measurements per move for engines that sample a circuit
+let seed = null;  // Fixed seed makes a game reproducible (null = random)
+let encoder = null;  // Board encoder for the quantum features (null = server's default for the board)
+let noise = null;  // Simulated hardware noise { depolarizing, amplitudeDamping, readout } (null = ideal)
+
+// Multiplayer (null = playing the AI)
+let room = null;  // { code, side, token, latest } - side is null for spectators
+let socket = null;  // WebSocket to /ws while in a room
+
+// Replay viewer (null = playing)
+let replay = null;  // /api/records/replay response plus the ply on the board
+
+// Engine in the browser (null = the server runs the game)
+let localMode = false;  // Play in the browser even while the server is up
+let localGame = null;  // { firstPlayer, state, history, reason } of a game the browser runs
+
 // ============================================================================
 // CREATE QUANTUM INFO DISPLAY PANEL
 // ============================================================================
@@ -31,15 +73,496 @@ infoDiv.innerHTML = "<h3>🧠 Click any cell to start. You are X!</h3>";
 document.body.appendChild(infoDiv);
 
 // ============================================================================
-// CREATE THE 3×3 GAME BOARD
+// CREATE THE N×N GAME BOARD
+// ============================================================================
+/**
+ * Generate size×size clickable cells, shrinking them so the board
+ * stays 300px wide.
+ */
+function buildBoard() {
+    const cellSize = Math.floor(300 / size);
+    board.innerHTML = "";
+    board.style.gridTemplateColumns = `repeat(${size}, ${cellSize}px)`;
+    board.style.setProperty("--cell-size", `${cellSize}px`);
+
+    for (let i = 0; i < size * size; i++) {
+        const cell = document.createElement("div");
+        cell.className = "cell";
+        cell.dataset.index = i;  // Store cell index (0 to size²-1)
+        cell.onclick = () => variant === "quantum" ? makeQuantumMove(i)
+            : variant === "gates" ? makeGateMove(i)
+            : makeMove(i, cell);
+        board.appendChild(cell);
+    }
+}
+
+buildBoard();
+
+// Switching variant, board or sides starts a new game
+document.getElementById("variant").onchange = (event) => {
+    variant = event.target.value;
+    resetGame();
+};
+
+// "4,4" = 4×4 board, 4 in a row. Spooky marks and gates are 3×3 only.
+document.getElementById("size").onchange = (event) => {
+    [size, winLength] = event.target.value.split(",").map(Number);
+    updateVariantOptions();
+
+    // Encoders that fit the old board may not fit this one
+    encoder = null;
+    buildBoard();
+    loadEncoders();
+    resetGame();
+};
+
+/**
+ * Spooky marks and gates need a 3×3 board and the server: offer only the
+ * classic variant otherwise.
+ */
+function updateVariantOptions() {
+    const serverOnly = size !== 3 || localMode;
+    const variantSelect = document.getElementById("variant");
+    variantSelect.querySelectorAll('option:not([value="classic"])').forEach(option => {
+        option.disabled = serverOnly;
+    });
+    if (serverOnly && variant !== "classic") {
+        variant = variantSelect.value = "classic";
+    }
+}
+
+// Local mode plays classic games in the browser (see LOCAL ENGINE below)
+document.getElementById("local-mode").onchange = (event) => {
+    localMode = event.target.checked;
+    updateVariantOptions();
+    resetGame();
+};
+
+document.getElementById("side").onchange = (event) => {
+    humanSide = event.target.value;
+    aiSide = humanSide === 'X' ? 'O' : 'X';
+    resetGame();
+};
+
+document.getElementById("ai-first").onchange = (event) => {
+    aiFirst = event.target.checked;
+    resetGame();
+};
+
+// The palette's gate applies to the next click
+document.querySelectorAll("#gate-palette button").forEach(button => {
+    button.onclick = () => {
+        gate = button.dataset.gate;
+        selectedCell = null;
+        document.querySelectorAll("#gate-palette button").forEach(b => b.classList.toggle("active", b === button));
+        document.getElementById("gate-hint").textContent = gate === "CNOT" ? "Pick the control, then the target" : "";
+        if (quantumState && variant === "gates") renderGateBoard();
+    };
+});
+
+// The engine applies from the next AI move, no restart needed
+document.getElementById("engine").onchange = (event) => {
+    engine = event.target.value;
+};
+
+// Shots and seed belong to the game, so changing them starts a new one
+document.getElementById("shots").onchange = (event) => {
+    shots = parseInt(event.target.value, 10) || 1024;
+    resetGame();
+};
+
+document.getElementById("seed").onchange = (event) => {
+    seed = event.target.value === "" ? null : parseInt(event.target.value, 10);
+    resetGame();
+};
+
+document.getElementById("encoder").onchange = (event) => {
+    encoder = event.target.value;
+    resetGame();
+};
+
+// Noise rates are typed in percent; all blank or 0 is an ideal simulator
+document.querySelectorAll(".noise-rate").forEach(input => {
+    input.onchange = () => {
+        const rates = {};
+        document.querySelectorAll(".noise-rate").forEach(rate => {
+            const percent = parseFloat(rate.value);
+            if (percent > 0) rates[rate.id.replace("noise-", "")] = Math.min(percent, 100) / 100;
+        });
+        noise = Object.keys(rates).length > 0 ? rates : null;
+        resetGame();
+    };
+});
+
+/**
+ * Fill the encoder picker from the server, with what each one means as a
+ * tooltip. Encoders too wide to simulate on this board are disabled.
+ */
+function loadEncoders() {
+    fetch(`/api/encoders?size=${size}&winLength=${winLength}`)
+        .then(res => res.json())
+        .then(encoders => {
+            const select = document.getElementById("encoder");
+            select.innerHTML = "";
+            encoders.forEach(({ name, qubits, available, description, features }) => {
+                const option = document.createElement("option");
+                option.value = name;
+                option.textContent = `${name} (${qubits} qubits)`;
+                option.title = `${description}\nEntropy: ${features.entropy}\nPurity: ${features.purity}`;
+                option.disabled = !available;
+                select.appendChild(option);
+            });
+            if (encoder) select.value = encoder;
+        })
+        .catch(error => console.error("Could not load encoders:", error));
+}
+
+/**
+ * Fill the engine picker from the server's registry, with each engine's
+ * description and options as a tooltip.
+ */
+function loadEngines() {
+    fetch("/api/engines")
+        .then(res => res.json())
+        .then(engines => {
+            const select = document.getElementById("engine");
+            select.innerHTML = "";
+            engines.forEach(({ name, description, options }) => {
+                const option = document.createElement("option");
+                option.value = name;
+                option.textContent = name;
+                const settings = Object.entries(options)
+                    .map(([option, spec]) => `${option}: ${spec.description}`);
+                option.title = [description, ...settings].join("\n");
+                select.appendChild(option);
+            });
+            select.value = engine;
+        })
+        .catch(error => console.error("Could not load engines:", error));
+}
+
+loadEncoders();
+loadEngines();
+
+// Open a server-side game for the first board
+startGame();
+
+// Room buttons (see MULTIPLAYER ROOMS below)
+document.getElementById("create-room").onclick = createRoom;
+document.getElementById("join-room").onclick = () => joinRoom(document.getElementById("room-code").value, "player");
+document.getElementById("watch-room").onclick = () => joinRoom(document.getElementById("room-code").value, "spectator");
+document.getElementById("leave-room").onclick = () => {
+    leaveRoom();
+    resetGame();
+};
+document.getElementById("rematch").onclick = () => sendRoomMessage({ type: "rematch" });
+
+// Takebacks and the move list (see MOVE HISTORY below)
+document.getElementById("new-game").onclick = resetGame;
+document.getElementById("undo").onclick = () => navigate("undo");
+document.getElementById("redo").onclick = () => navigate("redo");
+document.getElementById("move-list").onclick = (event) => {
+    const node = event.target.dataset.node;
+    if (node !== undefined) navigate("goto", { node: Number(node) });
+};
+document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.target.tagName === "INPUT") return;
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) navigate("undo");
+    else if (key === "y" || (key === "z" && event.shiftKey)) navigate("redo");
+    else return;
+    event.preventDefault();
+});
+
+// Circuit diagram and basis-state histogram with each AI move (see CIRCUIT DISPLAY below)
+document.getElementById("show-circuit").onchange = (event) => {
+    showCircuit = event.target.checked;
+};
+
+// Hints and the evaluation overlay (see POSITION ANALYSIS below)
+document.getElementById("hint").onclick = showHint;
+document.getElementById("show-eval").onchange = (event) => {
+    showEvaluation = event.target.checked;
+    if (showEvaluation) updateEvaluation();
+    else clearEvaluation();
+};
+
+// Game records (see GAME RECORDS below)
+document.getElementById("export-record").onclick = exportRecord;
+document.getElementById("replay-game").onclick = () => fetchRecord().then(text => text && startReplay(text));
+document.getElementById("import-button").onclick = () => document.getElementById("import-record").click();
+document.getElementById("import-record").onchange = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";  // Importing the same file twice still fires
+    if (file) file.text().then(startReplay);
+};
+document.getElementById("replay-first").onclick = () => showReplayPly(0);
+document.getElementById("replay-prev").onclick = () => showReplayPly(replay.ply - 1);
+document.getElementById("replay-next").onclick = () => showReplayPly(replay.ply + 1);
+document.getElementById("replay-last").onclick = () => showReplayPly(replay.plies.length);
+document.getElementById("replay-slider").oninput = (event) => showReplayPly(Number(event.target.value));
+document.getElementById("replay-exit").onclick = resetGame;
+
+// Finished games (see STATS below)
+document.getElementById("show-stats").onclick = toggleStats;
+document.getElementById("stats-this-board").onchange = loadStats;
+
+// A shared link (#room=CODE) joins that room
+const sharedRoom = location.hash.match(/room=([A-Z0-9]+)/i);
+if (sharedRoom) joinRoom(sharedRoom[1], "player");
+
+// ============================================================================
+// GAME SESSION: The Server Owns the Board
+// ============================================================================
+/**
+ * Ask the server for a new game of the current variant.
+ * Every move afterwards goes to /api/games/:id/moves.
+ * In local mode, or if the server can't be reached, a classic game is
+ * played in the browser instead.
+ */
+async function startGame() {
+    isProcessing = true;
+
+    try {
+        if (localMode) {
+            await startLocalGame("local mode");
+            isProcessing = false;
+            return;
+        }
+
+        const res = await fetch("/api/games", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                variant, size, winLength, humanSide, aiFirst, engine, shots, seed,
+                encoder: encoder || undefined, noise: noise || undefined, circuit: showCircuit
+            }),
+        });
+        const data = await res.json();
+        previousGameId = gameId;
+        gameId = data.game.id;
+        localGame = null;
+        showEngineLocation();
+
+        // Show which encoder the server picked for this board
+        encoder = data.game.engineOptions.encoder;
+        document.getElementById("encoder").value = encoder;
+
+        // The AI may already have opened the game
+        showGameState(data.game);
+        if (data.analysis) {
+            if (variant === "quantum") {
+                displaySpookyInfo(data.analysis, moveCount);
+            } else if (variant === "gates") {
+                displayGateInfo(data.analysis, moveCount);
+            } else {
+                displayQuantumInfo(data.analysis, aiSide, moveCount);
+            }
+        }
+    } catch (error) {
+        console.error("Could not start a game:", error);
+        if (variant === "classic" && engineWorker) {
+            await startLocalGame("server unreachable");
+        } else {
+            alert("Quantum engine unreachable! Reload to try again.");
+        }
+    }
+
+    isProcessing = false;
+}
+
+/**
+ * Copy the server's game into the page state and redraw the board.
+ */
+function showGameState(game) {
+    firstPlayer = game.firstPlayer || 'X';
+    renderMoveList(game.moveTree);  // Only server games with us vs the AI have one
+    document.getElementById("gate-palette").hidden = game.variant !== "gates";
+    if (game.variant === "gates") {
+        quantumState = game.state;
+        moveCount = quantumState.moveNumber - 1;
+        renderGateBoard();
+    } else if (game.variant === "quantum") {
+        quantumState = game.state;
+        moveCount = quantumState.moveNumber - 1;
+        renderQuantumBoard();
+    } else {
+        gameBoard = game.state.board;
+        moveCount = game.history.length;
+        renderClassicBoard();
+    }
+}
+
+/**
+ * Send one move to the server for the current game, or to the browser's
+ * engine for a local game. A classic game whose server stops answering
+ * (or fails) carries on locally from the board on screen.
+ *
+ * @param {Object} move - { cell } for classic, { action } for quantum
+ * @returns {Object} { game, analysis } on success, or { error } if the
+ *                   move was rejected
+ */
+async function sendMove(move) {
+    if (localGame) return playLocalMove(move.cell);
+
+    try {
+        const res = await fetch(`/api/games/${gameId}/moves`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ...move, circuit: showCircuit }),
+        });
+        if (res.status >= 500) throw new Error(`Server error ${res.status}`);
+        return res.json();
+    } catch (error) {
+        if (move.cell === undefined || !engineWorker) throw error;
+        console.error("Server failed, playing on in the browser:", error);
+        await startLocalGame("server unreachable", gameBoard);
+        return playLocalMove(move.cell);
+    }
+}
+
+// ============================================================================
+// LOCAL ENGINE: Classic Games Without the Server
+// ============================================================================
+// engineWorker.js runs the backend's rules and heuristic engine (bundled by
+// backend/bundle.js) in a Web Worker. It's started when the page opens, so
+// it has the engine before the server might go away. A local game keeps its
+// state here in the same shape as a server game, so the board, analysis and
+// result are drawn the same way; takebacks, records and stats need the server.
 // ============================================================================
-// Generate 9 clickable cells for the tic-tac-toe board
-for (let i = 0; i < 9; i++) {
-    const cell = document.createElement("div");
-    cell.className = "cell";
-    cell.dataset.index = i;  // Store cell index (0-8)
-    cell.onclick = () => makeMove(i, cell);  // Click handler
-    board.appendChild(cell);
+
+const pendingRequests = new Map();  // Request id -> resolve of its reply
+let nextRequestId = 1;
+let engineWorker = createEngineWorker();
+
+/**
+ * Start the engine worker. Null if the browser has no workers; if the
+ * bundle can't be loaded (the server was already gone) it's dropped again.
+ */
+function createEngineWorker() {
+    if (typeof Worker === "undefined") return null;
+
+    const worker = new Worker("engineWorker.js");
+    worker.onmessage = (event) => {
+        const { id, ...reply } = event.data;
+        const resolve = pendingRequests.get(id);
+        pendingRequests.delete(id);
+        if (resolve) resolve(reply);
+    };
+    worker.onerror = (event) => {
+        console.error("The local engine could not be loaded:", event.message);
+        engineWorker = null;
+        document.getElementById("local-mode").disabled = true;
+        pendingRequests.forEach(resolve => resolve({
+            error: { code: "ENGINE_UNAVAILABLE", message: "The local engine could not be loaded" }
+        }));
+        pendingRequests.clear();
+    };
+    return worker;
+}
+
+/**
+ * Play the human's move (or none, to let the AI open) in the local game and
+ * get the AI's reply from the worker.
+ *
+ * @param {number|null} cell - Cell the human played
+ * @returns {Object} { game, analysis } like the server's answer, or { error }
+ */
+async function playLocalMove(cell) {
+    if (!engineWorker) {
+        return { error: { code: "ENGINE_UNAVAILABLE", message: "The local engine could not be loaded" } };
+    }
+
+    const id = nextRequestId++;
+    const reply = await new Promise(resolve => {
+        pendingRequests.set(id, resolve);
+        engineWorker.postMessage({
+            id,
+            state: localGame.state,
+            move: cell === null || cell === undefined ? null : { cell, symbol: humanSide },
+            ai: aiSide,
+            size,
+            winLength,
+            encoder,
+            noise
+        });
+    });
+    if (reply.error) return reply;
+
+    localGame.state = reply.state;
+    localGame.history.push(...reply.moves);
+    return { game: localGameView(), analysis: reply.analysis };
+}
+
+/**
+ * The local game as a server game, for showGameState and checkWinner.
+ */
+function localGameView() {
+    return {
+        variant: "classic",
+        firstPlayer: localGame.firstPlayer,
+        state: localGame.state,
+        history: localGame.history,
+        result: localGame.state.result
+    };
+}
+
+/**
+ * Run the game in the browser from now on.
+ *
+ * @param {string} reason - Why, for the engine indicator
+ * @param {Array} board - Board of a server game to carry on from, with the
+ *                        human to move (default: a new game, which the AI
+ *                        opens if it moves first)
+ */
+async function startLocalGame(reason, board = null) {
+    if (gameId) previousGameId = gameId;
+    gameId = null;
+
+    if (board) {
+        // Only the marks of the server's game are known, not their order
+        localGame = {
+            firstPlayer,
+            state: { board: [...board], turn: humanSide, result: null },
+            history: board.flatMap((player, cell) => (player ? [{ cell, player }] : [])),
+            reason
+        };
+        showEngineLocation();
+        return;
+    }
+
+    const opener = aiFirst ? aiSide : humanSide;
+    localGame = {
+        firstPlayer: opener,
+        state: { board: Array(size * size).fill(null), turn: opener, result: null },
+        history: [],
+        reason
+    };
+    showEngineLocation();
+    showGameState(localGameView());
+    if (!aiFirst) return;
+
+    const data = await playLocalMove(null);
+    if (data.error) {
+        alert(`Local engine failed: ${data.error.message}`);
+        return;
+    }
+    showGameState(data.game);
+    displayQuantumInfo(data.analysis, aiSide, moveCount);
+}
+
+/**
+ * Say whether the server or this browser is playing the AI.
+ */
+function showEngineLocation() {
+    const indicator = document.getElementById("engine-location");
+    indicator.classList.toggle("local", Boolean(localGame));
+    indicator.textContent = localGame
+        ? `💻 Engine: this browser (${localGame.reason})`
+        : "🖥️ Engine: server";
+    indicator.title = localGame
+        ? "The heuristic-quantum engine runs in a Web Worker; takebacks, records and stats need the server"
+        : "";
 }
 
 // ============================================================================
@@ -47,18 +570,17 @@ for (let i = 0; i < 9; i++) {
 // ============================================================================
 /**
  * Called when user clicks a cell. This function:
- * 1. Places user's 'X' immediately
- * 2. Checks if user won
- * 3. Calls quantum engine to get AI's 'O' move
- * 4. Places AI's move
- * 5. Checks if AI won
+ * 1. Places user's symbol immediately (optimistically)
+ * 2. Sends the move to the server, which checks it and plays the AI's reply
+ * 3. Redraws the board from the server's state
+ * 4. Announces the result if the server says the game is over
  * 
  * @param {number} index - Which cell (0-8) was clicked
  * @param {HTMLElement} cell - The DOM element that was clicked
  */
 async function makeMove(index, cell) {
     // ========================================================================
-    // VALIDATION: Ignore invalid clicks
+    // VALIDATION: Ignore clicks that can't be moves (the server re-checks)
     // ========================================================================
     
     // Can't play on occupied cell
@@ -66,48 +588,25 @@ async function makeMove(index, cell) {
         return;
     }
     
-    // Can't play while AI is thinking
-    if (isProcessing) {
+    // Can't play while AI is thinking, or on a replayed board
+    if (isProcessing || replay) {
         return;
     }
 
-    // ========================================================================
-    // STEP 1: User plays 'X'
-    // ========================================================================
-    
-    gameBoard[index] = 'X';  // Update internal state
-    cell.textContent = 'X';  // Update visual display
-    cell.style.pointerEvents = "none";  // Disable clicking this cell again
-    moveCount++;  // Increment move counter
-
-    // ========================================================================
-    // STEP 2: Check if user won
-    // ========================================================================
-    
-    if (checkWinner()) {
-        setTimeout(() => {
-            alert(`X wins! You beat the quantum engine! 🎉`);
-            resetGame();
-        }, 100);
-        return;  // Game over
+    // In a room the move goes over the socket and comes back to everyone
+    if (room) {
+        if (isRoomTurn()) sendRoomMove({ cell: index });
+        return;
     }
 
     // ========================================================================
-    // STEP 3: Check for draw (board full, no winner)
+    // STEP 1: Show user's symbol right away
     // ========================================================================
     
-    if (gameBoard.every(cell => cell !== null)) {
-        setTimeout(() => {
-            alert("Draw! The quantum engine couldn't beat you! 🌀");
-            resetGame();
-        }, 100);
-        return;  // Game over
-    }
+    cell.textContent = humanSide;
+    cell.style.pointerEvents = "none";
+    clearEvaluation();  // Stale until the server answers
 
-    // ========================================================================
-    // STEP 4: Quantum AI's turn to play 'O'
-    // ========================================================================
-    
     // Prevent user from clicking during AI's turn
     isProcessing = true;
     
@@ -120,63 +619,35 @@ async function makeMove(index, cell) {
 
     try {
         // ====================================================================
-        // API CALL: Send current board to quantum engine
+        // STEP 2: Server validates our move and plays its own
         // ====================================================================
         
-        const res = await fetch("/api/move", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ boardState: gameBoard }),
-        });
-
-        const data = await res.json();  // Get AI's decision
-
-        // Remove "thinking" animation
+        const data = await sendMove({ cell: index, engine });
         tempDiv.remove();
 
-        // Extract AI's chosen cell from response
-        const aiCell = data.chosenCell;
-
-        // ====================================================================
-        // Place AI's 'O' on the board
-        // ====================================================================
-        
-        const chosenCell = document.querySelector(`[data-index="${aiCell}"]`);
-        chosenCell.textContent = 'O';  // Show 'O' visually
-        chosenCell.style.pointerEvents = "none";  // Disable this cell
-
-        // Update internal game state
-        gameBoard[aiCell] = 'O';
-        moveCount++;
+        if (data.error) {
+            alert(`Move rejected: ${data.error.message}`);
+            renderClassicBoard();
+            isProcessing = false;
+            return;
+        }
 
         // ====================================================================
-        // Display quantum analysis to user
+        // STEP 3: Redraw from the server's board
         // ====================================================================
         
-        displayQuantumInfo(data, 'O', moveCount);
+        showGameState(data.game);
 
-        // ====================================================================
-        // Check if AI won
-        // ====================================================================
-        
-        if (checkWinner()) {
-            setTimeout(() => {
-                alert(`O wins! The quantum engine defeated you! 🧠⚛️`);
-                resetGame();
-            }, 100);
-            return;  // Game over
+        if (data.analysis) {
+            displayQuantumInfo(data.analysis, aiSide, moveCount);
         }
 
         // ====================================================================
-        // Check for draw
+        // STEP 4: Game over? The server decides
         // ====================================================================
         
-        if (gameBoard.every(cell => cell !== null)) {
-            setTimeout(() => {
-                alert("Draw! Quantum analysis resulted in a draw! 🌀");
-                resetGame();
-            }, 100);
-            return;  // Game over
+        if (checkWinner(data.game.result)) {
+            return;
         }
 
     } catch (error) {
@@ -188,62 +659,205 @@ async function makeMove(index, cell) {
         console.error("Quantum analysis failed:", error);
         alert("Quantum engine crashed! Try again.");
         
-        // Undo user's move so they can try again
-        gameBoard[index] = null;
-        cell.textContent = "";
-        cell.style.pointerEvents = "auto";
-        moveCount--;
+        // Our move never reached the board, so clear it again
+        renderClassicBoard();
     }
 
     // Re-enable user clicks
     isProcessing = false;
 }
 
+/**
+ * Draw the classic board from `gameBoard`.
+ */
+function renderClassicBoard() {
+    clearEvaluation();
+    document.querySelectorAll(".cell").forEach((cellEl, i) => {
+        cellEl.textContent = gameBoard[i] || "";
+        cellEl.style.pointerEvents = gameBoard[i] ? "none" : "auto";
+    });
+    if (showEvaluation) updateEvaluation();
+}
+
 // ============================================================================
-// DISPLAY QUANTUM ANALYSIS: Show AI's Decision Process
+// QUANTUM VARIANT: Spooky Marks and Collapse
 // ============================================================================
 /**
- * Creates a detailed breakdown of the quantum engine's analysis.
- * Shows all considered moves, their scores, and quantum features.
- * 
- * @param {Object} data - Response from quantum engine API
- * @param {string} symbol - Symbol played ('O')
+ * Click handler for the spooky-mark variant.
+ * - No collapse pending: the first click selects a cell, the second places
+ *   a spooky mark in both (the last open cell takes a single click).
+ * - Collapse pending and it's our choice: the click picks where the
+ *   cycle-closing mark lands.
+ *
+ * @param {number} index - Which cell (0-8) was clicked
+ */
+async function makeQuantumMove(index) {
+    if (isProcessing || replay || (quantumState && quantumState.result) || (room && !isRoomTurn())) {
+        return;
+    }
+
+    const pending = quantumState && quantumState.pendingCollapse;
+
+    if (pending) {
+        if (pending.chooser !== humanSide || !pending.cells.includes(index)) return;
+        await sendQuantumAction({ type: "collapse", cell: index });
+        return;
+    }
+
+    const cells = quantumState ? quantumState.cells : null;
+    if (cells && cells[index].owner !== null) return;
+
+    const openCount = cells ? cells.filter(c => c.owner === null).length : 9;
+    if (openCount === 1) {
+        await sendQuantumAction({ type: "mark", cells: [index] });
+        return;
+    }
+
+    if (selectedCell === null) {
+        selectedCell = index;
+        renderQuantumBoard();
+        return;
+    }
+
+    if (selectedCell === index) {
+        // Clicking the same cell again cancels the selection
+        selectedCell = null;
+        renderQuantumBoard();
+        return;
+    }
+
+    const first = selectedCell;
+    selectedCell = null;
+    await sendQuantumAction({ type: "mark", cells: [first, index] });
+}
+
+/**
+ * Send our action to the server, which checks it, answers with the AI's
+ * actions and returns the new state.
+ */
+async function sendQuantumAction(action) {
+    if (room) {
+        sendRoomMove({ action });
+        return;
+    }
+
+    isProcessing = true;
+
+    const tempDiv = document.createElement("div");
+    tempDiv.style.textAlign = "center";
+    tempDiv.style.marginTop = "10px";
+    tempDiv.innerHTML = "🧠 Quantum engine analyzing...";
+    document.body.insertBefore(tempDiv, infoDiv);
+
+    try {
+        const data = await sendMove({ action });
+        tempDiv.remove();
+
+        if (data.error) {
+            alert(`Illegal move: ${data.error.message}`);
+            isProcessing = false;
+            renderVariantBoard();
+            return;
+        }
+
+        showGameState(data.game);
+
+        if (data.analysis) {
+            (variant === "gates" ? displayGateInfo : displaySpookyInfo)(data.analysis, moveCount);
+        }
+
+        if (quantumState.pendingCollapse && quantumState.pendingCollapse.chooser === humanSide) {
+            document.getElementById("quantum-info").innerHTML =
+                "<h3>🌀 You closed an entanglement cycle! Click a highlighted cell to collapse it.</h3>" +
+                document.getElementById("quantum-info").innerHTML;
+        }
+
+        if (checkWinner(data.game.result)) {
+            return;
+        }
+    } catch (error) {
+        tempDiv.remove();
+        console.error("Quantum analysis failed:", error);
+        alert("Quantum engine crashed! Try again.");
+        renderVariantBoard();
+    }
+
+    isProcessing = false;
+}
+
+/**
+ * Draw the quantum board: classical marks at full size, spooky marks as
+ * small subscripted labels (X1, O2, ...).
+ */
+function renderQuantumBoard() {
+    const pending = quantumState && quantumState.pendingCollapse;
+
+    document.querySelectorAll(".cell").forEach((cellEl, i) => {
+        const cell = quantumState ? quantumState.cells[i] : { owner: null, marks: [] };
+
+        cellEl.classList.toggle("selected", selectedCell === i);
+        cellEl.classList.toggle("collapse-choice",
+            Boolean(pending && pending.chooser === humanSide && pending.cells.includes(i)));
+
+        if (cell.owner !== null) {
+            cellEl.classList.remove("spooky");
+            cellEl.innerHTML = `${cell.owner}<sub>${cell.move}</sub>`;
+            cellEl.style.pointerEvents = "none";
+        } else {
+            cellEl.classList.add("spooky");
+            cellEl.innerHTML = cell.marks
+                .map(m => `<span>${quantumState.marks[m - 1].player}<sub>${m}</sub></span>`)
+                .join("");
+            cellEl.style.pointerEvents = "auto";
+        }
+    });
+}
+
+/**
+ * Analysis table for the spooky-mark AI: one row per candidate action.
+ *
+ * @param {Object} analysis - `analysis` field from /api/quantum/move
  * @param {number} move - Current move number
+ * @param {string} who - Whose move it was ("AI", "Your", "Opponent's")
  */
-function displayQuantumInfo(data, symbol, move) {
-    // Create HTML table showing all analyzed moves
+function displaySpookyInfo(analysis, move, who = "AI") {
+    // A human move in a room is flagged `played`; otherwise the top candidate was played
+    const chosen = analysis.moveAnalysis.find(candidate => candidate.played) || analysis.moveAnalysis[0];
+    const suggested = analysis.moveAnalysis[0];
+    const cellStyle = "padding: 5px; border: 1px solid rgba(255,255,255,0.3);";
+
     let analysisTable = `
-        <h3>🔬 Quantum Analysis #${Math.floor(move/2)}</h3>
-        <strong>AI Symbol Played:</strong> ${symbol}<br>
-        <strong>Chosen Cell:</strong> ${data.chosenCell}<br>
-        <strong>Strategy Used:</strong> ${data.moveAnalysis[0].strategy || 'quantum'}<br>
-        <strong>Entropy:</strong> ${data.rawQuantumResult.entropy} (lower = more certain)<br>
-        <strong>Purity:</strong> ${data.rawQuantumResult.purity} (higher = more focused)<br>
+        <h3>🔬 Spooky Analysis (move ${move})</h3>
+        <strong>${who} Symbol Played:</strong> ${analysis.symbol}<br>
+        <strong>Chosen Cells:</strong> ${chosen.cells.join(" & ")}<br>
+        ${chosen !== suggested ? `<strong>Engine Suggested:</strong> ${suggested.cells.join(" & ")}<br>` : ""}
+        ${chosen.collapseTo !== null ? `<strong>Collapsed Into:</strong> ${chosen.collapseTo}<br>` : ""}
+        <strong>Strategy Used:</strong> ${chosen.strategy}<br>
+        <strong>Entropy:</strong> ${analysis.rawQuantumResult.entropy} (lower = more certain)<br>
+        <strong>Purity:</strong> ${analysis.rawQuantumResult.purity} (higher = more focused)<br>
         <br>
-        <strong>📊 Move Scores (All Options Analyzed):</strong><br>
+        <strong>📊 Top Candidates:</strong><br>
         <table style="width: 100%; font-size: 11px; border-collapse: collapse;">
             <tr style="background: rgba(255,255,255,0.1);">
-                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Cell</th>
-                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Strategy</th>
-                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Score</th>
-                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Entropy</th>
-                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Purity</th>
+                <th style="${cellStyle}">Cells</th>
+                <th style="${cellStyle}">Collapse</th>
+                <th style="${cellStyle}">Strategy</th>
+                <th style="${cellStyle}">Score</th>
+                <th style="${cellStyle}">Entropy</th>
+                <th style="${cellStyle}">Purity</th>
             </tr>
     `;
 
-    // Add row for each analyzed move
-    data.moveAnalysis.forEach((move, idx) => {
-        const isChosen = move.cellIndex === data.chosenCell;
-        const bgColor = isChosen ? 'rgba(0,255,0,0.2)' : 'transparent';
-        const marker = isChosen ? '✓' : '';  // Checkmark for chosen move
-
+    analysis.moveAnalysis.slice(0, 8).forEach(candidate => {
+        const bgColor = candidate === chosen ? 'rgba(0,255,0,0.2)' : 'transparent';
         analysisTable += `
             <tr style="background: ${bgColor};">
-                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">${move.cellIndex} ${marker}</td>
-                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3); font-size: 10px;">${move.strategy || 'quantum'}</td>
-                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">${move.score.toFixed(0)}</td>
-                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">${move.entropy.toFixed(2)}</td>
-                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">${move.purity.toFixed(2)}</td>
+                <td style="${cellStyle}">${candidate.cells.join(" & ")} ${candidate === chosen ? '✓' : ''}</td>
+                <td style="${cellStyle}">${candidate.collapseTo !== null ? candidate.collapseTo : '-'}</td>
+                <td style="${cellStyle} font-size: 10px;">${candidate.strategy}</td>
+                <td style="${cellStyle}">${candidate.score.toFixed(0)}</td>
+                <td style="${cellStyle}">${candidate.entropy.toFixed(2)}</td>
+                <td style="${cellStyle}">${candidate.purity.toFixed(2)}</td>
             </tr>
         `;
     });
@@ -251,49 +865,418 @@ function displayQuantumInfo(data, symbol, move) {
     analysisTable += `
         </table>
         <br>
-        <strong>Quantum State:</strong> ${data.rawQuantumResult.quantumState}<br>
+        <strong>Quantum State:</strong> ${analysis.rawQuantumResult.quantumState}<br>
+        ${analysis.circuit ? renderCircuit(analysis.circuit) : ""}
         <hr>
     `;
 
-    // Prepend new analysis (newest at top)
     document.getElementById("quantum-info").innerHTML = analysisTable +
         document.getElementById("quantum-info").innerHTML;
 }
 
 // ============================================================================
-// WIN DETECTION: Check for Three in a Row
+// GATES VARIANT: Every Cell Is a Qubit
 // ============================================================================
 /**
- * Checks all possible winning patterns to see if anyone won.
- * 
- * @returns {string|null} 'X' if X won, 'O' if O won, null if no winner
- */
-function checkWinner() {
-    // All 8 possible winning combinations
-    const winPatterns = [
-        [0, 1, 2],  // Top row
-        [3, 4, 5],  // Middle row
-        [6, 7, 8],  // Bottom row
-        [0, 3, 6],  // Left column
-        [1, 4, 7],  // Middle column
-        [2, 5, 8],  // Right column
-        [0, 4, 8],  // Diagonal top-left to bottom-right
-        [2, 4, 6]   // Diagonal top-right to bottom-left
-    ];
-
-    // Check each pattern
-    for (let pattern of winPatterns) {
-        const [a, b, c] = pattern;
-        
-        // If all three cells match and aren't empty, we have a winner
-        if (gameBoard[a] &&
-            gameBoard[a] === gameBoard[b] &&
-            gameBoard[a] === gameBoard[c]) {
-            return gameBoard[a];  // Return 'X' or 'O'
-        }
-    }
-    
-    return null;  // No winner yet
+ * Click handler for the gates variant: X and H go on the clicked cell; a
+ * CNOT takes two clicks, the control (any claimed cell) and then the target.
+ *
+ * @param {number} index - Which cell (0-8) was clicked
+ */
+async function makeGateMove(index) {
+    if (isProcessing || replay || (quantumState && quantumState.result) || (room && !isRoomTurn())) {
+        return;
+    }
+
+    if (gate !== "CNOT") {
+        await sendQuantumAction({ type: "gate", gate, cells: [index] });
+        return;
+    }
+
+    if (selectedCell === null) {
+        if (!quantumState || quantumState.owners[index] === null) {
+            document.getElementById("gate-hint").textContent = "The control must be a claimed cell";
+            return;
+        }
+        selectedCell = index;
+        document.getElementById("gate-hint").textContent = "Now pick the target";
+        renderGateBoard();
+        return;
+    }
+
+    const control = selectedCell;
+    selectedCell = null;
+    document.getElementById("gate-hint").textContent = "Pick the control, then the target";
+    if (control === index) {
+        // Clicking the control again cancels the CNOT
+        renderGateBoard();
+        return;
+    }
+    await sendQuantumAction({ type: "gate", gate: "CNOT", cells: [control, index] });
+}
+
+/**
+ * Redraw the board of whichever quantum variant is being played.
+ */
+function renderVariantBoard() {
+    if (variant === "gates") renderGateBoard();
+    else renderQuantumBoard();
+}
+
+/**
+ * Draw the gates board: each claimed cell shows its owner, faded by how
+ * likely its qubit is to read |1⟩, with that probability underneath. Once
+ * the board has been measured the reading is shown instead.
+ */
+function renderGateBoard() {
+    const state = quantumState;
+    const measured = state && state.result ? state.result.board : null;
+
+    document.querySelectorAll(".cell").forEach((cellEl, i) => {
+        const owner = state ? state.owners[i] : null;
+        const probability = state ? state.probabilities[i] : 0;
+
+        cellEl.className = "cell qubit";
+        cellEl.classList.toggle("selected", selectedCell === i);
+        cellEl.classList.toggle("measured", Boolean(measured && measured[i]));
+        cellEl.style.pointerEvents = measured ? "none" : "auto";
+
+        if (measured) {
+            cellEl.innerHTML = `${measured[i] || ""}<span class="prob">P(|1⟩) ${(probability * 100).toFixed(0)}%</span>`;
+        } else if (owner) {
+            cellEl.innerHTML = `<span style="opacity: ${0.25 + 0.75 * probability}">${owner}</span>` +
+                `<span class="prob">P(|1⟩) ${(probability * 100).toFixed(0)}%</span>`;
+        } else {
+            cellEl.innerHTML = "";
+        }
+    });
+}
+
+/**
+ * Notation of a gate move, e.g. "H(b2)" or "CNOT(a1,b2)" (as in records).
+ */
+function gateNotation(action) {
+    const name = cell => `${String.fromCharCode(97 + (cell % 3))}${Math.floor(cell / 3) + 1}`;
+    return `${action.gate}(${action.cells.map(name).join(",")})`;
+}
+
+/**
+ * Analysis table for the gates AI: one row per candidate gate.
+ *
+ * @param {Object} analysis - AI analysis from the server (see gateEngine.js)
+ * @param {number} move - Current move number
+ * @param {string} who - Whose move it was ("AI", "Your", "Opponent's")
+ */
+function displayGateInfo(analysis, move, who = "AI") {
+    const chosen = analysis.moveAnalysis.find(candidate => candidate.played) || analysis.moveAnalysis[0];
+    const suggested = analysis.moveAnalysis[0];
+    const cellStyle = "padding: 5px; border: 1px solid rgba(255,255,255,0.3);";
+    const odds = candidate => candidate.odds
+        ? `X ${(candidate.odds.X * 100).toFixed(0)}% · O ${(candidate.odds.O * 100).toFixed(0)}%`
+        : "-";
+
+    let analysisTable = `
+        <h3>🔬 Gate Analysis (move ${move})</h3>
+        <strong>${who} Symbol Played:</strong> ${analysis.symbol}<br>
+        <strong>Gate:</strong> ${gateNotation(chosen.action)}<br>
+        ${chosen !== suggested ? `<strong>Engine Suggested:</strong> ${gateNotation(suggested.action)}<br>` : ""}
+        <strong>Strategy Used:</strong> ${chosen.strategy}<br>
+        <strong>Entropy:</strong> ${analysis.rawQuantumResult.entropy} (bits in the board's reading)<br>
+        <strong>Purity:</strong> ${analysis.rawQuantumResult.purity}<br>
+        <br>
+        <strong>📊 Top Candidates:</strong><br>
+        <table style="width: 100%; font-size: 11px; border-collapse: collapse;">
+            <tr style="background: rgba(255,255,255,0.1);">
+                <th style="${cellStyle}">Gate</th>
+                <th style="${cellStyle}">Strategy</th>
+                <th style="${cellStyle}">Score</th>
+                <th style="${cellStyle}">Final odds</th>
+                <th style="${cellStyle}">Entropy</th>
+                <th style="${cellStyle}">Purity</th>
+            </tr>
+    `;
+
+    analysis.moveAnalysis.slice(0, 8).forEach(candidate => {
+        const bgColor = candidate === chosen ? 'rgba(0,255,0,0.2)' : 'transparent';
+        analysisTable += `
+            <tr style="background: ${bgColor};">
+                <td style="${cellStyle}">${gateNotation(candidate.action)} ${candidate === chosen ? '✓' : ''}</td>
+                <td style="${cellStyle} font-size: 10px;">${candidate.strategy}</td>
+                <td style="${cellStyle}">${candidate.score.toFixed(0)}</td>
+                <td style="${cellStyle}">${odds(candidate)}</td>
+                <td style="${cellStyle}">${candidate.entropy.toFixed(2)}</td>
+                <td style="${cellStyle}">${candidate.purity.toFixed(2)}</td>
+            </tr>
+        `;
+    });
+
+    analysisTable += `
+        </table>
+        <br>
+        <strong>Quantum State:</strong> ${analysis.rawQuantumResult.quantumState}<br>
+        ${analysis.circuit ? renderCircuit(analysis.circuit) : ""}
+        <hr>
+    `;
+
+    document.getElementById("quantum-info").innerHTML = analysisTable +
+        document.getElementById("quantum-info").innerHTML;
+}
+
+// ============================================================================
+// DISPLAY QUANTUM ANALYSIS: Show AI's Decision Process
+// ============================================================================
+/**
+ * Creates a detailed breakdown of the quantum engine's analysis.
+ * Shows all considered moves, their scores, and quantum features.
+ * 
+ * @param {Object} data - Response from quantum engine API
+ * @param {string} symbol - Symbol the AI played
+ * @param {number} move - Current move number
+ * @param {string} who - Whose move it was ("AI", "Your", "Opponent's")
+ */
+function displayQuantumInfo(data, symbol, move, who = "AI") {
+    // Create HTML table showing all analyzed moves
+    let analysisTable = `
+        <h3>🔬 Quantum Analysis #${Math.floor(move/2)}</h3>
+        <strong>${who} Symbol Played:</strong> ${symbol}<br>
+        <strong>Chosen Cell:</strong> ${data.chosenCell}<br>
+        ${data.suggestedCell !== undefined && data.suggestedCell !== data.chosenCell
+            ? `<strong>Engine Suggested:</strong> ${data.suggestedCell}<br>` : ""}
+        <strong>Strategy Used:</strong> ${data.moveAnalysis[0].strategy || 'quantum'}<br>
+        <strong>Engine:</strong> ${data.engine || 'heuristic-quantum'}<br>
+        <strong>Encoder:</strong> ${data.encoder}<br>
+        <strong>Entropy:</strong> ${data.rawQuantumResult.entropy} (lower = more certain)<br>
+        <strong>Purity:</strong> ${data.rawQuantumResult.purity} (higher = more focused)<br>
+        ${data.noise ? renderNoise(data.noise) : ""}
+        <br>
+        <strong>📊 Move Scores (All Options Analyzed):</strong><br>
+        <table style="width: 100%; font-size: 11px; border-collapse: collapse;">
+            <tr style="background: rgba(255,255,255,0.1);">
+                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Cell</th>
+                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Strategy</th>
+                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Score</th>
+                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Breakdown</th>
+                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Entropy</th>
+                <th style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">Purity</th>
+            </tr>
+    `;
+
+    // Bars share one scale so rows can be compared
+    const scale = Math.max(0, ...data.moveAnalysis.map(move =>
+        (move.breakdown || []).reduce((sum, term) => sum + Math.abs(term.points), 0)));
+
+    // Add row for each analyzed move
+    data.moveAnalysis.forEach((move, idx) => {
+        const isChosen = move.cellIndex === data.chosenCell;
+        const bgColor = isChosen ? 'rgba(0,255,0,0.2)' : 'transparent';
+        const marker = isChosen ? '✓' : '';  // Checkmark for chosen move
+
+        analysisTable += `
+            <tr style="background: ${bgColor};">
+                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">${move.cellIndex} ${marker}</td>
+                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3); font-size: 10px;">${move.strategies ? move.strategies.join(", ") : (move.strategy || 'quantum')}${move.visits !== undefined
+                    ? ` (${move.visits} visits, ${(move.winRate * 100).toFixed(1)}% wins)`
+                    : move.appeal !== undefined ? ` (P(|1⟩) ${move.appeal.toFixed(3)})` : ""}</td>
+                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">${move.score.toFixed(0)}</td>
+                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">${renderScoreBar(move.breakdown, scale)}</td>
+                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">${move.entropy.toFixed(2)}</td>
+                <td style="padding: 5px; border: 1px solid rgba(255,255,255,0.3);">${move.purity.toFixed(2)}</td>
+            </tr>
+        `;
+    });
+
+    analysisTable += `
+        </table>
+        ${data.moveAnalysis.some(move => move.breakdown) ? renderScoreLegend() : ""}
+        <br>
+        ${data.measurement ? renderShotHistogram(data.measurement, data.chosenCell) : ""}
+        <strong>Quantum State:</strong> ${data.rawQuantumResult.quantumState}<br>
+        ${data.circuit ? renderCircuit(data.circuit) : ""}
+        <hr>
+    `;
+
+    // Prepend new analysis (newest at top)
+    document.getElementById("quantum-info").innerHTML = analysisTable +
+        document.getElementById("quantum-info").innerHTML;
+}
+
+/**
+ * Bar chart of how many shots landed on each cell at the "measured" level.
+ * 
+ * @param {Object} measurement - `measurement` field of the engine response
+ * @param {number} chosenCell - Cell that was played
+ * @returns {string} HTML for the histogram
+ */
+/**
+ * The noise model an AI move was made under and how far the board it left
+ * reads from the ideal simulator's reading.
+ *
+ * @param {Object} noise - { depolarizing, amplitudeDamping, readout, tvd, fidelity }
+ * @returns {string} HTML lines for the analysis panel
+ */
+function renderNoise(noise) {
+    const percent = rate => `${(rate * 100).toFixed(1)}%`;
+    // Fidelity 1 is green, 0.5 and below red
+    const hue = Math.max(0, Math.min(120, (noise.fidelity - 0.5) * 240));
+    return `
+        <strong>Noise:</strong> depolarizing ${percent(noise.depolarizing)},
+        damping ${percent(noise.amplitudeDamping)} per gate, readout ${percent(noise.readout)}<br>
+        <strong>Distance from ideal:</strong>
+        <span style="color: hsl(${hue}, 80%, 60%);">TVD ${noise.tvd.toFixed(3)}, fidelity ${noise.fidelity.toFixed(3)}</span><br>
+    `;
+}
+
+// ============================================================================
+// SCORE BREAKDOWN: What Each Scoring Term Added
+// ============================================================================
+// Colors for the terms of the heuristic score (backend DEFAULT_WEIGHTS names)
+const SCORE_COLORS = {
+    win: '#2ecc71',
+    block: '#e74c3c',
+    fork: '#9b59b6',
+    blockFork: '#e67e22',
+    center: '#f1c40f',
+    oppositeCorner: '#1abc9c',
+    corner: '#3498db',
+    edge: '#95a5a6',
+    entropy: '#ff6bcb',
+    purity: '#00e5ff',
+    cellSignal: '#7CFC00',
+    dominantState: '#ffffff'
+};
+
+/**
+ * One candidate's score as a stacked bar, a segment per scoring term.
+ * Negative terms are drawn faded; hover a segment for its points.
+ *
+ * @param {Array} breakdown - [{ component, points }] from the engine, if any
+ * @param {number} scale - Total that fills the whole bar
+ * @returns {string} HTML for the bar, or "-" for engines without a breakdown
+ */
+function renderScoreBar(breakdown, scale) {
+    if (!breakdown || scale === 0) return "-";
+
+    const segments = breakdown
+        .filter(term => term.points !== 0)
+        .map(term => `<div class="${term.points < 0 ? 'negative' : ''}"
+            title="${term.component}: ${term.points.toFixed(1)}"
+            style="background: ${SCORE_COLORS[term.component] || '#888'}; width: ${(Math.abs(term.points) / scale) * 100}%;"></div>`)
+        .join("");
+    return `<div class="score-bar">${segments}</div>`;
+}
+
+function renderScoreLegend() {
+    return `<div class="score-legend">${Object.entries(SCORE_COLORS)
+        .map(([component, color]) => `<span><i style="background: ${color};"></i>${component}</span>`)
+        .join("")}</div>`;
+}
+
+function renderShotHistogram(measurement, chosenCell) {
+    let html = `
+        <strong>🎲 Shot Histogram</strong>
+        (${measurement.shots} shots, ${measurement.qubits} qubits, seed ${measurement.seed === null ? 'random' : measurement.seed}):<br>
+        ${measurement.noise
+            ? `<small>Noisy selection circuit: TVD ${measurement.noise.tvd.toFixed(3)}, fidelity ${measurement.noise.fidelity.toFixed(3)} from ideal</small><br>`
+            : ""}
+    `;
+
+    Object.entries(measurement.histogram).forEach(([cell, count]) => {
+        const width = (count / measurement.shots) * 100;
+        const color = Number(cell) === chosenCell ? '#7CFC00' : '#9ecbff';
+        html += `
+            <div style="display: flex; align-items: center; font-size: 11px;">
+                <span style="width: 50px;">Cell ${cell}</span>
+                <div style="background: ${color}; height: 10px; width: ${width}%;"></div>
+                <span style="margin-left: 5px;">${count}</span>
+            </div>
+        `;
+    });
+
+    return html + "<br>";
+}
+
+// ============================================================================
+// CIRCUIT DISPLAY: The Encoding Circuit Behind Each AI Move
+// ============================================================================
+/**
+ * Basis-state histogram of the board the AI left, plus its circuit as a gate
+ * diagram and as OpenQASM (collapsed until clicked).
+ * 
+ * @param {Object} circuit - `circuit` field of the analysis (see describeCircuit)
+ * @returns {string} HTML for the circuit section
+ */
+function renderCircuit(circuit) {
+    const largest = Math.max(...circuit.basisStates.map(s => s.probability), 1e-9);
+    let html = `
+        <strong>🧮 Basis States</strong>
+        (${circuit.encoder}, ${circuit.qubits} qubits, rightmost bit = qubit 0):<br>
+    `;
+
+    circuit.basisStates.forEach(s => {
+        html += `
+            <div style="display: flex; align-items: center; font-size: 11px; font-family: monospace;">
+                <span style="width: ${circuit.qubits * 8 + 30}px;">${s.label}</span>
+                <div style="background: #c39bff; height: 10px; width: ${(s.probability / largest) * 60}%;"></div>
+                <span style="margin-left: 5px;">${(s.probability * 100).toFixed(1)}%</span>
+            </div>
+        `;
+    });
+    if (circuit.otherProbability > 0.0005) {
+        html += `<div style="font-size: 11px;">…other basis states: ${(circuit.otherProbability * 100).toFixed(1)}%</div>`;
+    }
+
+    return html + `
+        <details>
+            <summary>Circuit diagram</summary>
+            <div style="background: white; overflow-x: auto; border-radius: 5px;">${circuit.svg}</div>
+        </details>
+        <details>
+            <summary>OpenQASM</summary>
+            <pre style="font-size: 11px; max-height: 200px; overflow: auto;">${circuit.qasm}</pre>
+        </details>
+    `;
+}
+
+// ============================================================================
+// RESULT DISPLAY: Announce What the Server Decided
+// ============================================================================
+/**
+ * Shows the result the server computed. Win and draw detection happen on the
+ * server; this only turns its verdict into a message and starts a new game.
+ * 
+ * @param {Object|null} result - `game.result` from the server
+ * @returns {boolean} True if the game is over
+ */
+function checkWinner(result) {
+    if (!result) {
+        return false;  // Game goes on
+    }
+
+    let message;
+    // A gate game's board was measured: say how the readings went
+    const readings = result.wins
+        ? ` (${result.shots} reading${result.shots === 1 ? "" : "s"}: X ${result.wins.X}, O ${result.wins.O}, draw ${result.wins.draw})`
+        : "";
+    if (result.winner === "draw") {
+        message = "Draw! The quantum engine couldn't beat you! 🌀";
+    } else if (result.scores) {
+        message = `${result.winner} wins! Score: X ${result.scores.X} – O ${result.scores.O} ⚛️`;
+    } else if (room) {
+        message = result.winner === room.side
+            ? `${result.winner} wins! You beat your opponent! 🎉`
+            : `${result.winner} wins!`;
+    } else if (result.winner === humanSide) {
+        message = `${humanSide} wins! You beat the quantum engine! 🎉`;
+    } else {
+        message = `${aiSide} wins! The quantum engine defeated you! 🧠⚛️`;
+    }
+
+    // The finished board stays up: a room waits for someone to press
+    // Rematch, an AI game for New game (or a takeback)
+    setTimeout(() => alert(message + readings), 100);
+    // The server has just saved the game
+    if (!document.getElementById("stats-panel").hidden) loadStats();
+    return true;
 }
 
 // ============================================================================
@@ -303,18 +1286,658 @@ function checkWinner() {
  * Clears the board and resets all game state for a new game.
  */
 function resetGame() {
+    // Any change of game settings leaves the room (or the replay viewer)
+    // for a new AI game
+    if (room) leaveRoom();
+    replay = null;
+    document.getElementById("replay-controls").hidden = true;
+
     // Reset internal state
-    gameBoard = Array(9).fill(null);
+    gameBoard = Array(size * size).fill(null);
     moveCount = 0;
     isProcessing = false;
+    quantumState = null;
+    selectedCell = null;
     
     // Clear visual board
+    clearEvaluation();
     document.querySelectorAll(".cell").forEach(cell => {
         cell.textContent = "";
+        cell.className = "cell";
         cell.style.pointerEvents = "auto";  // Re-enable clicking
     });
     
     // Reset info panel
-    document.getElementById("quantum-info").innerHTML =
-        "<h3>🧠 New game! You are X. Click any cell to start!</h3>";
-}
\ No newline at end of file
+    document.getElementById("quantum-info").innerHTML = variant === "quantum"
+        ? `<h3>⚛️ New quantum game! You are ${humanSide}. Click two cells to place a spooky mark.</h3>`
+        : variant === "gates"
+        ? `<h3>⚛️ New gate game! You are ${humanSide}. Pick a gate, then click a cell to apply it.</h3>`
+        : `<h3>🧠 New game! You are ${humanSide}. Click any cell to start!</h3>`;
+
+    // Ask the server for the new game (the AI may open it)
+    startGame();
+}
+// ============================================================================
+// MULTIPLAYER ROOMS: Human vs Human over WebSockets
+// ============================================================================
+// The server owns the room's board (backend/rooms.js) and sends every change
+// to everyone in the room, so both players and any spectators redraw from
+// the same messages. Each move comes with the engine's analysis of it.
+// Seat tokens are kept in localStorage so a reload or dropped connection
+// gets the same seat back.
+// ============================================================================
+
+/**
+ * Open the room socket and send `firstMessage` once it's connected.
+ * If the connection drops while we're in a room, rejoin with our token.
+ */
+function openRoomSocket(firstMessage) {
+    if (socket) socket.close();
+
+    const protocol = location.protocol === "https:" ? "wss" : "ws";
+    const ws = new WebSocket(`${protocol}://${location.host}/ws`);
+    socket = ws;
+
+    ws.onopen = () => ws.send(JSON.stringify(firstMessage));
+    ws.onmessage = (event) => handleRoomMessage(JSON.parse(event.data));
+    ws.onclose = () => {
+        if (socket !== ws || !room) return;  // We left on purpose
+        document.getElementById("room-status").textContent = `Room ${room.code}: reconnecting...`;
+        setTimeout(() => {
+            if (socket !== ws || !room) return;
+            openRoomSocket({ type: "join", code: room.code, token: room.token, role: room.side ? "player" : "spectator" });
+        }, 1000);
+    };
+}
+
+function sendRoomMessage(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Open a room with the current variant, board and encoder. We take the side
+ * picked in "Play as".
+ */
+function createRoom() {
+    if (room || replay) resetGame();
+    openRoomSocket({ type: "create", variant, size, winLength, encoder: encoder || undefined, side: humanSide });
+}
+
+/**
+ * Join a room by code, as a player (taking our old seat back if we have a
+ * token for it) or as a spectator.
+ */
+function joinRoom(code, role) {
+    code = code.trim().toUpperCase();
+    if (!code) return;
+    const token = localStorage.getItem(`room-${code}`) || undefined;
+    if (room || replay) resetGame();
+    openRoomSocket({ type: "join", code, role, token });
+}
+
+/**
+ * Leave the room and go back to playing the AI.
+ */
+function leaveRoom() {
+    const ws = socket;
+    room = null;
+    socket = null;
+    if (ws) {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: "leave" }));
+        ws.close();
+    }
+
+    // Back to the side picked in the controls
+    humanSide = document.getElementById("side").value;
+    aiSide = humanSide === 'X' ? 'O' : 'X';
+
+    history.replaceState(null, "", location.pathname);
+    document.getElementById("room-status").textContent = "Playing the AI";
+    document.getElementById("leave-room").disabled = true;
+    document.getElementById("rematch").disabled = true;
+}
+
+function isRoomTurn() {
+    return Boolean(room && room.side && room.latest && room.latest.turn === room.side && !room.latest.result);
+}
+
+function sendRoomMove(move) {
+    isProcessing = true;
+    sendRoomMessage({ type: "move", ...move });
+}
+
+/**
+ * Everything the server sends about the room lands here.
+ */
+function handleRoomMessage(message) {
+    if (message.type === "error") {
+        isProcessing = false;
+        if (!room) {
+            // Create or join failed: stay with the AI game
+            socket.close();
+            socket = null;
+        }
+        alert(`Room: ${message.error.message}`);
+        if (room && room.latest) showRoom(room.latest);
+        return;
+    }
+
+    if (message.type === "joined") {
+        room = { code: message.room.code, side: message.seat ? message.seat.side : null, token: null, latest: null };
+        if (message.seat) {
+            room.token = message.seat.token;
+            localStorage.setItem(`room-${room.code}`, room.token);
+            humanSide = message.seat.side;
+            aiSide = humanSide === 'X' ? 'O' : 'X';
+        }
+        history.replaceState(null, "", `#room=${room.code}`);
+        document.getElementById("room-code").value = room.code;
+        document.getElementById("leave-room").disabled = false;
+        document.getElementById("quantum-info").innerHTML = room.side
+            ? `<h3>👥 Room ${room.code}: you are ${room.side}. Share the code with your opponent!</h3>`
+            : `<h3>👀 Watching room ${room.code}</h3>`;
+        showRoom(message.room);
+        return;
+    }
+
+    if (message.type !== "room" || !room) return;
+
+    if (message.event === "rematch") {
+        document.getElementById("quantum-info").innerHTML = `<h3>🔁 Game ${message.room.game} in room ${room.code}</h3>`;
+    }
+
+    showRoom(message.room);
+
+    if (message.event === "move") {
+        isProcessing = false;
+        const mover = message.move.player;
+        const who = !room.side ? mover : mover === room.side ? "Your" : "Opponent's";
+
+        if (message.analysis) {
+            if (message.room.variant === "quantum") {
+                displaySpookyInfo(message.analysis, moveCount, who);
+            } else if (message.room.variant === "gates") {
+                displayGateInfo(message.analysis, moveCount, who);
+            } else {
+                displayQuantumInfo(message.analysis, mover, moveCount, who);
+            }
+        }
+
+        const pending = quantumState && quantumState.pendingCollapse;
+        if (message.room.variant === "quantum" && pending && pending.chooser === room.side) {
+            document.getElementById("quantum-info").innerHTML =
+                "<h3>🌀 You closed an entanglement cycle! Click a highlighted cell to collapse it.</h3>" +
+                document.getElementById("quantum-info").innerHTML;
+        }
+
+        checkWinner(message.room.result);
+    }
+}
+
+/**
+ * Match the page to the room (variant and board size come from the room,
+ * not the controls) and redraw it.
+ */
+function showRoom(latest) {
+    room.latest = latest;
+
+    if (latest.size !== size || latest.winLength !== winLength) {
+        size = latest.size;
+        winLength = latest.winLength;
+        document.getElementById("size").value = `${size},${winLength}`;
+        buildBoard();
+    }
+    variant = latest.variant;
+    document.getElementById("variant").value = variant;
+
+    showGameState(latest);
+
+    const opponent = room.side === 'X' ? 'O' : 'X';
+    const seatStatus = side => {
+        const seat = latest.players[side];
+        return !seat.joined ? "waiting" : seat.connected ? "online" : "disconnected";
+    };
+    const turn = latest.result ? "game over" : latest.turn === room.side ? "your turn" : `${latest.turn}'s turn`;
+
+    document.getElementById("room-status").textContent = room.side
+        ? `Room ${room.code} · You are ${room.side} · ${opponent} ${seatStatus(opponent)} · ${latest.spectators} watching · ${turn}`
+        : `Room ${room.code} · Watching · X ${seatStatus('X')}, O ${seatStatus('O')} · ${turn}`;
+    document.getElementById("rematch").disabled = !(room.side && latest.result);
+}
+
+// ============================================================================
+// GAME RECORDS: Export, Import and Replay
+// ============================================================================
+// Records are plain text (notation in backend/gameRecord.js) with the
+// engine's analysis of each ply, so a shared game can be stepped through
+// with the same quantum panel it had when it was played.
+// ============================================================================
+
+/**
+ * Notation for the game on the board: the room's game, this game if it has
+ * moves, otherwise the one that just ended.
+ *
+ * @returns {string|null} Notation text, or null if there is nothing to export
+ */
+async function fetchRecord() {
+    if (localGame && !room) {
+        alert("Games played in the browser aren't recorded.");
+        return null;
+    }
+
+    const id = moveCount > 0 ? gameId : previousGameId;
+    const url = room ? `/api/rooms/${room.code}/record` : id ? `/api/games/${id}/record` : null;
+    if (!url) {
+        alert("Play a move first!");
+        return null;
+    }
+
+    const res = await fetch(url);
+    if (!res.ok) {
+        const data = await res.json();
+        alert(`Could not export: ${data.error.message}`);
+        return null;
+    }
+    return res.text();
+}
+
+/**
+ * Download the current game as a .qtn file.
+ */
+async function exportRecord() {
+    const text = await fetchRecord();
+    if (!text) return;
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    link.download = `quantum-tic-tac-toe-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.qtn`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Check a record on the server and open it in the replay viewer.
+ */
+async function startReplay(text) {
+    // Sent as text: records of big boards are too large for a JSON body
+    const res = await fetch("/api/records/replay", {
+        method: "POST",
+        headers: { "Content-Type": "text/plain" },
+        body: text,
+    });
+    const data = await res.json();
+    if (data.error) {
+        alert(`Could not read the record: ${data.error.message}`);
+        return;
+    }
+
+    if (room) leaveRoom();
+    replay = { ...data, ply: 0 };
+
+    // The board takes the record's shape; the controls follow so exiting is consistent
+    size = data.size;
+    winLength = data.winLength;
+    variant = data.variant;
+    document.getElementById("size").value = `${size},${winLength}`;
+    document.getElementById("variant").value = variant;
+    buildBoard();
+
+    const slider = document.getElementById("replay-slider");
+    slider.max = data.plies.length;
+    document.getElementById("replay-controls").hidden = false;
+    renderMoveList(null);
+
+    const moves = document.getElementById("replay-moves");
+    moves.innerHTML = "";
+    data.plies.forEach(ply => {
+        const button = document.createElement("button");
+        button.textContent = `${ply.ply}. ${ply.player} ${ply.notation}`;
+        button.onclick = () => showReplayPly(ply.ply);
+        moves.appendChild(button);
+    });
+
+    showReplayPly(data.plies.length);
+}
+
+/**
+ * Put the position after `ply` on the board and show that ply's analysis.
+ * Ply 0 is the empty board.
+ */
+function showReplayPly(ply) {
+    const total = replay.plies.length;
+    ply = Math.max(0, Math.min(total, ply));
+    replay.ply = ply;
+
+    const current = ply > 0 ? replay.plies[ply - 1] : null;
+    showGameState({
+        variant: replay.variant,
+        firstPlayer: replay.firstPlayer,
+        state: current ? current.state : replay.initial,
+        history: replay.plies.slice(0, ply)
+    });
+
+    document.getElementById("replay-slider").value = ply;
+    document.querySelectorAll("#replay-moves button").forEach((button, i) => {
+        button.disabled = i === ply - 1;
+    });
+
+    const result = ply === total && replay.result
+        ? (replay.result.winner === "draw" ? " · Draw" : ` · ${replay.result.winner} wins`)
+        : "";
+    document.getElementById("replay-label").textContent = `Ply ${ply} / ${total}${result}`;
+
+    // Only this ply's analysis, not a growing log
+    infoDiv.innerHTML = "";
+    if (current && current.analysis) {
+        const who = replay.tags[current.player] || current.player;
+        if (replay.variant === "quantum") {
+            displaySpookyInfo(current.analysis, ply, who);
+        } else if (replay.variant === "gates") {
+            displayGateInfo(current.analysis, ply, who);
+        } else {
+            displayQuantumInfo(current.analysis, current.player, ply, who);
+        }
+    }
+    infoDiv.innerHTML = (current
+        ? `<h3>⏯ Ply ${ply}: ${current.player} ${current.notation}${current.analysis ? "" : " (no engine analysis)"}</h3>`
+        : "<h3>⏯ Start of the game</h3>") + infoDiv.innerHTML;
+}
+
+// ============================================================================
+// POSITION ANALYSIS: Hint Button and Evaluation Overlay
+// ============================================================================
+// /api/analyze values every empty cell for the side to move. The overlay
+// colors cells green (win), yellow (draw) or red (loss) with the distance in
+// the corner, e.g. "W3" = win in 3 plies. On boards too big to search to the
+// end the corner shows the search's estimate instead. Classic variant only.
+// ============================================================================
+
+/**
+ * Ask the server to analyze the board on screen.
+ *
+ * @returns {Object|null} Analysis, or null if there is nothing to analyze
+ */
+async function fetchAnalysis() {
+    if (variant !== "classic" || gameBoard.every(cell => cell !== null)) return null;
+
+    const res = await fetch("/api/analyze", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ boardState: gameBoard, firstPlayer, size, winLength, encoder: encoder || undefined }),
+    });
+    const data = await res.json();
+    return data.error ? null : data;  // e.g. the game is already over
+}
+
+function evaluationLabel(cell) {
+    if (cell.outcome === "win") return `W${cell.plies}`;
+    if (cell.outcome === "loss") return `L${cell.plies}`;
+    if (cell.outcome === "draw") return "D";
+    return `${cell.value > 0 ? "+" : ""}${cell.value}`;
+}
+
+/**
+ * Color every analyzed cell and label it with its value.
+ */
+function renderEvaluation(analysis) {
+    const cellEls = document.querySelectorAll(".cell");
+    analysis.cells.forEach(cell => {
+        const cellEl = cellEls[cell.cellIndex];
+        cellEl.classList.add(`eval-${cell.outcome}`);
+        cellEl.dataset.eval = evaluationLabel(cell);
+        cellEl.title = `${cell.label} · heuristic ${cell.heuristicScore.toFixed(0)} (${cell.strategy})`;
+    });
+}
+
+function clearEvaluation() {
+    document.querySelectorAll(".cell").forEach(cellEl => {
+        cellEl.classList.remove("eval-win", "eval-draw", "eval-loss", "eval-unknown", "hint");
+        delete cellEl.dataset.eval;
+        cellEl.removeAttribute("title");
+    });
+}
+
+/**
+ * Refresh the overlay for the board on screen. Answers that arrive after
+ * the board has changed are dropped.
+ */
+async function updateEvaluation() {
+    const snapshot = JSON.stringify(gameBoard);
+    try {
+        const analysis = await fetchAnalysis();
+        if (analysis && showEvaluation && JSON.stringify(gameBoard) === snapshot) {
+            clearEvaluation();
+            renderEvaluation(analysis);
+        }
+    } catch (error) {
+        console.error("Could not analyze the position:", error);
+    }
+}
+
+/**
+ * Highlight the best cell for the side to move and say why.
+ */
+async function showHint() {
+    if (variant !== "classic") {
+        alert("Hints are only available in the classic variant.");
+        return;
+    }
+
+    const analysis = await fetchAnalysis();
+    if (!analysis) return;
+
+    const best = analysis.cells[0];
+    const heuristicPick = analysis.cells.reduce((a, b) => (b.heuristicScore > a.heuristicScore ? b : a));
+
+    clearEvaluation();
+    if (showEvaluation) renderEvaluation(analysis);
+    document.querySelectorAll(".cell")[best.cellIndex].classList.add("hint");
+
+    document.getElementById("quantum-info").innerHTML = `
+        <h3>💡 Hint for ${analysis.side}: cell ${best.cellIndex} (${best.label})</h3>
+        ${heuristicPick.cellIndex !== best.cellIndex
+            ? `The heuristic engine would play ${heuristicPick.cellIndex} (${heuristicPick.strategy}, ${heuristicPick.label}).<br>`
+            : "The heuristic engine agrees.<br>"}
+        <hr>
+    ` + document.getElementById("quantum-info").innerHTML;
+}
+
+// ============================================================================
+// MOVE HISTORY: Undo, Redo and a Branching Move List
+// ============================================================================
+// The server keeps every position of the game as a tree (game.moveTree).
+// Undo takes back our move and the AI's reply; redo replays them. Clicking
+// a move in the list jumps there, and playing something else from an
+// earlier position starts a new branch, shown in brackets after the move
+// it replaces. Not available in rooms or the replay viewer.
+// ============================================================================
+
+/**
+ * Short notation for a move, e.g. "b2", "a1-c3" (spooky mark) or "@b2"
+ * (collapse). Same as the game records.
+ */
+function moveNotation(move) {
+    const name = cell => `${String.fromCharCode(97 + (cell % size))}${Math.floor(cell / size) + 1}`;
+    if (!move.action) return name(move.cell);
+    if (move.action.type === "collapse") return `@${name(move.action.cell)}`;
+    return move.action.cells.map(name).join("-");
+}
+
+/**
+ * Draw the move tree: the first line played from each position runs on,
+ * later branches are bracketed after the move they replace.
+ */
+function renderMoveList(tree) {
+    const list = document.getElementById("move-list");
+    const buttons = document.getElementById("history-controls");
+    if (!tree) {
+        list.innerHTML = "";
+        buttons.hidden = true;
+        return;
+    }
+    buttons.hidden = false;
+    document.getElementById("undo").disabled = !tree.canUndo;
+    document.getElementById("redo").disabled = !tree.canRedo;
+
+    const plyButton = node => `<button class="ply${node.id === tree.current ? " current" : ""}" data-node="${node.id}">` +
+        `${node.ply}. ${node.move.player} ${moveNotation(node.move)}</button>`;
+
+    const renderLine = id => {
+        let html = "";
+        let node = tree.nodes[id];
+        while (node.children.length > 0) {
+            const [main, ...branches] = node.children.map(childId => tree.nodes[childId]);
+            html += plyButton(main);
+            branches.forEach(branch => {
+                html += `<span class="branch">(${plyButton(branch)}${renderLine(branch.id)})</span>`;
+            });
+            node = main;
+        }
+        return html;
+    };
+
+    list.innerHTML = tree.nodes.length > 1
+        ? `<button class="ply${tree.current === 0 ? " current" : ""}" data-node="0">Start</button>${renderLine(0)}`
+        : "";
+}
+
+/**
+ * Undo, redo or jump to a node, then redraw from the server's answer.
+ *
+ * @param {string} action - "undo", "redo" or "goto"
+ * @param {Object} body - { node } for goto
+ */
+async function navigate(action, body = {}) {
+    if (isProcessing || room || replay || !gameId) return;
+    isProcessing = true;
+
+    try {
+        const res = await fetch(`/api/games/${gameId}/${action}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+        });
+        const data = await res.json();
+        isProcessing = false;
+
+        if (data.error) {
+            if (action === "goto") alert(`Can't go there: ${data.error.message}`);
+            return;  // Nothing to undo/redo is not worth an alert
+        }
+
+        selectedCell = null;
+        showGameState(data.game);
+        document.getElementById("quantum-info").innerHTML =
+            `<h3>${action === "undo" ? "↶ Took back" : action === "redo" ? "↷ Replayed" : "⤴ Jumped"} to move ${moveCount}` +
+            `${data.game.result ? " (game over)" : ""}</h3>` +
+            document.getElementById("quantum-info").innerHTML;
+    } catch (error) {
+        isProcessing = false;
+        console.error(`Could not ${action}:`, error);
+    }
+}
+
+// ============================================================================
+// STATS: Results of Every Finished Game
+// ============================================================================
+// The server saves each finished game (backend/gameStore.js). This panel
+// shows how each engine does against people, the leaderboard of engine
+// configurations, and how well each opening move works for whoever plays it.
+// ============================================================================
+
+/**
+ * Show or hide the stats panel, loading fresh numbers when it opens.
+ */
+function toggleStats() {
+    const panel = document.getElementById("stats-panel");
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) loadStats();
+}
+
+/**
+ * Fetch stats and leaderboard, optionally for the current board only.
+ */
+async function loadStats() {
+    const query = document.getElementById("stats-this-board").checked
+        ? `?${new URLSearchParams({ variant, size, winLength })}`
+        : "";
+
+    try {
+        const [stats, leaderboard] = await Promise.all([
+            fetch(`/api/stats${query}`).then(res => res.json()),
+            fetch(`/api/leaderboard${query}`).then(res => res.json()),
+        ]);
+        renderStats(stats, leaderboard);
+    } catch (error) {
+        console.error("Could not load stats:", error);
+        document.getElementById("stats-content").textContent = "Could not load stats.";
+    }
+}
+
+const percent = fraction => `${(fraction * 100).toFixed(0)}%`;
+
+/**
+ * Win/draw/loss proportions as one stacked bar.
+ */
+function rateBar(wins, draws, losses) {
+    const total = wins + draws + losses || 1;
+    return `<div class="rate-bar" title="${wins}W ${draws}D ${losses}L">` +
+        `<span class="win" style="width: ${100 * wins / total}%"></span>` +
+        `<span class="draw" style="width: ${100 * draws / total}%"></span>` +
+        `<span class="loss" style="width: ${100 * losses / total}%"></span></div>`;
+}
+
+function renderStats(stats, leaderboard) {
+    const content = document.getElementById("stats-content");
+    if (stats.games === 0) {
+        content.innerHTML = "<p>No finished games yet.</p>";
+        return;
+    }
+
+    let html = `<p>${stats.games} finished games: ${stats.aiGames} against the AI, ${stats.roomGames} in rooms.</p>`;
+
+    if (stats.engines.length > 0) {
+        html += "<h4>Engines against people</h4><table><tr><th>Engine</th><th>Games</th><th>AI wins</th><th>Draws</th><th>Your wins</th><th></th></tr>";
+        stats.engines.forEach(e => {
+            html += `<tr><td>${e.engine}</td><td>${e.games}</td><td>${percent(e.aiWinRate)}</td>` +
+                `<td>${percent(e.drawRate)}</td><td>${percent(e.humanWinRate)}</td>` +
+                `<td>${rateBar(e.aiWins, e.draws, e.humanWins)}</td></tr>`;
+        });
+        html += "</table>";
+
+        html += "<h4>Leaderboard</h4><table><tr><th>#</th><th>Engine</th><th>Encoder</th><th>Games</th><th>Score</th></tr>";
+        leaderboard.forEach(row => {
+            html += `<tr><td>${row.rank}</td><td>${row.engine}</td><td>${row.encoder}</td>` +
+                `<td>${row.games}</td><td>${percent(row.score)}</td></tr>`;
+        });
+        html += "</table>";
+    }
+
+    // On the current classic board the openings also get a heat map
+    const here = stats.openings.filter(o => o.cell !== null && o.variant === variant &&
+        o.size === size && o.winLength === winLength);
+    if (variant === "classic" && here.length > 0) {
+        html += `<h4>First-player win rate by opening cell (${size}×${size})</h4>` +
+            `<div class="opening-map" style="grid-template-columns: repeat(${size}, 1fr)">`;
+        for (let cell = 0; cell < size * size; cell++) {
+            const o = here.find(entry => entry.cell === cell);
+            html += o
+                ? `<div style="background: rgba(46, 204, 113, ${0.15 + 0.85 * o.firstPlayerWinRate})" ` +
+                  `title="${o.games} games">${percent(o.firstPlayerWinRate)}</div>`
+                : `<div style="background: rgba(255, 255, 255, 0.05)">–</div>`;
+        }
+        html += "</div>";
+    }
+
+    html += "<h4>Openings</h4><table><tr><th>Opening</th><th>Board</th><th>Games</th><th>1st player wins</th><th></th></tr>";
+    stats.openings.forEach(o => {
+        html += `<tr><td>${o.opening}</td><td>${o.variant} ${o.size}×${o.size}/${o.winLength}</td><td>${o.games}</td>` +
+            `<td>${percent(o.firstPlayerWinRate)}</td>` +
+            `<td>${rateBar(o.firstPlayerWins, o.draws, o.secondPlayerWins)}</td></tr>`;
+    });
+    html += "</table>";
+
+    content.innerHTML = html;
+}